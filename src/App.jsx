@@ -1,43 +1,141 @@
-import React, { Suspense, useCallback, useEffect, useMemo, useRef, useState } from "react";
+import React, { Suspense, useCallback, useEffect, useMemo, useReducer, useRef, useState } from "react";
 import { Canvas, useFrame, useThree } from "@react-three/fiber";
-import { OrbitControls, Environment, Float, Html, Stars, Text } from "@react-three/drei";
-import { Physics, RigidBody, CylinderCollider, CuboidCollider, useSphericalJoint } from "@react-three/rapier";
+import { Environment, Html, OrbitControls, Text, TransformControls } from "@react-three/drei";
+import {
+  Physics,
+  RigidBody,
+  BallCollider,
+  CoefficientCombineRule,
+  CylinderCollider,
+  CuboidCollider,
+  HeightfieldCollider,
+  useBeforePhysicsStep,
+  useRapier,
+  useRopeJoint,
+} from "@react-three/rapier";
 import * as THREE from "three";
+import { LevelError, isOutOfBounds, loadLevel } from "./lib/level.js";
+import { DEFAULT_DIFFICULTY, generateLevel } from "./lib/generator.js";
+import { randomSeed } from "./lib/random.js";
+import { getHeightmap, heightAt, placeOnTerrain } from "./lib/terrain.js";
+import { findPath, getCostGrid } from "./lib/pathfinding.js";
+import { describeWeather } from "./lib/weather.js";
+import { STAMP_LOG_SIZE, TRACK_CELL_SIZE, trackWear } from "./lib/tracks.js";
+import { CAMERA_MODE_LABELS, nextCameraMode } from "./lib/camera.js";
+import {
+  EXHAUSTION_GRACE_SECONDS,
+  RUN_ABANDONED,
+  RUN_ARRIVED,
+  RUN_EXHAUSTED,
+  RUN_READY,
+  RUN_RUNNING,
+  STUCK_GRACE_SECONDS,
+  formatRunTime,
+  initialRunState,
+  isRunOver,
+  runReducer,
+} from "./lib/run.js";
+import {
+  BUCK_BODY,
+  DEFAULT_TUNING,
+  GROUND_FRICTION,
+  HARNESS_ANCHORS,
+  NEUTRAL_INPUT,
+  SLED_BODY,
+  TAUT_TENSION,
+  cargoMass,
+  createSimState,
+  dogSpawns,
+  harnessPoints,
+  ropeJointLength,
+  stepSimulation,
+} from "./lib/simulation.js";
+import { DEFAULT_LOADOUT, cargoItem, loadoutMass } from "./lib/cargo.js";
+import { staminaCap, treatsLeft } from "./lib/physiology.js";
+import { DEFAULT_TEAM, teamDog } from "./lib/team.js";
+import { ReplayError, createPlayer, createRecorder, decodeReplay, encodeReplay, quantizeInput } from "./lib/replay.js";
+import { downloadFile, downloadTextFile } from "./lib/files.js";
+import { createTelemetry } from "./lib/telemetry.js";
+import { createAudioEngine, soundLevels } from "./lib/audio.js";
+import { currentTip, tipText } from "./lib/tutorial.js";
+import { addEntity, blankLevel, entityFootprint, moveEntity, resizeEntity } from "./lib/editor.js";
+import {
+  QUALITY_PRESETS,
+  createQualityMonitor,
+  initialQualityTier,
+  resolveQuality,
+  tierAfterContextLoss,
+} from "./lib/quality.js";
+import {
+  SaveError,
+  decodeSave,
+  encodeSave,
+  isUnlocked,
+  loadSave,
+  markTipDone,
+  recordArrival,
+  updateSettings,
+  writeSave,
+} from "./lib/save.js";
+import { DEFAULT_BINDINGS, TOUCH_LAYOUTS, applyStickDeadzone, controlsLegend, readActions } from "./lib/input.js";
+import ControlsPanel from "./components/ControlsPanel.jsx";
+import LoadoutPanel from "./components/LoadoutPanel.jsx";
+import DogRig from "./components/DogRig.jsx";
+import WeatherSky from "./components/WeatherSky.jsx";
+import TelemetryPanel from "./components/TelemetryPanel.jsx";
+import TuningPanel from "./components/TuningPanel.jsx";
+import CameraRig from "./components/CameraRig.jsx";
+import TitleScreen from "./components/TitleScreen.jsx";
+import LevelSelect from "./components/LevelSelect.jsx";
+import PauseMenu from "./components/PauseMenu.jsx";
+import SettingsPanel from "./components/SettingsPanel.jsx";
+import QualityMonitor from "./components/QualityMonitor.jsx";
+import EditorPanel from "./components/EditorPanel.jsx";
+import { DEFAULT_LEVEL_ID, LEVELS } from "./levels/index.js";
 
 /**
  * BUCK: Browser Prototype (WebGL)
  *
  * Stack: react-three-fiber + @react-three/rapier physics
  *
- * Controls:
+ * Controls (defaults; rebindable in-game, gamepads supported — see src/lib/input.js):
  * W/S: move forward/back (Buck intent)
  * A/D: steer
  * Shift: Pull (burst)
  * Ctrl: Brake
  * Q: Instinct Mode toggle
  * R: Rest (faster recovery)
+ * Enter: Restart once a run has ended
  *
  * This is a simplified demo that captures the feel: pulling a sled with friction zones,
  * a diegetic stamina/struggle meter, and an Instinct view that reveals safe paths.
  */
+// Pressed key codes, kept in a ref so reading them every frame does not re-render anything
 function useKeyboard() {
-  const [keys, setKeys] = useState({});
+  const keys = useRef({});
 
   useEffect(() => {
     const handleKeyDown = (event) => {
-      setKeys((state) => ({ ...state, [event.code]: true }));
+      keys.current[event.code] = true;
     };
 
     const handleKeyUp = (event) => {
-      setKeys((state) => ({ ...state, [event.code]: false }));
+      keys.current[event.code] = false;
+    };
+
+    // Keys released while the window is in the background never send keyup
+    const handleBlur = () => {
+      keys.current = {};
     };
 
     window.addEventListener("keydown", handleKeyDown);
     window.addEventListener("keyup", handleKeyUp);
+    window.addEventListener("blur", handleBlur);
 
     return () => {
       window.removeEventListener("keydown", handleKeyDown);
       window.removeEventListener("keyup", handleKeyUp);
+      window.removeEventListener("blur", handleBlur);
     };
   }, []);
 
@@ -89,29 +187,6 @@ function useTouchDevice() {
   return isTouch;
 }
 
-// Surface zones with different resistance/turn control
-const ZONES = [
-  { pos: [0, 0, 0], size: [60, 1, 60], type: "packed", color: "#aaccee" }, // packed snow main lake
-  { pos: [0, 0, -40], size: [20, 1, 30], type: "ice", color: "#dff6ff" }, // slippery ice patch
-  { pos: [10, 0, 35], size: [35, 1, 25], type: "deep", color: "#e6f1f9" }, // deep snow
-  { pos: [0, 0, 90], size: [18, 1, 90], type: "path", color: "#bcd6ff" }, // uphill path strip
-];
-
-function surfaceParams(type) {
-  switch (type) {
-    case "deep":
-      return { drag: 18, turn: 1.2, brake: 1.6 };
-    case "packed":
-      return { drag: 6, turn: 0.8, brake: 0.9 };
-    case "ice":
-      return { drag: 2, turn: 0.35, brake: 0.25 };
-    case "path":
-      return { drag: 4, turn: 0.9, brake: 0.9 };
-    default:
-      return { drag: 8, turn: 1, brake: 1 };
-  }
-}
-
 function useRapierReady() {
   const [state, setState] = useState({ ready: false, error: null });
 
@@ -141,252 +216,891 @@ function useRapierReady() {
   return state;
 }
 
-function Zone({ zone, instinct }) {
+// `?seed=` (optionally with `&difficulty=`) opens a generated route; otherwise `?level=` picks a
+// bundled one. A level choice is `{ levelId }`, `{ seed, difficulty }` or `{ draft }`, a level
+// being test-played from the editor.
+function levelChoiceFromUrl() {
+  const params = new URLSearchParams(typeof window !== "undefined" ? window.location.search : "");
+  const seed = params.get("seed");
+  if (seed) return { seed, difficulty: params.get("difficulty") ?? DEFAULT_DIFFICULTY };
+  return { levelId: params.get("level") ?? DEFAULT_LEVEL_ID };
+}
+
+// Keeps the address bar on the level being played, so it can be shared or reloaded. Drafts only
+// live in the editor, so they leave it bare.
+function writeLevelChoiceToUrl(choice) {
+  const params = new URLSearchParams(window.location.search);
+  for (const key of ["seed", "difficulty", "level"]) params.delete(key);
+  if (choice.seed) {
+    params.set("seed", choice.seed);
+    params.set("difficulty", choice.difficulty);
+  } else if (choice.levelId) {
+    params.set("level", choice.levelId);
+  }
+  window.history.replaceState(null, "", `?${params}`);
+}
+
+function useLevel(choice) {
+  return useMemo(() => {
+    if (choice.draft) return { level: choice.draft, difficulty: null, error: null };
+    try {
+      if (choice.seed) {
+        const { seed, difficulty } = choice;
+        return { level: loadLevel(generateLevel({ seed, difficulty })), difficulty, error: null };
+      }
+
+      const data = LEVELS[choice.levelId];
+      if (!data) {
+        return { level: null, difficulty: null, error: new Error(`Unknown level "${choice.levelId}".`) };
+      }
+      return { level: loadLevel(data), difficulty: null, error: null };
+    } catch (error) {
+      console.error("Failed to load level", error);
+      return { level: null, difficulty: null, error };
+    }
+  }, [choice]);
+}
+
+// Bundled levels, as the level select lists them
+const LEVEL_LIST = Object.values(LEVELS).map(({ id, name }) => ({ id, name }));
+
+// Zone overlays float this far above the ground so they do not z-fight with it.
+const ZONE_LIFT = 0.03;
+
+/** A horizontal grid over [x, z] ± size / 2 whose vertices follow the level's terrain. */
+function useTerrainGeometry(level, [centerX, centerZ], [width, depth], lift = 0) {
+  return useMemo(() => {
+    const heightmap = getHeightmap(level);
+    const cellSize = level.terrain.cellSize;
+    const geometry = new THREE.PlaneGeometry(
+      width,
+      depth,
+      Math.max(1, Math.round(width / cellSize)),
+      Math.max(1, Math.round(depth / cellSize)),
+    );
+    geometry.rotateX(-Math.PI / 2);
+    geometry.translate(centerX, 0, centerZ);
+
+    const position = geometry.attributes.position;
+    for (let index = 0; index < position.count; index += 1) {
+      position.setY(index, heightAt(heightmap, position.getX(index), position.getZ(index)) + lift);
+    }
+    geometry.computeVertexNormals();
+    return geometry;
+  }, [level, centerX, centerZ, width, depth, lift]);
+}
+
+function Zone({ level, zone, instinct }) {
+  const geometry = useTerrainGeometry(level, [zone.pos[0], zone.pos[2]], [zone.size[0], zone.size[2]], ZONE_LIFT);
+
   return (
-    <mesh position={[zone.pos[0], -0.49, zone.pos[2]]} receiveShadow>
-      <boxGeometry args={[zone.size[0], 0.02, zone.size[2]]} />
+    <mesh geometry={geometry} receiveShadow>
       <meshStandardMaterial
         color={instinct ? zone.color : "#ffffff"}
         transparent
         opacity={instinct ? 0.5 : 0.08}
+        fog={!instinct}
       />
     </mesh>
   );
 }
 
-function Terrain() {
+function Terrain({ level }) {
+  const { rapier } = useRapier();
+  const geometry = useTerrainGeometry(level, [0, 0], level.ground.size);
+  // Rapier keeps the heights buffer, so hand it the same arrays every render. Internal edges are
+  // smoothed so runners and paws don't catch on the seams between cells.
+  const heightfieldArgs = useMemo(() => {
+    const { width, depth, columns, rows, heights } = getHeightmap(level);
+    return [rows, columns, heights, { x: width, y: 1, z: depth }, rapier.HeightFieldFlags.FIX_INTERNAL_EDGES];
+  }, [level, rapier]);
   const mounds = useMemo(
-    () =>
-      Array.from({ length: 30 }, (_, index) => ({
-        id: `mound-${index}`,
-        position: [Math.sin(index) * 60, 0.5, Math.cos(index * 1.7) * 60],
-        radius: Math.random() * 1.4 + 0.6,
-      })),
-    [],
+    () => level.obstacles.map((obstacle) => ({ ...obstacle, pos: placeOnTerrain(level, obstacle.pos) })),
+    [level],
   );
 
   return (
     <group>
       {/* Ground */}
-      <mesh rotation-x={-Math.PI / 2} receiveShadow>
-        <planeGeometry args={[200, 200, 1, 1]} />
-        <meshStandardMaterial color="#dce6f5" />
+      <mesh geometry={geometry} receiveShadow>
+        <meshStandardMaterial color={level.ground.color} />
       </mesh>
+      <RigidBody type="fixed" colliders={false}>
+        <HeightfieldCollider args={heightfieldArgs} friction={GROUND_FRICTION} />
+      </RigidBody>
 
-      {/* Snow mounds / rocks */}
-      <Float speed={1} rotationIntensity={0.05} floatIntensity={0.2}>
-        <group>
-          {mounds.map((mound) => (
-            <mesh key={mound.id} position={mound.position} castShadow>
+      {/* Snow mounds / rocks: solid, so running into one snags the sled */}
+      <RigidBody type="fixed" colliders={false}>
+        {mounds.map((mound, index) => (
+          <React.Fragment key={`${mound.type}-${index}`}>
+            <mesh position={mound.pos} castShadow>
               <icosahedronGeometry args={[mound.radius, 1]} />
               <meshStandardMaterial roughness={1} metalness={0} color="#dfe7ef" />
             </mesh>
-          ))}
-        </group>
-      </Float>
+            <BallCollider args={[mound.radius]} position={mound.pos} friction={GROUND_FRICTION} />
+          </React.Fragment>
+        ))}
+      </RigidBody>
+    </group>
+  );
+}
+
+// Extra reach around a goal's footprint that still counts as arriving.
+const GOAL_TRIGGER_MARGIN = 2;
+
+function Goal({ level, goal, instinct, onReach }) {
+  // Goal marker (cabin stand-in) with a trigger volume that fires when the sled pulls up
+  const position = useMemo(() => placeOnTerrain(level, goal.pos), [level, goal]);
+  const handleIntersection = ({ other }) => {
+    if (other.rigidBody?.userData?.role === "sled") {
+      onReach?.(goal);
+    }
+  };
+
+  return (
+    <group>
+      <RigidBody type="fixed" colliders={false} position={position}>
+        <CuboidCollider
+          sensor
+          args={goal.size.map((extent) => extent / 2 + GOAL_TRIGGER_MARGIN)}
+          onIntersectionEnter={handleIntersection}
+        />
+      </RigidBody>
+      <mesh position={position} castShadow>
+        <boxGeometry args={goal.size} />
+        <meshStandardMaterial color={instinct ? "#ffffff" : "#9f947e"} />
+      </mesh>
+      <Text position={[position[0], position[1] + goal.size[1] / 2 + 0.4, position[2]]} fontSize={0.5} color="#333">
+        {goal.label}
+      </Text>
     </group>
   );
 }
 
-function Harness({ a, b }) {
-  // simple visual rope between Buck (a) and sled (b)
-  const line = useRef();
+const ROPE_SEGMENTS = 16;
+const ROPE_RINGS = ROPE_SEGMENTS * 2;
+const ROPE_SIDES = 6;
+const ROPE_RADIUS = 0.02;
+const SLACK_COLOR = new THREE.Color("#f4f1ea");
+const TAUT_COLOR = new THREE.Color("#d9412b");
+const ROPE_POINT = new THREE.Vector3();
+const ROPE_TANGENT = new THREE.Vector3();
+const ROPE_NORMAL = new THREE.Vector3();
+const ROPE_SIDE = new THREE.Vector3();
+const ROPE_OFFSET = new THREE.Vector3();
+
+/**
+ * A dog's line from his harness (a) to the sled's bridle (b), drawn as a tube whose vertices are
+ * moved in place every frame. The simulation runs each dog's tug line and the gangline behind him
+ * as one line (see `tugLineLength`), and so does this. A slack line hangs in a parabola whose dip
+ * keeps its length; a taut one runs straight and reddens as the tension climbs toward TAUT_TENSION.
+ *
+ * It also ropes the two bodies together. Mount it after both: the rope joint is made once, on
+ * mount. The joint only caps how far the line stretches; the simulation applies its spring.
+ */
+function Harness({ a, b, sim, dogIndex, ghost }) {
+  const mesh = useRef();
+  useRopeJoint(a, b, [...HARNESS_ANCHORS, ropeJointLength(sim.current.dogs[dogIndex])]);
+  // Only its vertex layout is kept: ROPE_RINGS + 1 rings of ROPE_SIDES + 1 vertices, head to tail
+  const geometry = useMemo(
+    () =>
+      new THREE.TubeGeometry(
+        new THREE.LineCurve3(new THREE.Vector3(), new THREE.Vector3(0, 0, 1)),
+        ROPE_RINGS,
+        ROPE_RADIUS,
+        ROPE_SIDES,
+        false,
+      ),
+    [],
+  );
+
+  useEffect(() => () => geometry.dispose(), [geometry]);
 
   useFrame(() => {
-    if (!a.current || !b.current || !line.current) return;
+    if (!a.current || !b.current || !mesh.current) return;
+
+    const dog = sim.current.dogs[dogIndex];
+    const [start, end] = harnessPoints(a.current, b.current);
+    const dx = end.x - start.x;
+    const dy = end.y - start.y;
+    const dz = end.z - start.z;
+    const span = Math.hypot(dx, dy, dz);
+    // Parabolic sag: arc length ≈ span + 8·sag²/(3·span)
+    const sag = span < dog.lineLength ? Math.sqrt((3 * span * (dog.lineLength - span)) / 8) : 0;
+    // The line hangs in the upright plane through both ends, so its sideways axis never changes
+    ROPE_SIDE.set(dz, 0, -dx);
+    if (ROPE_SIDE.lengthSq() < 1e-8) ROPE_SIDE.set(1, 0, 0);
+    ROPE_SIDE.normalize();
+
+    const positions = geometry.attributes.position;
+    const normals = geometry.attributes.normal;
+    for (let ring = 0; ring <= ROPE_RINGS; ring += 1) {
+      const t = ring / ROPE_RINGS;
+      ROPE_POINT.set(start.x + dx * t, start.y + dy * t - 4 * sag * t * (1 - t), start.z + dz * t);
+      ROPE_TANGENT.set(dx, dy - 4 * sag * (1 - 2 * t), dz);
+      ROPE_NORMAL.crossVectors(ROPE_SIDE, ROPE_TANGENT).normalize();
+      for (let side = 0; side <= ROPE_SIDES; side += 1) {
+        const angle = (side / ROPE_SIDES) * Math.PI * 2;
+        ROPE_OFFSET.copy(ROPE_NORMAL).multiplyScalar(-Math.cos(angle)).addScaledVector(ROPE_SIDE, Math.sin(angle));
+        const index = ring * (ROPE_SIDES + 1) + side;
+        normals.setXYZ(index, ROPE_OFFSET.x, ROPE_OFFSET.y, ROPE_OFFSET.z);
+        positions.setXYZ(
+          index,
+          ROPE_POINT.x + ROPE_OFFSET.x * ROPE_RADIUS,
+          ROPE_POINT.y + ROPE_OFFSET.y * ROPE_RADIUS,
+          ROPE_POINT.z + ROPE_OFFSET.z * ROPE_RADIUS,
+        );
+      }
+    }
+    positions.needsUpdate = true;
+    normals.needsUpdate = true;
+    geometry.computeBoundingSphere();
+
+    mesh.current.material.color.lerpColors(
+      SLACK_COLOR,
+      TAUT_COLOR,
+      Math.min(1, dog.tension / TAUT_TENSION),
+    );
+  });
+
+  return (
+    <mesh ref={mesh} geometry={geometry} castShadow>
+      <meshStandardMaterial roughness={0.8} transparent={ghost} opacity={ghost ? GHOST_OPACITY : 1} />
+    </mesh>
+  );
+}
+
+const TRAIL_REPLAN_SECONDS = 0.5;
+const TRAIL_LIFT = 0.12;
+
+/**
+ * Instinct Mode's trail: the cheapest route from Buck to the nearest goal over the level's cost
+ * grid (src/lib/pathfinding.js) under the current weather, drawn as a glowing tube just above the
+ * snow that shows through fog and darkness. It is re-planned from where Buck is every
+ * TRAIL_REPLAN_SECONDS while the mode is up, costed with the runner models the run's `sim` is
+ * tuned with (the editor's preview has no run, and uses the defaults).
+ */
+function InstinctTrail({ level, body, weather, sim }) {
+  const mesh = useRef();
+  const material = useRef();
+  const sinceReplan = useRef(Infinity);
+
+  useEffect(() => () => mesh.current?.geometry.dispose(), []);
+
+  useFrame((state, delta) => {
+    if (!body.current || !mesh.current) return;
+    material.current.opacity = 0.55 + 0.25 * Math.sin(state.clock.elapsedTime * 4);
+
+    sinceReplan.current += delta;
+    if (sinceReplan.current < TRAIL_REPLAN_SECONDS) return;
+    sinceReplan.current = 0;
+
+    const position = body.current.translation();
+    const goal = level.goals.reduce((nearest, candidate) =>
+      Math.hypot(candidate.pos[0] - position.x, candidate.pos[2] - position.z) <
+      Math.hypot(nearest.pos[0] - position.x, nearest.pos[2] - position.z)
+        ? candidate
+        : nearest,
+    );
+    const grid = getCostGrid(level, weather.current, sim?.current.tuning.surfaces);
+    const path = findPath(grid, position, { x: goal.pos[0], z: goal.pos[2] });
 
-    const buckPosition = a.current.translation();
-    const sledPosition = b.current.translation();
+    mesh.current.geometry.dispose();
+    if (!path || path.points.length < 2) {
+      mesh.current.geometry = new THREE.BufferGeometry();
+      return;
+    }
 
-    line.current.geometry.setFromPoints([
-      new THREE.Vector3(buckPosition.x, buckPosition.y + 0.6, buckPosition.z),
-      new THREE.Vector3(sledPosition.x, sledPosition.y + 0.5, sledPosition.z),
-    ]);
+    const heightmap = getHeightmap(level);
+    const curve = new THREE.CatmullRomCurve3(
+      path.points.map(({ x, z }) => new THREE.Vector3(x, heightAt(heightmap, x, z) + TRAIL_LIFT, z)),
+    );
+    mesh.current.geometry = new THREE.TubeGeometry(curve, path.points.length * 3, 0.1, 6, false);
   });
 
   return (
-    <line ref={line}>
-      <bufferGeometry />
-      <lineBasicMaterial lineWidth={2} color="white" />
-    </line>
+    <mesh ref={mesh}>
+      <meshBasicMaterial
+        ref={material}
+        color="#7fe7ff"
+        transparent
+        fog={false}
+        depthWrite={false}
+        blending={THREE.AdditiveBlending}
+        toneMapped={false}
+      />
+    </mesh>
   );
 }
 
-function CameraRig({ target }) {
-  const { camera } = useThree();
+// Track texture resolution (pixels per metre of ground, capped per side), how dark one stamp of
+// each kind marks it, and the stamps' footprint (m across, m along).
+const TRACK_PIXELS_PER_METRE = { desktop: 8, touch: 4 };
+const TRACK_TEXTURE_MAX = 4096;
+const TRACK_STAMPS = {
+  runner: { strength: 0.45, size: [0.12, 0.6] },
+  paw: { strength: 0.35, size: [0.14, 0.18] },
+};
+const TRACK_LIFT = 0.015;
+// Snowfall (in the weather's snowTotal units) that fills a fully drawn track back in; texture
+// fills smaller than one 8-bit step are saved up until they show.
+const TRACK_FILL_SNOW = 60;
+const TRACK_FILL_STEP = 2 / 255;
+// Texture shade per unit of track-map wear: a runner pass wears the map 0.25 and stamps 0.45
+const TRACK_SHADE_PER_WEAR = 1.8;
+
+// Scratch objects for placing stamps
+const TRACK_MATRIX = new THREE.Matrix4();
+const TRACK_POSITION = new THREE.Vector3();
+const TRACK_ROTATION = new THREE.Quaternion();
+const TRACK_SCALE = new THREE.Vector3();
+const TRACK_COLOR = new THREE.Color();
+
+function clearTrackTarget(gl, target) {
+  const previousTarget = gl.getRenderTarget();
+  const previousColor = gl.getClearColor(new THREE.Color());
+  const previousAlpha = gl.getClearAlpha();
+  gl.setRenderTarget(target);
+  gl.setClearColor(0x000000, 1);
+  gl.clear(true, false, false);
+  gl.setRenderTarget(previousTarget);
+  gl.setClearColor(previousColor, previousAlpha);
+}
+
+/**
+ * Sled and paw tracks drawn into a top-down render target covering the ground, which a
+ * terrain-following overlay uses as its alpha. Each frame stamps whatever the simulation's track
+ * map (src/lib/tracks.js) logged since the last one; falling snow fades the whole texture, so
+ * tracks fill in as they do in the simulation. `snapshot` receives a function returning the
+ * texture as a canvas, for downloading after a run.
+ *
+ * A lost WebGL context takes the texture with it. Each time `restored` counts up, it is redrawn
+ * from the track map, which only loses the finer detail of the stamps.
+ */
+function TrackMarks({ level, sim, isTouch, snapshot, restored }) {
+  const gl = useThree((state) => state.gl);
+  const [width, depth] = level.ground.size;
+  const geometry = useTerrainGeometry(level, [0, 0], level.ground.size, TRACK_LIFT);
+  const drawn = useRef({ stampCount: 0, snowTotal: 0, pendingFill: 0 });
+
+  const target = useMemo(() => {
+    const perMetre = isTouch ? TRACK_PIXELS_PER_METRE.touch : TRACK_PIXELS_PER_METRE.desktop;
+    return new THREE.WebGLRenderTarget(
+      Math.min(TRACK_TEXTURE_MAX, Math.round(width * perMetre)),
+      Math.min(TRACK_TEXTURE_MAX, Math.round(depth * perMetre)),
+      { depthBuffer: false },
+    );
+  }, [width, depth, isTouch]);
+
+  // Looking straight down with -z up, so the texture lines up with the overlay's UVs
+  const painter = useMemo(() => {
+    const scene = new THREE.Scene();
+    const camera = new THREE.OrthographicCamera(-width / 2, width / 2, depth / 2, -depth / 2, 0.1, 10);
+    camera.position.set(0, 5, 0);
+    camera.up.set(0, 0, -1);
+    camera.lookAt(0, 0, 0);
+
+    const stampGeometry = new THREE.CircleGeometry(0.5, 12).rotateX(-Math.PI / 2);
+    const stamps = new THREE.InstancedMesh(
+      stampGeometry,
+      new THREE.MeshBasicMaterial({ blending: THREE.AdditiveBlending, depthTest: false, depthWrite: false }),
+      STAMP_LOG_SIZE,
+    );
+    stamps.frustumCulled = false;
+    stamps.count = 0;
+
+    const fill = new THREE.Mesh(
+      new THREE.PlaneGeometry(width, depth).rotateX(-Math.PI / 2),
+      new THREE.MeshBasicMaterial({
+        blending: THREE.CustomBlending,
+        blendEquation: THREE.ReverseSubtractEquation,
+        blendSrc: THREE.OneFactor,
+        blendDst: THREE.OneFactor,
+        depthTest: false,
+        depthWrite: false,
+      }),
+    );
+    fill.visible = false;
+    fill.renderOrder = -1;
+
+    scene.add(fill, stamps);
+    return { scene, camera, stamps, fill };
+  }, [width, depth]);
 
+  // Render targets start out undefined; clear to untracked snow
   useEffect(() => {
-    camera.lookAt(...target);
-  }, [camera, target]);
+    clearTrackTarget(gl, target);
+    drawn.current = { stampCount: 0, snowTotal: 0, pendingFill: 0 };
+    return () => target.dispose();
+  }, [gl, target]);
+
+  useEffect(() => {
+    const { tracks, weather } = sim.current;
+    if (!restored || !tracks) return undefined;
+
+    // Rows run from +z, which the painter draws at the bottom of the texture
+    const { columns, rows, width: mapWidth, depth: mapDepth } = tracks;
+    const shades = new Uint8Array(columns * rows * 4);
+    for (let row = 0; row < rows; row += 1) {
+      for (let column = 0; column < columns; column += 1) {
+        const x = -mapWidth / 2 + (column + 0.5) * TRACK_CELL_SIZE;
+        const z = -mapDepth / 2 + (row + 0.5) * TRACK_CELL_SIZE;
+        const shade = Math.min(1, trackWear(tracks, x, z, weather.snowTotal) * TRACK_SHADE_PER_WEAR);
+        const offset = ((rows - 1 - row) * columns + column) * 4;
+        shades[offset] = shades[offset + 1] = shades[offset + 2] = Math.round(shade * 255);
+        shades[offset + 3] = 255;
+      }
+    }
+
+    const texture = new THREE.DataTexture(shades, columns, rows);
+    texture.magFilter = THREE.LinearFilter;
+    texture.needsUpdate = true;
+    const quad = new THREE.Mesh(
+      new THREE.PlaneGeometry(mapWidth, mapDepth).rotateX(-Math.PI / 2),
+      new THREE.MeshBasicMaterial({ map: texture, depthTest: false, depthWrite: false }),
+    );
+    const scene = new THREE.Scene().add(quad);
+
+    clearTrackTarget(gl, target);
+    const previousTarget = gl.getRenderTarget();
+    const previousAutoClear = gl.autoClear;
+    gl.autoClear = false;
+    gl.setRenderTarget(target);
+    gl.render(scene, painter.camera);
+    gl.setRenderTarget(previousTarget);
+    gl.autoClear = previousAutoClear;
+    drawn.current = { stampCount: tracks.stampCount, snowTotal: weather.snowTotal, pendingFill: 0 };
+
+    return () => {
+      quad.geometry.dispose();
+      quad.material.dispose();
+      texture.dispose();
+    };
+  }, [restored, gl, target, painter, sim]);
+
+  useEffect(
+    () => () => {
+      painter.stamps.geometry.dispose();
+      painter.stamps.material.dispose();
+      painter.stamps.dispose();
+      painter.fill.geometry.dispose();
+      painter.fill.material.dispose();
+    },
+    [painter],
+  );
+
+  useEffect(() => {
+    if (!snapshot) return undefined;
+    snapshot.current = () => {
+      const { width: columns, height: rows } = target;
+      const pixels = new Uint8Array(columns * rows * 4);
+      gl.readRenderTargetPixels(target, 0, 0, columns, rows, pixels);
+
+      // Dark tracks on pale snow, north (-z) up; GL rows come bottom first
+      const canvas = document.createElement("canvas");
+      canvas.width = columns;
+      canvas.height = rows;
+      const context = canvas.getContext("2d");
+      const image = context.createImageData(columns, rows);
+      for (let row = 0; row < rows; row += 1) {
+        for (let column = 0; column < columns; column += 1) {
+          const wear = pixels[((rows - 1 - row) * columns + column) * 4] / 255;
+          const offset = (row * columns + column) * 4;
+          image.data[offset] = 238 - wear * 190;
+          image.data[offset + 1] = 243 - wear * 170;
+          image.data[offset + 2] = 248 - wear * 120;
+          image.data[offset + 3] = 255;
+        }
+      }
+      context.putImageData(image, 0, 0);
+      return canvas;
+    };
+    return () => {
+      snapshot.current = null;
+    };
+  }, [snapshot, gl, target]);
+
+  useFrame(() => {
+    const { tracks, weather } = sim.current;
+    if (!tracks) return;
+    const state = drawn.current;
+
+    state.pendingFill += (weather.snowTotal - state.snowTotal) / TRACK_FILL_SNOW;
+    state.snowTotal = weather.snowTotal;
+    const filling = state.pendingFill >= TRACK_FILL_STEP;
+    painter.fill.visible = filling;
+    if (filling) {
+      painter.fill.material.color.setScalar(state.pendingFill);
+      state.pendingFill = 0;
+    }
+
+    // Stamps older than the log are gone; only happens after a long stall between frames
+    const first = Math.max(state.stampCount, tracks.stampCount - STAMP_LOG_SIZE);
+    const { stamps } = painter;
+    stamps.count = tracks.stampCount - first;
+    for (let index = first; index < tracks.stampCount; index += 1) {
+      const { kind, x, z, yaw } = tracks.stamps[index % STAMP_LOG_SIZE];
+      const { strength, size } = TRACK_STAMPS[kind];
+      TRACK_MATRIX.compose(
+        TRACK_POSITION.set(x, 0, z),
+        TRACK_ROTATION.setFromAxisAngle(THREE.Object3D.DEFAULT_UP, yaw),
+        TRACK_SCALE.set(size[0], 1, size[1]),
+      );
+      stamps.setMatrixAt(index - first, TRACK_MATRIX);
+      stamps.setColorAt(index - first, TRACK_COLOR.setScalar(strength));
+    }
+    state.stampCount = tracks.stampCount;
+    if (stamps.count === 0 && !filling) return;
+
+    stamps.instanceMatrix.needsUpdate = true;
+    if (stamps.instanceColor) stamps.instanceColor.needsUpdate = true;
+    const previousTarget = gl.getRenderTarget();
+    const previousAutoClear = gl.autoClear;
+    gl.autoClear = false;
+    gl.setRenderTarget(target);
+    gl.render(painter.scene, painter.camera);
+    gl.setRenderTarget(previousTarget);
+    gl.autoClear = previousAutoClear;
+  });
+
+  return (
+    <mesh geometry={geometry} receiveShadow>
+      <meshStandardMaterial
+        color="#8fa3ba"
+        transparent
+        alphaMap={target.texture}
+        depthWrite={false}
+        polygonOffset
+        polygonOffsetFactor={-1}
+      />
+    </mesh>
+  );
+}
+
+// Cycles the camera mode, and where the camera looks before Buck is placed
+const CAMERA_KEY = "KeyC";
+const CAMERA_FALLBACK_TARGET = [0, 0.6, -6];
+
+// How long (ms) to wait for a lost WebGL context before offering a reload
+const CONTEXT_RESTORE_WAIT_MS = 8000;
 
-  return null;
+// Short double buzz for a snag (ms on/off/on)
+const SNAG_VIBRATION = [40, 30, 60];
+
+// Buck and the sled fade to ghosts while a replay drives them
+const GHOST_OPACITY = 0.45;
+
+function CargoMesh({ item, ghost }) {
+  return (
+    <mesh position={item.pos} castShadow>
+      <boxGeometry args={item.size.map((extent) => extent * 0.95)} />
+      <meshStandardMaterial
+        color={cargoItem(item.id)?.color ?? "#999999"}
+        transparent={ghost}
+        opacity={ghost ? GHOST_OPACITY : 1}
+      />
+    </mesh>
+  );
+}
+
+/** One dog of the team in his rigid body; his Harness ropes him to the sled. */
+function TeamDog({ body, sim, dogIndex, position, input, instinct, ghost }) {
+  const { id } = sim.current.dogs[dogIndex];
+
+  return (
+    <RigidBody
+      ref={body}
+      colliders={false}
+      position={position}
+      linearDamping={BUCK_BODY.linearDamping}
+      angularDamping={BUCK_BODY.angularDamping}
+      userData={{ role: "dog", dog: id }}
+    >
+      <DogRig
+        body={body}
+        sim={sim}
+        dogIndex={dogIndex}
+        coat={teamDog(id).coat}
+        input={input}
+        instinct={instinct}
+        ghost={ghost}
+        opacity={GHOST_OPACITY}
+      />
+      <CylinderCollider
+        args={[BUCK_BODY.halfHeight, BUCK_BODY.radius]}
+        position={[0, 0, 0]}
+        mass={BUCK_BODY.mass}
+        friction={BUCK_BODY.friction}
+      />
+    </RigidBody>
+  );
 }
 
-function BuckAndSled({ instinct, setInstinct, ui, controls }) {
+/**
+ * Each attempt mounts a fresh physics world (see the Physics key in App), so a run always starts
+ * from the same state. That is what lets a recording of the per-step input replay exactly.
+ * Changing the team (`dogTeam`, see src/lib/team.js) restarts the attempt too.
+ */
+function BuckAndSled({
+  level,
+  run,
+  runClock,
+  onRunEvent,
+  recorder,
+  telemetry,
+  replay,
+  onReplayEnd,
+  instinct,
+  setInstinct,
+  ui,
+  controls,
+  bindings,
+  loadout,
+  dogTeam,
+  weatherSeed,
+  weather,
+  tuning,
+  inputLocked,
+  onSnag,
+  isTouch,
+  trackSnapshot,
+  team,
+  audio,
+  contextRestores,
+}) {
   const keys = useKeyboard();
-  const buck = useRef();
   const sled = useRef();
-  const [stamina, setStamina] = useState(1);
-  const [fatigue, setFatigue] = useState(0);
-  const cargoKg = 80;
-  const [snag, setSnag] = useState(false);
+  const sim = useRef(createSimState({ loadout, team: dogTeam, weatherSeed, tuning }));
+  // One body per dog, lead first; the team is fixed for the attempt
+  const [dogBodies] = useState(() => sim.current.dogs.map(() => React.createRef()));
+  const buck = dogBodies[0];
+  const cargoRevisionRef = useRef(0);
+  const [cargo, setCargo] = useState(() => ({ items: sim.current.cargo, spilled: sim.current.spilled }));
+  const input = useRef(NEUTRAL_INPUT);
+  // What the last simulation step actually ran with (live or replayed), for Buck's animation
+  const stepInputRef = useRef(NEUTRAL_INPUT);
   const lastInstinctRef = useRef(instinct);
+  const lastSnagRef = useRef(false);
+  // Run phase as seen by the step loop; React state lags a render behind
+  const runPhase = useRef(run.status);
+  // How long the sled has been stuck this attempt (see STUCK_GRACE_SECONDS)
+  const stuckTime = useRef(0);
+  const player = useMemo(() => (replay ? createPlayer(replay) : null), [replay]);
+  const spawn = useMemo(
+    () => ({ dogs: dogSpawns(level, sim.current.dogs), sled: placeOnTerrain(level, level.spawn.sled) }),
+    [level],
+  );
 
   useEffect(() => {
     lastInstinctRef.current = instinct;
   }, [instinct]);
 
-  // Point-to-point joint to simulate the tug connection
-  useSphericalJoint(buck, sled, [
-    [0, 0.6, -0.5],
-    [0, 0.5, 1.2],
-  ]);
-
-  const zoneAt = (position) => {
-    for (const zone of ZONES) {
-      if (
-        Math.abs(position.x - zone.pos[0]) <= zone.size[0] / 2 &&
-        Math.abs(position.z - zone.pos[2]) <= zone.size[2] / 2
-      ) {
-        return zone;
-      }
+  useEffect(() => {
+    if (isRunOver(run.status)) {
+      runPhase.current = run.status;
     }
-    return null;
-  };
+  }, [run.status]);
 
-  useFrame((state, dt) => {
-    if (!buck.current || !sled.current) return;
-
-    const buckPosition = buck.current.translation();
-    const zone = zoneAt(buckPosition) || { type: "default" };
-    const surface = surfaceParams(zone.type);
-
-    // Input
-    const forwardInputRaw = (keys.KeyW ? 1 : 0) + (keys.KeyS ? -1 : 0);
-    const steerInputRaw = (keys.KeyA ? 1 : 0) + (keys.KeyD ? -1 : 0);
-    const pullingKeys = keys.ShiftLeft || keys.ShiftRight;
-    const brakingKeys = keys.ControlLeft || keys.ControlRight;
-    const restKey = Boolean(keys.KeyR);
-    const qPressedKeys = Boolean(keys.KeyQ);
-
-    const forwardOverride = controls?.forward ?? 0;
-    const steerOverride = controls?.steer ?? 0;
-    const pullingOverride = Boolean(controls?.pull);
-    const brakingOverride = Boolean(controls?.brake);
-    const restOverride = Boolean(controls?.rest);
-    const instinctOverride = Boolean(controls?.instinct);
-
-    const forwardInput = THREE.MathUtils.clamp(forwardInputRaw + forwardOverride, -1, 1);
-    const steerInput = THREE.MathUtils.clamp(steerInputRaw + steerOverride, -1, 1);
-    const pulling = pullingKeys || pullingOverride;
-    const braking = brakingKeys || brakingOverride;
-    const restActive = restKey || restOverride;
-    const qPressed = qPressedKeys || instinctOverride;
-
-    if (lastInstinctRef.current !== qPressed) {
-      lastInstinctRef.current = qPressed;
-      setInstinct(qPressed);
-    }
+  useEffect(() => {
+    recorder.current = replay
+      ? null
+      : createRecorder({ levelId: level.id, seed: level.seed ?? null, loadout, team: dogTeam, weatherSeed });
+  }, [recorder, replay, level, loadout, dogTeam, weatherSeed]);
 
-    // Orientation: face move direction smoothly
-    const camera = state.camera;
-    const forwardVector = new THREE.Vector3();
-    camera.getWorldDirection(forwardVector);
-    forwardVector.y = 0;
-    forwardVector.normalize();
-
-    const rightVector = new THREE.Vector3().crossVectors(new THREE.Vector3(0, 1, 0), forwardVector).normalize();
-    const moveDirection = new THREE.Vector3()
-      .addScaledVector(forwardVector, forwardInput)
-      .addScaledVector(rightVector, -steerInput)
-      .normalize();
-
-    const exertion = (pulling ? 1 : 0.6) * Math.max(0, forwardInput);
-    const drain = (0.1 + surface.drag * 0.02) * exertion * (1 + fatigue * 0.6);
-    const recovering = (!pulling && forwardInput <= 0 && !braking) || restActive;
-    const recoveryRate = restActive ? 0.6 : 0.22;
-
-    const newStamina = THREE.MathUtils.clamp(
-      stamina + (recovering ? recoveryRate : -drain) * dt,
-      0,
-      1,
-    );
-    const newFatigue = 1 - newStamina;
-    setStamina(newStamina);
-    setFatigue(newFatigue);
-
-    // Apply forces
-    const effectiveForce = THREE.MathUtils.lerp(1, 0.3, newFatigue);
-    const basePull = 95; // N
-    const pullForce = basePull * effectiveForce * (pulling ? 1.7 : 1);
-
-    if (moveDirection.lengthSq() > 0.01) {
-      buck.current.applyImpulse(
-        {
-          x: moveDirection.x * pullForce * dt,
-          y: 0,
-          z: moveDirection.z * pullForce * dt,
-        },
-        true,
-      );
+  // The camera follows whichever Buck and sled are mounted
+  useEffect(() => {
+    team.current = { buck, sled };
+    return () => {
+      team.current = null;
+    };
+  }, [team, buck]);
+
+  // Tuning edits apply from the next step. Replays bring their own tuning instead.
+  useEffect(() => {
+    if (player) return;
+    sim.current.tuning = tuning;
+    recorder.current?.setTuning(tuning);
+  }, [tuning, player, recorder]);
+
+  // Replays are sampled too, so a tester's recording can be analysed like a live run
+  useEffect(() => {
+    telemetry.current = createTelemetry({
+      levelId: level.id,
+      seed: level.seed ?? null,
+      loadout,
+      team: dogTeam,
+      weatherSeed,
+    });
+  }, [telemetry, level, loadout, dogTeam, weatherSeed]);
+
+  // The sky and snowfall follow the simulation's weather
+  useEffect(() => {
+    weather.current = sim.current.weather;
+    return () => {
+      weather.current = null;
+    };
+  }, [weather]);
+
+  // Input is sampled per rendered frame; the simulation consumes the latest sample on every
+  // fixed physics step
+  useFrame((state, delta) => {
+    const actions = readActions({
+      keys: keys.current,
+      gamepads: typeof navigator.getGamepads === "function" ? navigator.getGamepads() : [],
+      touch: controls.current,
+      bindings,
+    });
 
-      const targetYaw = Math.atan2(moveDirection.x, moveDirection.z);
-      const currentRotation = buck.current.rotation();
-      const yaw = THREE.MathUtils.lerp(currentRotation.y, targetYaw, 0.15);
-      buck.current.setRotation({ x: 0, y: yaw, z: 0 }, true);
+    // Replays bring their own input, and once a run is over Buck stops taking commands until
+    // the player restarts. Nothing moves while the loadout screen is up either.
+    if (player || isRunOver(run.status) || inputLocked) {
+      input.current = NEUTRAL_INPUT;
+    } else {
+      // Movement is camera-relative
+      const forwardVector = new THREE.Vector3();
+      state.camera.getWorldDirection(forwardVector);
+
+      // Quantised so the live run steps with exactly what a replay will feed back
+      input.current = quantizeInput({
+        forward: actions.forward,
+        steer: actions.steer,
+        pull: actions.pull,
+        brake: actions.brake,
+        rest: actions.rest,
+        instinct: actions.instinct,
+        heading: { x: forwardVector.x, z: forwardVector.z },
+      });
     }
 
-    // Sled: drag resists motion based on surface; brake increases resistance
-    const velocity = sled.current.linvel();
-    const speed = Math.hypot(velocity.x, velocity.z);
-    const velocityDirection = new THREE.Vector3(velocity.x, 0, velocity.z).normalize();
-    const drag = (surface.drag + (braking ? surface.brake * 6 : 0)) * speed;
-    sled.current.applyImpulse(
-      { x: -velocityDirection.x * drag * dt, y: 0, z: -velocityDirection.z * drag * dt },
-      true,
-    );
+    const { stamina, fatigue, warmth, hunger, injury, speed, zone, snag, instinctCooldown } = sim.current;
+    // Instinct Mode is part of the simulation (it costs stamina), so the view follows the
+    // stepped state rather than the key
+    if (lastInstinctRef.current !== sim.current.instinct) {
+      lastInstinctRef.current = sim.current.instinct;
+      setInstinct(sim.current.instinct);
+    }
 
-    // Steering torque (harder on ice)
-    const steerTorque = 30 * (1 - (surface.turn - 0.5));
-    if (steerInput !== 0 && speed > 0.2) {
-      sled.current.applyTorqueImpulse({ x: 0, y: -steerInput * steerTorque * dt, z: 0 }, true);
+    if (snag && !lastSnagRef.current) {
+      audio?.thud();
+      if (!player) onSnag?.();
     }
+    lastSnagRef.current = snag;
+    audio?.update(soundLevels(sim.current), Math.min(delta, 0.1));
 
-    // Simple snag chance if grazing obstacles: monitor lateral velocity spikes
-    const lateralVelocity = Math.abs(
-      new THREE.Vector3(-velocityDirection.z, 0, velocityDirection.x).dot(
-        new THREE.Vector3(velocity.x, 0, velocity.z),
-      ),
-    );
-    setSnag(lateralVelocity > 6 && speed < 2);
+    // Cargo only re-renders when it shifts or spills
+    if (sim.current.cargoRevision !== cargoRevisionRef.current) {
+      cargoRevisionRef.current = sim.current.cargoRevision;
+      setCargo({ items: sim.current.cargo, spilled: sim.current.spilled });
+    }
 
-    // Simulate gentle uphill beyond z>70
-    if (sled.current.translation().z > 70) {
-      sled.current.applyImpulse({ x: 0, y: 0, z: -15 * dt }, true);
+    ui.current = {
+      stamina,
+      fatigue,
+      staminaCap: staminaCap(sim.current, sim.current.tuning.condition),
+      warmth,
+      hunger,
+      injury,
+      treats: treatsLeft(sim.current),
+      dogs: sim.current.dogs.map(({ id, name, position, stamina: dogStamina }) => ({
+        id,
+        name,
+        position,
+        stamina: dogStamina,
+      })),
+      speed,
+      zone,
+      snag,
+      time: runClock.current,
+      replayStep: player?.step ?? 0,
+      cargoKg: cargoMass(sim.current),
+      spilledCount: sim.current.spilled.length,
+      tension: sim.current.tension,
+      instinctCooldown,
+      weather: describeWeather(sim.current.weather),
+      freshSnow: sim.current.weather.freshSnow,
+      packing: sim.current.packing,
+      actions: stepInputRef.current,
+    };
+  });
+
+  useBeforePhysicsStep((world) => {
+    if (!sled.current || dogBodies.some((body) => !body.current)) return;
+
+    const bodies = { dogs: dogBodies.map((body) => body.current), sled: sled.current };
+    let stepInput = input.current;
+
+    if (player) {
+      const wasDone = player.done;
+      sim.current.tuning = player.tuning ?? DEFAULT_TUNING;
+      stepInput = player.next() ?? NEUTRAL_INPUT;
+      if (!wasDone && player.done) {
+        onReplayEnd(player.matchesEnd(bodies.sled.translation()));
+      }
+    } else if (!isRunOver(runPhase.current)) {
+      recorder.current?.push(stepInput, bodies.sled.translation());
     }
 
-    sled.current.setAdditionalMass(cargoKg);
+    stepSimulation(sim.current, bodies, level, stepInput, world.timestep);
+    stepInputRef.current = stepInput;
 
-    ui.current = { stamina: newStamina, fatigue: newFatigue, speed, zone: zone.type, snag };
+    // Run bookkeeping: the clock starts on the first push, and the run ends if Buck stays
+    // spent, the team can't shift the stuck sled or the sled leaves the map
+    if (runPhase.current === RUN_READY && (stepInput.forward > 0 || stepInput.pull)) {
+      runPhase.current = RUN_RUNNING;
+      onRunEvent({ type: "start" });
+    }
+
+    if (runPhase.current === RUN_RUNNING) {
+      runClock.current += world.timestep;
+      telemetry.current?.push(sim.current, bodies.sled.translation(), stepInput);
+
+      // Only a running attempt can get stuck, so waiting at the start never counts
+      stuckTime.current = sim.current.stuck ? stuckTime.current + world.timestep : 0;
+      if (sim.current.spentTime >= EXHAUSTION_GRACE_SECONDS || stuckTime.current >= STUCK_GRACE_SECONDS) {
+        runPhase.current = RUN_EXHAUSTED;
+        onRunEvent({ type: "finish", outcome: RUN_EXHAUSTED });
+      } else if (isOutOfBounds(level, bodies.sled.translation())) {
+        runPhase.current = RUN_ABANDONED;
+        onRunEvent({ type: "finish", outcome: RUN_ABANDONED });
+      }
+    }
   });
 
+  const ghost = Boolean(replay);
+
   return (
     <>
-      {/* Buck (dog placeholder) */}
-      <RigidBody ref={buck} colliders={false} position={[0, 0.6, -10]} linearDamping={0.6} angularDamping={1} mass={30}>
-        <mesh castShadow>
-          <capsuleGeometry args={[0.4, 0.8, 8, 16]} />
-          <meshStandardMaterial color={instinct ? "#dddddd" : "#c7a27c"} />
-        </mesh>
-        <CylinderCollider args={[0.4, 0.3]} position={[0, 0, 0]} />
-      </RigidBody>
+      {/* The team, Buck in the lead */}
+      {dogBodies.map((body, index) => (
+        <TeamDog
+          key={sim.current.dogs[index].id}
+          body={body}
+          sim={sim}
+          dogIndex={index}
+          position={spawn.dogs[index]}
+          input={stepInputRef}
+          instinct={instinct}
+          ghost={ghost}
+        />
+      ))}
 
       {/* Sled */}
-      <RigidBody ref={sled} position={[0, 0.5, -12]} linearDamping={0.35} angularDamping={0.6}>
+      <RigidBody
+        ref={sled}
+        colliders={false}
+        position={spawn.sled}
+        linearDamping={SLED_BODY.linearDamping}
+        angularDamping={SLED_BODY.angularDamping}
+        userData={{ role: "sled" }}
+      >
         <group>
           <mesh castShadow>
             <boxGeometry args={[1.2, 0.3, 2.2]} />
-            <meshStandardMaterial color={instinct ? "#f2f2f2" : "#8b9299"} />
+            <meshStandardMaterial
+              color={instinct ? "#f2f2f2" : "#8b9299"}
+              transparent={ghost}
+              opacity={ghost ? GHOST_OPACITY : 1}
+            />
           </mesh>
           {/* runners */}
           <mesh position={[-0.45, -0.25, 0]} castShadow>
@@ -398,52 +1112,666 @@ function BuckAndSled({ instinct, setInstinct, ui, controls }) {
             <meshStandardMaterial color="#6d747a" />
           </mesh>
         </group>
-        <CuboidCollider args={[0.6, 0.15, 1.1]} />
+        {cargo.items.map((item, index) => (
+          <CargoMesh key={`${item.id}-${index}`} item={item} ghost={ghost} />
+        ))}
+        <CuboidCollider
+          args={SLED_BODY.halfExtents}
+          mass={SLED_BODY.mass}
+          frictionCombineRule={CoefficientCombineRule.Max}
+        />
       </RigidBody>
 
-      {/* Harness line (visual only) */}
-      <Harness a={buck} b={sled} />
+      {/* Cargo that fell off, left where it landed */}
+      {cargo.spilled.map((item, index) => (
+        <CargoMesh key={`spilled-${item.id}-${index}`} item={item} ghost={ghost} />
+      ))}
+
+      <TrackMarks level={level} sim={sim} isTouch={isTouch} snapshot={trackSnapshot} restored={contextRestores} />
+
+      {/* Tug lines, after the bodies they join */}
+      {dogBodies.map((body, index) => (
+        <Harness key={sim.current.dogs[index].id} a={body} b={sled} sim={sim} dogIndex={index} ghost={ghost} />
+      ))}
+
+      {instinct && <InstinctTrail level={level} body={buck} weather={weather} sim={sim} />}
     </>
   );
 }
 
-function UIOverlay({ uiRef, instinct, touch }) {
-  const [state, setState] = useState({ stamina: 1, fatigue: 0, speed: 0, zone: "packed", snag: false });
+// Zone tints while editing, where the pale Instinct colours are hard to tell apart
+const EDITOR_ZONE_TINTS = { packed: "#5b8fd9", ice: "#3fc6e8", deep: "#8e7cc3", path: "#e0a33c" };
+const EDITOR_SELECTION_COLOR = "#ff8a3d";
+// Later zones sit this much lower, so the one listed first (which wins) shows on top
+const EDITOR_ZONE_STEP = 0.005;
+// A click that ends further than this (px) from where it started was a camera drag
+const EDITOR_CLICK_SLOP = 4;
+// Where the editor camera starts, relative to Buck's start
+const EDITOR_CAMERA_OFFSET = [0, 40, -35];
+// The Instinct preview plans in calm weather
+const CALM_WEATHER = { current: null };
+
+function EditorZone({ level, zone, lift, preview, onClick }) {
+  const geometry = useTerrainGeometry(level, [zone.pos[0], zone.pos[2]], [zone.size[0], zone.size[2]], lift);
 
-  useFrame(() => {
-    if (uiRef.current) {
-      setState((prev) => ({ ...prev, ...uiRef.current }));
+  return (
+    <mesh geometry={geometry} onClick={onClick}>
+      <meshStandardMaterial
+        color={preview ? zone.color : EDITOR_ZONE_TINTS[zone.type]}
+        transparent
+        opacity={0.5}
+        fog={!preview}
+      />
+    </mesh>
+  );
+}
+
+/**
+ * The level editor's view of its draft: ground, zones, mounds, goals and the start markers under
+ * an orbit camera, with no physics. Clicking picks something out, or places a new one while
+ * `editor.placing` is set; a transform gizmo moves or resizes the selection when it's let go.
+ * The Instinct preview shows zones in their Instinct colours and Buck's trail from his start.
+ */
+function EditorScene({ editor, onChange, onEdit }) {
+  const { level, selection, mode, placing, preview } = editor;
+  const camera = useThree((state) => state.camera);
+  const ground = useTerrainGeometry(level, [0, 0], level.ground.size);
+  const handle = useRef();
+  const [target] = useState(() => placeOnTerrain(level, level.spawn.buck));
+  const footprint = entityFootprint(level, selection);
+  const handlePosition = footprint && placeOnTerrain(level, footprint.pos);
+  const gizmoMode = selection?.kind === "spawn" ? "translate" : mode;
+  const spawn = useMemo(
+    () => ({ buck: placeOnTerrain(level, level.spawn.buck), sled: placeOnTerrain(level, level.spawn.sled) }),
+    [level],
+  );
+  const mounds = useMemo(
+    () => level.obstacles.map((obstacle) => ({ ...obstacle, pos: placeOnTerrain(level, obstacle.pos) })),
+    [level],
+  );
+  // Stands in for Buck's body so the Instinct trail plans from his start
+  const startBody = useMemo(() => {
+    const [x, y, z] = spawn.buck;
+    return { current: { translation: () => ({ x, y, z }) } };
+  }, [spawn]);
+
+  useEffect(() => {
+    camera.position.set(...target.map((value, index) => value + EDITOR_CAMERA_OFFSET[index]));
+  }, [camera, target]);
+
+  const handleClick = (picked) => (event) => {
+    event.stopPropagation();
+    if (event.delta > EDITOR_CLICK_SLOP) return;
+    if (placing) {
+      const at = [event.point.x, event.point.z];
+      onEdit((current) => ({ ...addEntity(current.level, placing, at), placing: null }));
+    } else {
+      onChange({ selection: picked });
     }
+  };
+
+  const handleGizmoEnd = () => {
+    const object = handle.current;
+    const { x, z } = object.position;
+    const scale = object.scale.toArray();
+    // Snap back; the edited level moves the handle to wherever the change lands
+    object.position.set(...handlePosition);
+    object.scale.set(1, 1, 1);
+    onEdit((current) => ({
+      level:
+        gizmoMode === "translate"
+          ? moveEntity(current.level, current.selection, [x, z])
+          : resizeEntity(current.level, current.selection, scale),
+    }));
+  };
+
+  return (
+    <group>
+      <OrbitControls makeDefault target={target} maxPolarAngle={Math.PI / 2 - 0.05} />
+
+      <mesh geometry={ground} receiveShadow onClick={handleClick(null)}>
+        <meshStandardMaterial color={level.ground.color} />
+      </mesh>
+      {level.zones.map((zone, index) => (
+        <EditorZone
+          key={index}
+          level={level}
+          zone={zone}
+          lift={ZONE_LIFT + (level.zones.length - index) * EDITOR_ZONE_STEP}
+          preview={preview}
+          onClick={handleClick({ kind: "zone", index })}
+        />
+      ))}
+      {mounds.map((mound, index) => (
+        <mesh key={index} position={mound.pos} castShadow onClick={handleClick({ kind: "obstacle", index })}>
+          <icosahedronGeometry args={[mound.radius, 1]} />
+          <meshStandardMaterial roughness={1} metalness={0} color="#dfe7ef" />
+        </mesh>
+      ))}
+      {level.goals.map((goal, index) => {
+        const position = placeOnTerrain(level, goal.pos);
+        return (
+          <group key={index} onClick={handleClick({ kind: "goal", index })}>
+            <mesh position={position} castShadow>
+              <boxGeometry args={goal.size} />
+              <meshStandardMaterial color={preview ? "#ffffff" : "#9f947e"} />
+            </mesh>
+            <Text
+              position={[position[0], position[1] + goal.size[1] / 2 + 0.4, position[2]]}
+              fontSize={0.5}
+              color="#333"
+            >
+              {goal.label}
+            </Text>
+          </group>
+        );
+      })}
+      <mesh position={spawn.buck} castShadow onClick={handleClick({ kind: "spawn", index: "buck" })}>
+        <coneGeometry args={[0.4, 1, 12]} />
+        <meshStandardMaterial color="#c8742c" />
+      </mesh>
+      <mesh position={spawn.sled} castShadow onClick={handleClick({ kind: "spawn", index: "sled" })}>
+        <boxGeometry args={[1, 0.4, 2]} />
+        <meshStandardMaterial color="#7a5230" />
+      </mesh>
+
+      {preview && <InstinctTrail level={level} body={startBody} weather={CALM_WEATHER} />}
+
+      {footprint && (
+        <>
+          <group ref={handle} position={handlePosition}>
+            <mesh>
+              <boxGeometry args={footprint.size} />
+              <meshBasicMaterial color={EDITOR_SELECTION_COLOR} wireframe fog={false} />
+            </mesh>
+          </group>
+          <TransformControls
+            object={handle}
+            mode={gizmoMode}
+            showY={gizmoMode === "scale" && selection.kind === "goal"}
+            onMouseUp={handleGizmoEnd}
+          />
+        </>
+      )}
+    </group>
+  );
+}
+
+const RUN_RESULTS = {
+  [RUN_ARRIVED]: { title: "Made it to the cabin", tone: "text-emerald-700" },
+  [RUN_EXHAUSTED]: { title: "Buck is exhausted", tone: "text-red-700" },
+  [RUN_ABANDONED]: { title: "Run abandoned", tone: "text-slate-700" },
+};
+
+// The small meters under the stamina bar: [label, 0..1 from the HUD state, bar colour]
+const CONDITION_METERS = [
+  ["Warmth", (state) => state.warmth, "bg-orange-400"],
+  ["Fed", (state) => 1 - state.hunger, "bg-emerald-500"],
+  ["Paws", (state) => 1 - state.injury, "bg-rose-400"],
+];
+
+function UIOverlay({
+  uiRef,
+  level,
+  instinct,
+  touch,
+  run,
+  onRestart,
+  onGiveUp,
+  replay,
+  replayActions,
+  telemetry,
+  bindings,
+  onNewRoute,
+  loadout,
+  loadoutOpen,
+  onLoadoutChange,
+  onLoadoutOpenChange,
+  dogTeam,
+  onTeamChange,
+  tuning,
+  tuningOpen,
+  onTuningChange,
+  onTuningOpenChange,
+  cameraMode,
+  onCameraModeChange,
+  fps,
+  record,
+  arrival,
+  editingControls,
+  onEditingControlsChange,
+  tips,
+  onTipDone,
+  onPause,
+}) {
+  const [state, setState] = useState({
+    stamina: 1,
+    fatigue: 0,
+    staminaCap: 1,
+    warmth: 1,
+    hunger: 0,
+    injury: 0,
+    treats: 0,
+    dogs: [],
+    speed: 0,
+    zone: "packed",
+    snag: false,
+    time: 0,
+    replayStep: 0,
+    cargoKg: 0,
+    spilledCount: 0,
+    tension: 0,
+    instinctCooldown: 0,
+    weather: "",
+    freshSnow: 0,
+    packing: 0,
+    actions: NEUTRAL_INPUT,
+    fps: 0,
   });
 
+  // The HUD lives outside the canvas, so it samples the scene's readouts once per animation frame
+  useEffect(() => {
+    let frame;
+    const sample = () => {
+      if (uiRef.current) {
+        setState((prev) => ({ ...prev, ...uiRef.current, fps: fps.current.fps }));
+      }
+      frame = requestAnimationFrame(sample);
+    };
+    frame = requestAnimationFrame(sample);
+    return () => cancelAnimationFrame(frame);
+  }, [uiRef, fps]);
+
+  const legend = useMemo(() => [...controlsLegend(bindings), "Esc: pause • C: camera • `: tuning"], [bindings]);
+  const result = RUN_RESULTS[run.status];
+
+  // One tutorial tip at a time, done once its action is used
+  const tip = replay.active
+    ? null
+    : currentTip(tips, {
+        running: run.status === RUN_RUNNING,
+        speed: state.speed,
+        stamina: state.stamina,
+        time: state.time,
+      });
+  const tipUsed = Boolean(tip && state.actions[tip.action]);
+  useEffect(() => {
+    if (tipUsed) onTipDone(tip.id);
+  }, [tipUsed, tip, onTipDone]);
+
   return (
-    <Html position={[0, 0, 0]} center style={{ pointerEvents: "none" }}>
+    <div className="pointer-events-none absolute inset-0">
       <div className="fixed left-4 bottom-4 min-w-[260px] p-3 rounded-2xl shadow-lg bg-white/70 backdrop-blur">
-        <div className="text-sm font-medium">Struggle</div>
-        <div className="w-full h-3 bg-gray-200 rounded-full overflow-hidden mt-1">
+        <div className="flex items-center justify-between text-sm font-medium">
+          <span>Struggle</span>
+          <span className="tabular-nums text-gray-700">
+            {formatRunTime(run.status === RUN_RUNNING ? state.time : run.time)}
+          </span>
+        </div>
+        <div className="relative w-full h-3 bg-gray-200 rounded-full overflow-hidden mt-1">
           <div className="h-full bg-blue-500" style={{ width: `${Math.round(state.stamina * 100)}%` }} />
+          {/* Long-term fatigue: the part of the bar stamina can't refill into until a rest stop */}
+          <div
+            className="absolute inset-y-0 right-0 bg-gray-500/60"
+            style={{ width: `${Math.round((1 - state.staminaCap) * 100)}%` }}
+          />
+        </div>
+        <div className="mt-2 grid grid-cols-[auto_1fr_auto_1fr_auto_1fr] items-center gap-x-1.5 gap-y-1 text-xs text-gray-700">
+          {CONDITION_METERS.map(([label, level, color]) => (
+            <React.Fragment key={label}>
+              <span>{label}</span>
+              <div className="h-1.5 bg-gray-200 rounded-full overflow-hidden">
+                <div className={`h-full ${color}`} style={{ width: `${Math.round(level(state) * 100)}%` }} />
+              </div>
+            </React.Fragment>
+          ))}
+        </div>
+        {state.dogs.length > 1 && (
+          <div className="mt-2 grid grid-cols-[auto_1fr] items-center gap-x-2 gap-y-1 text-xs text-gray-700">
+            {state.dogs.map((dog) => (
+              <React.Fragment key={dog.id}>
+                <span>
+                  {dog.name} <span className="text-gray-500">· {dog.position}</span>
+                </span>
+                <div className="h-1.5 bg-gray-200 rounded-full overflow-hidden">
+                  <div className="h-full bg-blue-500" style={{ width: `${Math.round(dog.stamina * 100)}%` }} />
+                </div>
+              </React.Fragment>
+            ))}
+          </div>
+        )}
+        <div className="mt-1 text-xs text-gray-700">
+          Treats: {state.treats}
+          {state.hunger >= 0.6 && (
+            <span className="text-amber-700">
+              {state.dogs.length > 1
+                ? " · The team is hungry, rest to feed them"
+                : " · Buck is hungry, rest to feed him"}
+            </span>
+          )}
+          {state.warmth < 0.3 && (
+            <span className="text-sky-700">{state.dogs.length > 1 ? " · The team is cold" : " · Buck is cold"}</span>
+          )}
         </div>
         <div className="mt-2 flex items-center justify-between text-xs text-gray-700">
-          <span>Zone: {state.zone}</span>
+          <span>
+            Zone: {state.zone}
+            {state.freshSnow >= 0.3 && state.zone !== "deep" && " (snowed over)"}
+            {state.packing >= 0.5 && state.zone !== "ice" && " · on old tracks"}
+          </span>
           <span>Speed: {state.speed.toFixed(1)} m/s</span>
         </div>
+        <div className="mt-1 flex items-center justify-between text-xs text-gray-700">
+          <span>Cargo: {Math.round(state.cargoKg)} kg</span>
+          {state.spilledCount > 0 && <span className="text-amber-700">Spilled {state.spilledCount}</span>}
+        </div>
+        <div className="mt-1 flex items-center justify-between text-xs text-gray-700">
+          <span className="tabular-nums">Line: {Math.round(state.tension)} N</span>
+          {state.tension >= TAUT_TENSION && <span className="text-red-600">Line taut!</span>}
+        </div>
+        {state.weather && <div className="mt-1 text-xs text-gray-600">{state.weather}</div>}
+        {level?.seed && <div className="mt-1 text-xs text-gray-500">{level.name}</div>}
+        {record && <div className="mt-1 text-xs tabular-nums text-gray-500">Best: {formatRunTime(record.time)}</div>}
         {state.snag && <div className="mt-2 text-xs text-red-600">Snag! Angle and yank.</div>}
-        {instinct && <div className="mt-2 text-xs text-indigo-700">Instinct Mode</div>}
+        {instinct && <div className="mt-2 text-xs text-indigo-700">Instinct Mode · following the trail</div>}
+        {!instinct && state.instinctCooldown > 0 && (
+          <div className="mt-2 text-xs text-gray-500">Instinct clears in {Math.ceil(state.instinctCooldown)} s</div>
+        )}
+        <div className="mt-2 flex items-center gap-3 text-xs text-gray-600">
+          <button
+            type="button"
+            onClick={() => onCameraModeChange(nextCameraMode(cameraMode))}
+            className="pointer-events-auto underline underline-offset-2"
+          >
+            Camera: {CAMERA_MODE_LABELS[cameraMode]}
+          </button>
+          <button type="button" onClick={onPause} className="pointer-events-auto underline underline-offset-2">
+            Pause
+          </button>
+          <span className="tabular-nums text-gray-500">{Math.round(state.fps)} fps</span>
+        </div>
+        {replay.active ? (
+          <>
+            <div className="mt-2 text-xs text-indigo-700">
+              Replay · {Math.min(100, Math.round((state.replayStep / Math.max(1, replay.steps)) * 100))}%
+            </div>
+            {replay.desynced && (
+              <div className="mt-1 text-xs text-red-600">Replay drifted from the recorded run.</div>
+            )}
+            <button
+              type="button"
+              onClick={replayActions.exit}
+              className="pointer-events-auto mt-2 text-xs text-gray-600 underline underline-offset-2"
+            >
+              Exit replay
+            </button>
+          </>
+        ) : (
+          <>
+            {run.status === RUN_READY && <div className="mt-2 text-xs text-gray-700">Move forward to start the clock.</div>}
+            <div className="mt-2 flex items-center gap-3 text-xs text-gray-600">
+              {run.status === RUN_READY && (
+                <button
+                  type="button"
+                  onClick={() => onLoadoutOpenChange(true)}
+                  className="pointer-events-auto underline underline-offset-2"
+                >
+                  Loadout
+                </button>
+              )}
+              {run.status === RUN_RUNNING && (
+                <button
+                  type="button"
+                  onClick={onGiveUp}
+                  className="pointer-events-auto underline underline-offset-2"
+                >
+                  Give up
+                </button>
+              )}
+              <button
+                type="button"
+                onClick={() => onNewRoute()}
+                className="pointer-events-auto underline underline-offset-2"
+              >
+                New route
+              </button>
+              {replayActions.watchBest && (
+                <button
+                  type="button"
+                  onClick={replayActions.watchBest}
+                  className="pointer-events-auto underline underline-offset-2"
+                >
+                  Watch best
+                </button>
+              )}
+              <label className="pointer-events-auto cursor-pointer underline underline-offset-2">
+                Load replay…
+                <input
+                  type="file"
+                  accept=".json,application/json"
+                  className="hidden"
+                  onChange={(event) => {
+                    const [file] = event.target.files;
+                    event.target.value = "";
+                    if (file) replayActions.load(file);
+                  }}
+                />
+              </label>
+            </div>
+          </>
+        )}
+        {replay.error && <div className="mt-1 text-xs text-red-600">{replay.error}</div>}
       </div>
 
-      {!touch && (
+      {tip && !result && (
+        <div className="fixed left-1/2 top-4 w-[min(420px,calc(100%-2rem))] -translate-x-1/2 rounded-2xl bg-white/85 px-4 py-2 text-sm text-slate-700 shadow-lg backdrop-blur">
+          {tipText(tip, bindings, touch)}
+          <button
+            type="button"
+            onClick={() => onTipDone(tip.id)}
+            className="pointer-events-auto ml-2 text-xs text-gray-600 underline underline-offset-2"
+          >
+            Got it
+          </button>
+        </div>
+      )}
+
+      {result && (
+        <div className="fixed inset-0 flex items-center justify-center p-6">
+          <div className="pointer-events-auto w-[340px] rounded-3xl bg-white/85 p-5 text-center shadow-xl backdrop-blur">
+            <div className={`text-lg font-semibold ${result.tone}`}>{result.title}</div>
+            <div className="mt-1 text-sm tabular-nums text-slate-700">Time: {formatRunTime(run.time)}</div>
+            {arrival?.best && <div className="mt-1 text-xs font-medium text-emerald-700">New best time!</div>}
+            {!arrival?.best && record && run.status === RUN_ARRIVED && (
+              <div className="mt-1 text-xs tabular-nums text-slate-600">Best: {formatRunTime(record.time)}</div>
+            )}
+            {arrival?.unlocked.map((id) => (
+              <button
+                key={id}
+                type="button"
+                onClick={() => onNewRoute(id.replace("difficulty:", ""))}
+                className="mt-1 block w-full text-xs font-medium text-indigo-700 underline underline-offset-2"
+              >
+                Unlocked {id.replace("difficulty:", "")} routes · try one
+              </button>
+            ))}
+            <div className="mt-1 text-xs tabular-nums text-slate-600">
+              Cargo: {Math.round(state.cargoKg)} of {loadoutMass(loadout)} kg
+            </div>
+            {telemetry && <TelemetryPanel report={telemetry} />}
+            <button
+              type="button"
+              onClick={onRestart}
+              className="mt-4 rounded-2xl bg-blue-500 px-4 py-2 text-sm font-medium text-white shadow active:bg-blue-600"
+            >
+              {replay.active ? "Watch again" : "Restart"}
+            </button>
+            {!touch && <div className="mt-2 text-xs text-slate-500">or press Enter</div>}
+            <button
+              type="button"
+              onClick={replay.active ? replayActions.exit : replayActions.download}
+              className="mt-3 block w-full text-xs text-slate-600 underline underline-offset-2"
+            >
+              {replay.active ? "Exit replay" : "Download replay"}
+            </button>
+            <button
+              type="button"
+              onClick={replayActions.downloadTracks}
+              className="mt-1 block w-full text-xs text-slate-600 underline underline-offset-2"
+            >
+              Download track map
+            </button>
+          </div>
+        </div>
+      )}
+
+      {!touch && !editingControls && (
         <div className="fixed right-4 bottom-4 p-3 rounded-2xl shadow bg-white/70 backdrop-blur text-xs leading-5">
-          <div className="font-semibold mb-1">Controls</div>
-          <div>W/S: move • A/D: steer</div>
-          <div>Shift: Pull • Ctrl: Brake</div>
-          <div>Q: Instinct • R: Rest</div>
+          <div className="mb-1 flex items-center justify-between gap-4">
+            <span className="font-semibold">Controls</span>
+            <button
+              type="button"
+              onClick={() => onEditingControlsChange(true)}
+              className="pointer-events-auto text-gray-600 underline underline-offset-2"
+            >
+              Rebind
+            </button>
+          </div>
+          {legend.map((line) => (
+            <div key={line}>{line}</div>
+          ))}
+        </div>
+      )}
+
+      {loadoutOpen && run.status === RUN_READY && (
+        <LoadoutPanel
+          loadout={loadout}
+          onChange={onLoadoutChange}
+          team={dogTeam}
+          onTeamChange={onTeamChange}
+          onStart={() => onLoadoutOpenChange(false)}
+        />
+      )}
+
+      {tuningOpen && (
+        <TuningPanel tuning={tuning} onChange={onTuningChange} onClose={() => onTuningOpenChange(false)} />
+      )}
+    </div>
+  );
+}
+
+// Thumbstick geometry (px) and the hold-to-pull gesture: keep the stick pinned forward at the rim
+// for a moment and Buck digs in until the thumb eases off.
+const STICK_RADIUS = 56;
+const STICK_DEADZONE = 0.12;
+const HOLD_TO_PULL_MS = 400;
+const HOLD_TO_PULL_ENGAGE = 0.95;
+const HOLD_TO_PULL_RELEASE = 0.8;
+
+function TouchStick({ onChange }) {
+  const [knob, setKnob] = useState({ x: 0, y: 0, pulling: false });
+  const pointerRef = useRef(null);
+  const holdTimerRef = useRef(null);
+  const pullingRef = useRef(false);
+  const axesRef = useRef({ forward: 0, steer: 0 });
+
+  const clearHoldTimer = () => {
+    clearTimeout(holdTimerRef.current);
+    holdTimerRef.current = null;
+  };
+
+  useEffect(() => () => clearTimeout(holdTimerRef.current), []);
+
+  const emit = (x, y, pulling) => {
+    // Screen up is forward; screen left steers left (+1), matching the A key
+    const [steer, forward] = applyStickDeadzone(-x / STICK_RADIUS, -y / STICK_RADIUS, STICK_DEADZONE);
+    axesRef.current = { forward, steer };
+    setKnob({ x, y, pulling });
+    onChange({ forward, steer, pull: pulling });
+  };
+
+  const update = (event) => {
+    const bounds = event.currentTarget.getBoundingClientRect();
+    let x = event.clientX - (bounds.left + bounds.width / 2);
+    let y = event.clientY - (bounds.top + bounds.height / 2);
+    const distance = Math.hypot(x, y);
+    if (distance > STICK_RADIUS) {
+      x = (x / distance) * STICK_RADIUS;
+      y = (y / distance) * STICK_RADIUS;
+    }
+
+    const deflection = Math.min(1, distance / STICK_RADIUS);
+    const pushingForward = -y / STICK_RADIUS >= HOLD_TO_PULL_RELEASE;
+
+    if (pullingRef.current && (!pushingForward || deflection < HOLD_TO_PULL_RELEASE)) {
+      pullingRef.current = false;
+    }
+
+    if (!pullingRef.current && pushingForward && deflection >= HOLD_TO_PULL_ENGAGE) {
+      if (!holdTimerRef.current) {
+        holdTimerRef.current = setTimeout(() => {
+          holdTimerRef.current = null;
+          pullingRef.current = true;
+          setKnob((prev) => ({ ...prev, pulling: true }));
+          onChange({ ...axesRef.current, pull: true });
+        }, HOLD_TO_PULL_MS);
+      }
+    } else {
+      clearHoldTimer();
+    }
+
+    emit(x, y, pullingRef.current);
+  };
+
+  const handlePointerDown = (event) => {
+    event.preventDefault();
+    pointerRef.current = event.pointerId;
+    event.currentTarget.setPointerCapture?.(event.pointerId);
+    update(event);
+  };
+
+  const handlePointerMove = (event) => {
+    if (pointerRef.current !== event.pointerId) return;
+    update(event);
+  };
+
+  const handlePointerUp = (event) => {
+    if (pointerRef.current !== event.pointerId) return;
+    event.preventDefault();
+    pointerRef.current = null;
+    pullingRef.current = false;
+    clearHoldTimer();
+    emit(0, 0, false);
+  };
+
+  return (
+    <div
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={handlePointerUp}
+      onPointerCancel={handlePointerUp}
+      onContextMenu={(event) => event.preventDefault()}
+      className={`relative mx-auto rounded-full border-2 bg-white/60 shadow-inner transition-colors ${
+        knob.pulling ? "border-blue-400" : "border-white/70"
+      }`}
+      style={{ width: STICK_RADIUS * 2 + 32, height: STICK_RADIUS * 2 + 32 }}
+    >
+      <div
+        className={`pointer-events-none absolute left-1/2 top-1/2 h-14 w-14 rounded-full shadow ${
+          knob.pulling ? "bg-blue-200" : "bg-white"
+        }`}
+        style={{ transform: `translate(calc(-50% + ${knob.x}px), calc(-50% + ${knob.y}px))` }}
+      />
+      {knob.pulling && (
+        <div className="pointer-events-none absolute inset-x-0 top-1 text-center text-[10px] font-semibold text-blue-700">
+          Pulling
         </div>
       )}
-    </Html>
+    </div>
   );
 }
 
-function TouchControls({ onChange }) {
+function TouchControls({ onChange, layout, onLayoutChange }) {
   const [buttons, setButtons] = useState({
     forward: false,
     backward: false,
@@ -454,17 +1782,19 @@ function TouchControls({ onChange }) {
     rest: false,
     instinct: false,
   });
+  const [stick, setStick] = useState({ forward: 0, steer: 0, pull: false });
 
   useEffect(() => {
+    const stickActive = layout === "stick";
     onChange({
-      forward: (buttons.forward ? 1 : 0) + (buttons.backward ? -1 : 0),
-      steer: (buttons.left ? 1 : 0) + (buttons.right ? -1 : 0),
-      pull: buttons.pull,
+      forward: (buttons.forward ? 1 : 0) + (buttons.backward ? -1 : 0) + (stickActive ? stick.forward : 0),
+      steer: (buttons.left ? 1 : 0) + (buttons.right ? -1 : 0) + (stickActive ? stick.steer : 0),
+      pull: buttons.pull || (stickActive && stick.pull),
       brake: buttons.brake,
       rest: buttons.rest,
       instinct: buttons.instinct,
     });
-  }, [buttons, onChange]);
+  }, [buttons, stick, layout, onChange]);
 
   const toggle = (name, active) => {
     setButtons((prev) => (prev[name] === active ? prev : { ...prev, [name]: active }));
@@ -475,24 +1805,49 @@ function TouchControls({ onChange }) {
   return (
     <div className="pointer-events-none absolute inset-0 flex flex-col justify-end p-4">
       <div className="pointer-events-auto select-none touch-none rounded-3xl bg-white/65 p-4 shadow-xl backdrop-blur">
-        <div className="text-center text-sm font-semibold text-slate-700">Touch Controls</div>
-        <div className="mt-3 grid grid-cols-3 gap-2 text-xs font-medium text-slate-700">
-          <TouchButton label="" disabled />
-          <TouchButton label="Forward" onChange={handleChange("forward")} />
-          <TouchButton label="" disabled />
-          <TouchButton label="Left" onChange={handleChange("left")} />
-          <TouchButton label="Rest" onChange={handleChange("rest")} />
-          <TouchButton label="Right" onChange={handleChange("right")} />
-          <TouchButton label="" disabled />
-          <TouchButton label="Back" onChange={handleChange("backward")} />
-          <TouchButton label="" disabled />
+        <div className="flex items-center justify-between text-sm font-semibold text-slate-700">
+          <span>Touch Controls</span>
+          <div className="flex rounded-full bg-white/70 p-0.5 text-xs font-medium">
+            {TOUCH_LAYOUTS.map((option) => (
+              <button
+                key={option}
+                type="button"
+                onClick={() => onLayoutChange(option)}
+                className={`rounded-full px-3 py-1 capitalize ${layout === option ? "bg-blue-500 text-white" : ""}`}
+              >
+                {option}
+              </button>
+            ))}
+          </div>
         </div>
 
+        {layout === "stick" ? (
+          <div className="mt-3 grid grid-cols-[1fr_auto] items-center gap-3 text-xs font-medium text-slate-700">
+            <TouchStick onChange={setStick} />
+            <TouchButton label="Rest" onChange={handleChange("rest")} />
+          </div>
+        ) : (
+          <div className="mt-3 grid grid-cols-3 gap-2 text-xs font-medium text-slate-700">
+            <TouchButton label="" disabled />
+            <TouchButton label="Forward" onChange={handleChange("forward")} />
+            <TouchButton label="" disabled />
+            <TouchButton label="Left" onChange={handleChange("left")} />
+            <TouchButton label="Rest" onChange={handleChange("rest")} />
+            <TouchButton label="Right" onChange={handleChange("right")} />
+            <TouchButton label="" disabled />
+            <TouchButton label="Back" onChange={handleChange("backward")} />
+            <TouchButton label="" disabled />
+          </div>
+        )}
+
         <div className="mt-3 grid grid-cols-3 gap-2 text-xs font-medium text-slate-700">
           <TouchButton label="Pull" onChange={handleChange("pull")} />
           <TouchButton label="Brake" onChange={handleChange("brake")} />
           <TouchButton label="Instinct" onChange={handleChange("instinct")} />
         </div>
+        {layout === "stick" && (
+          <div className="mt-2 text-center text-[11px] text-slate-500">Hold the stick all the way forward to pull.</div>
+        )}
       </div>
     </div>
   );
@@ -540,17 +1895,394 @@ export default function App() {
   const [instinct, setInstinct] = useState(false);
   const uiRef = useRef({});
   const { ready: physicsReady, error: physicsError } = useRapierReady();
+  const [levelChoice, setLevelChoice] = useState(levelChoiceFromUrl);
+  const { level, difficulty, error: loadError } = useLevel(levelChoice);
+  // Open menus, innermost last: "title", "levels", "pause" and "settings". The game is frozen
+  // while any is open, and the HUD stays hidden while the title screen is underneath.
+  const [menus, setMenus] = useState(["title"]);
+  const menu = menus.at(-1) ?? null;
+  const [editingControls, setEditingControls] = useState(false);
+  // The level editor's draft and tools, kept while the draft is test-played; null until it is
+  // first opened. The game world is set aside while `editing`.
+  const [editor, setEditor] = useState(null);
+  const [editing, setEditing] = useState(false);
+  const testing = Boolean(levelChoice.draft);
+  const [run, dispatchRun] = useReducer(runReducer, initialRunState);
+  const runClock = useRef(0);
+  const recorderRef = useRef(null);
+  const trackSnapshotRef = useRef(null);
+  const telemetryRef = useRef(null);
+  // The finished run's telemetry, for the results panel
+  const [telemetryReport, setTelemetryReport] = useState(null);
+  const [replay, setReplay] = useState(null);
+  const [replayDesynced, setReplayDesynced] = useState(false);
+  const [replayError, setReplayError] = useState(null);
+  // Settings, unlocks and best runs, written back to localStorage whenever they change
+  const [save, setSave] = useState(loadSave);
+  const [saveError, setSaveError] = useState(null);
+  const { bindings, touchLayout, loadout, team: dogTeam, cameraMode, audio: audioSettings } = save.settings;
+  const { tips } = save;
+  // What the last arrival did to the save: a new best, newly unlocked difficulties
+  const [arrival, setArrival] = useState(null);
+  const levelLocked = Boolean(difficulty) && !isUnlocked(save, `difficulty:${difficulty}`);
+  const levelError = levelLocked
+    ? new Error(`Reach the cabin on an easier route first to unlock ${difficulty} routes.`)
+    : loadError;
+  // Drafts share ids with the levels they were made from, but not their records
+  const record = level && !testing ? save.records[level.id] : null;
+  // The loadout screen greets every new level; it can be reopened until the clock starts
+  const [loadoutOpen, setLoadoutOpen] = useState(true);
+  // Replays haul whatever they were recorded with
+  const activeLoadout = replay ? (replay.loadout ?? DEFAULT_LOADOUT) : loadout;
+  const activeTeam = replay ? (replay.team ?? DEFAULT_TEAM) : dogTeam;
+  // Balancing numbers, edited live in the tuning panel (backquote toggles it)
+  const [tuning, setTuning] = useState(DEFAULT_TUNING);
+  const [tuningOpen, setTuningOpen] = useState(false);
+  const teamRef = useRef(null);
+  const [audioEngine, setAudioEngine] = useState(null);
+  // Every attempt gets its own weather; replays bring the weather they were recorded in
+  const [weatherBase] = useState(randomSeed);
+  const weatherSeed = replay ? replay.weatherSeed : `${weatherBase}-${run.attempt}`;
+  const weatherRef = useRef(null);
   const isTouch = useTouchDevice();
+  // Touch overrides are read by the frame loop, so analog stick moves never re-render the scene
   const controlsRef = useRef({ forward: 0, steer: 0, pull: false, brake: false, rest: false, instinct: false });
-  const [, forceUpdate] = useState(0);
   const [canvasElement, setCanvasElement] = useState(null);
   const [contextLost, setContextLost] = useState(false);
+  // Counts WebGL context restores, so whatever lived only on the GPU can be rebuilt
+  const [contextRestores, setContextRestores] = useState(0);
+  const [contextStuck, setContextStuck] = useState(false);
+  // Auto quality starts from the device type until the frame rate says otherwise
+  const [autoTier, setAutoTier] = useState(null);
+  const qualityMonitorRef = useRef(createQualityMonitor());
+  const qualityTier = resolveQuality(save.settings.quality, autoTier ?? initialQualityTier(isTouch));
+  const qualityPreset = QUALITY_PRESETS[qualityTier];
+  const paused = menus.length > 0 || contextLost || editing;
+
+  useEffect(() => {
+    writeSave(save);
+  }, [save]);
+
+  const changeSettings = useCallback((patch) => setSave((current) => updateSettings(current, patch)), []);
+  const handleBindingsChange = useCallback((nextBindings) => changeSettings({ bindings: nextBindings }), [changeSettings]);
+  const handleTouchLayoutChange = useCallback((layout) => changeSettings({ touchLayout: layout }), [changeSettings]);
+  const handleCameraModeChange = useCallback((mode) => changeSettings({ cameraMode: mode }), [changeSettings]);
+  const handleTipDone = useCallback((id) => setSave((current) => markTipDone(current, id)), []);
+  const handleResetTips = useCallback(() => setSave((current) => ({ ...current, tips: [] })), []);
+
+  const openMenu = useCallback((name) => setMenus((current) => [...current, name]), []);
+  const closeMenu = useCallback(() => setMenus((current) => current.slice(0, -1)), []);
+  const handlePause = useCallback(() => openMenu("pause"), [openMenu]);
+
+  // Browsers only let sound start from a user gesture, so the engine waits for the first input
+  useEffect(() => {
+    let engine = null;
+    const start = () => {
+      window.removeEventListener("pointerdown", start);
+      window.removeEventListener("keydown", start);
+      try {
+        engine = createAudioEngine();
+        setAudioEngine(engine);
+      } catch (error) {
+        console.warn("Sound is unavailable", error);
+      }
+    };
+
+    window.addEventListener("pointerdown", start);
+    window.addEventListener("keydown", start);
+    return () => {
+      window.removeEventListener("pointerdown", start);
+      window.removeEventListener("keydown", start);
+      engine?.close();
+    };
+  }, []);
+
+  useEffect(() => {
+    audioEngine?.setMix(audioSettings);
+  }, [audioEngine, audioSettings]);
+
+  // Fall silent while the game is paused
+  useEffect(() => {
+    if (paused) {
+      audioEngine?.suspend();
+    } else {
+      audioEngine?.resume();
+    }
+  }, [audioEngine, paused]);
+
+  // Leaving the tab pauses the game, and it stays paused until the player resumes
+  useEffect(() => {
+    if (editing) return undefined;
+    const handleVisibilityChange = () => {
+      if (document.hidden) setMenus((current) => (current.length > 0 ? current : ["pause"]));
+    };
+    document.addEventListener("visibilitychange", handleVisibilityChange);
+    return () => document.removeEventListener("visibilitychange", handleVisibilityChange);
+  }, [editing]);
 
   const handleTouchControls = useCallback((nextControls) => {
     controlsRef.current = nextControls;
-    forceUpdate((value) => value + 1);
   }, []);
 
+  // Haptic bump when the sled snags, where the device supports it
+  const handleSnag = useCallback(() => {
+    if (isTouch && typeof navigator.vibrate === "function") {
+      navigator.vibrate(SNAG_VIBRATION);
+    }
+  }, [isTouch]);
+
+  const handleRunEvent = useCallback(
+    (event) => {
+      if (event.type === "finish") {
+        recorderRef.current?.setResult(event.outcome, runClock.current);
+        telemetryRef.current?.setResult(event.outcome, runClock.current);
+        setTelemetryReport(telemetryRef.current?.toJSON() ?? null);
+        // Replays don't set records; they already did when they were run. Nor do test runs of drafts.
+        if (event.outcome === RUN_ARRIVED && run.status === RUN_RUNNING && !replay && !testing) {
+          const result = recordArrival(save, {
+            levelId: level.id,
+            difficulty,
+            time: runClock.current,
+            ghost: recorderRef.current?.toJSON() ?? null,
+          });
+          setSave(result.save);
+          setArrival({ best: result.best, unlocked: result.unlocked });
+        }
+        dispatchRun({ ...event, time: runClock.current });
+        return;
+      }
+      if (event.type === "restart") {
+        runClock.current = 0;
+        setArrival(null);
+      }
+      dispatchRun(event);
+    },
+    [run.status, replay, testing, save, level, difficulty],
+  );
+
+  const handleGoalReached = useCallback(() => handleRunEvent({ type: "finish", outcome: RUN_ARRIVED }), [handleRunEvent]);
+  const handleRestart = useCallback(() => handleRunEvent({ type: "restart" }), [handleRunEvent]);
+  // A different load needs a fresh world, so changing it resets the attempt
+  const handleLoadoutChange = useCallback(
+    (nextLoadout) => {
+      changeSettings({ loadout: nextLoadout });
+      handleRestart();
+    },
+    [changeSettings, handleRestart],
+  );
+  // ...and so does a different team, which needs a body per dog
+  const handleTeamChange = useCallback(
+    (nextTeam) => {
+      changeSettings({ team: nextTeam });
+      handleRestart();
+    },
+    [changeSettings, handleRestart],
+  );
+
+  const handleGiveUp = useCallback(
+    () => handleRunEvent({ type: "finish", outcome: RUN_ABANDONED }),
+    [handleRunEvent],
+  );
+
+  // Switches level and starts playing it; a route choice without a seed gets a fresh one
+  const handlePickLevel = useCallback(
+    (choice) => {
+      const next = choice.levelId || choice.draft ? choice : { ...choice, seed: choice.seed ?? randomSeed() };
+      writeLevelChoiceToUrl(next);
+      setLevelChoice(next);
+      setReplay(null);
+      setReplayError(null);
+      setTelemetryReport(null);
+      setLoadoutOpen(true);
+      setMenus([]);
+      handleRestart();
+    },
+    [handleRestart],
+  );
+
+  // The difficulty carries over unless a new one is given
+  const handleNewRoute = useCallback(
+    (nextDifficulty) => handlePickLevel({ difficulty: nextDifficulty ?? difficulty ?? DEFAULT_DIFFICULTY }),
+    [handlePickLevel, difficulty],
+  );
+
+  const handleOpenEditor = useCallback(() => {
+    setEditor(
+      (current) =>
+        current ?? {
+          level: level ?? blankLevel(),
+          selection: null,
+          mode: "translate",
+          placing: null,
+          preview: false,
+          error: null,
+        },
+    );
+    setEditing(true);
+    setMenus([]);
+  }, [level]);
+
+  const handleEditorChange = useCallback((patch) => setEditor((current) => ({ ...current, ...patch })), []);
+
+  // Applies an edit, `(editor) => patch`; one the level format refuses is shown instead
+  const handleEdit = useCallback(
+    (change) =>
+      setEditor((current) => {
+        try {
+          return { ...current, ...change(current), error: null };
+        } catch (error) {
+          if (!(error instanceof LevelError)) throw error;
+          return { ...current, error: error.message };
+        }
+      }),
+    [],
+  );
+
+  const handleTestPlay = useCallback(() => {
+    setEditing(false);
+    handlePickLevel({ draft: editor.level });
+  }, [editor, handlePickLevel]);
+
+  const handleExitEditor = useCallback(() => {
+    setEditing(false);
+    setMenus(["title"]);
+  }, []);
+
+  const handleQuitToTitle = useCallback(() => {
+    setReplay(null);
+    setMenus(["title"]);
+    handleRestart();
+  }, [handleRestart]);
+
+  const handleRestartFromPause = useCallback(() => {
+    setMenus([]);
+    handleRestart();
+  }, [handleRestart]);
+
+  const startReplay = useCallback(
+    (text) => {
+      try {
+        const decoded = decodeReplay(text);
+        if (decoded.levelId !== level?.id) {
+          throw new ReplayError(`Replay was recorded on "${decoded.levelId}"; open that level to watch it.`);
+        }
+        setReplayError(null);
+        setReplayDesynced(false);
+        setReplay(decoded);
+        setLoadoutOpen(false);
+        handleRestart();
+      } catch (error) {
+        console.error("Failed to load replay", error);
+        setReplayError(error instanceof ReplayError ? error.message : "Replay could not be read.");
+      }
+    },
+    [level, handleRestart],
+  );
+
+  const handleLoadReplay = useCallback(async (file) => startReplay(await file.text()), [startReplay]);
+  // The level's best run is kept in the save as replay JSON
+  const handleWatchBest = useCallback(() => startReplay(JSON.stringify(record.ghost)), [startReplay, record]);
+
+  const handleDownloadReplay = useCallback(() => {
+    const recorder = recorderRef.current;
+    if (!recorder) return;
+    const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+    downloadTextFile(`buck-replay-${level.id}-${stamp}.json`, encodeReplay(recorder));
+  }, [level]);
+
+  const handleDownloadTrackMap = useCallback(() => {
+    const canvas = trackSnapshotRef.current?.();
+    if (!canvas) return;
+    const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+    canvas.toBlob((blob) => blob && downloadFile(`buck-tracks-${level.id}-${stamp}.png`, blob));
+  }, [level]);
+
+  const handleExportSave = useCallback(() => {
+    const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+    downloadTextFile(`buck-save-${stamp}.json`, encodeSave(save));
+  }, [save]);
+
+  // An imported save replaces this one outright, settings and records alike
+  const handleImportSave = useCallback(async (file) => {
+    try {
+      setSave(decodeSave(await file.text()));
+      setSaveError(null);
+    } catch (error) {
+      console.error("Failed to import save", error);
+      setSaveError(error instanceof SaveError ? error.message : "Save could not be read.");
+    }
+  }, []);
+
+  const handleExitReplay = useCallback(() => {
+    setReplay(null);
+    setReplayDesynced(false);
+    handleRestart();
+  }, [handleRestart]);
+
+  const handleReplayEnd = useCallback((matches) => {
+    if (!matches) {
+      console.warn("Replay desynced: the sled did not end where the recording says it should.");
+      setReplayDesynced(true);
+    }
+  }, []);
+
+  const replayActions = useMemo(
+    () => ({
+      load: handleLoadReplay,
+      watchBest: record?.ghost ? handleWatchBest : null,
+      download: handleDownloadReplay,
+      downloadTracks: handleDownloadTrackMap,
+      exit: handleExitReplay,
+    }),
+    [handleLoadReplay, handleWatchBest, record, handleDownloadReplay, handleDownloadTrackMap, handleExitReplay],
+  );
+
+  const saveActions = useMemo(
+    () => ({ export: handleExportSave, import: handleImportSave, error: saveError }),
+    [handleExportSave, handleImportSave, saveError],
+  );
+
+  useEffect(() => {
+    // The editor has keys of its own
+    if (editing) return undefined;
+
+    const handleKeyDown = (event) => {
+      if (event.repeat) return;
+      // Esc pauses, or backs out of the open menu; the title screen is as far back as it goes
+      if (event.code === "Escape" && !editingControls) {
+        setMenus((current) => {
+          if (current.length === 0) return ["pause"];
+          return current.length === 1 && current[0] === "title" ? current : current.slice(0, -1);
+        });
+      }
+      if (event.code === "Backquote") {
+        setTuningOpen((open) => !open);
+      }
+      // Unless the player bound C to something else
+      if (event.code === CAMERA_KEY && !Object.values(bindings.keyboard).some((codes) => codes.includes(CAMERA_KEY))) {
+        setSave((current) =>
+          updateSettings(current, { cameraMode: nextCameraMode(current.settings.cameraMode) }),
+        );
+      }
+    };
+
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [bindings, editingControls, editing]);
+
+  useEffect(() => {
+    if (!isRunOver(run.status) || menu || editing) return undefined;
+
+    const handleKeyDown = (event) => {
+      if (event.code === "Enter" || event.code === "NumpadEnter") {
+        handleRestart();
+      }
+    };
+
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [run.status, menu, editing, handleRestart]);
+
   const handleCanvasCreated = useCallback((state) => {
     setCanvasElement(state.gl.domElement);
   }, []);
@@ -558,13 +2290,17 @@ export default function App() {
   useEffect(() => {
     if (!canvasElement) return;
 
+    // Asking the browser to restore the context; it is usually lost to memory pressure, so auto
+    // quality comes back a tier lower
     const handleLost = (event) => {
       event.preventDefault();
       setContextLost(true);
+      setAutoTier((tier) => tierAfterContextLoss(qualityMonitorRef.current, tier ?? initialQualityTier(isTouch)));
     };
 
     const handleRestore = () => {
       setContextLost(false);
+      setContextRestores((count) => count + 1);
     };
 
     canvasElement.addEventListener("webglcontextlost", handleLost, { passive: false });
@@ -574,45 +2310,81 @@ export default function App() {
       canvasElement.removeEventListener("webglcontextlost", handleLost);
       canvasElement.removeEventListener("webglcontextrestored", handleRestore);
     };
-  }, [canvasElement]);
+  }, [canvasElement, isTouch]);
+
+  // Some browsers never give the context back; offer a reload once it has been a while
+  useEffect(() => {
+    if (!contextLost) return undefined;
+    const timer = setTimeout(() => setContextStuck(true), CONTEXT_RESTORE_WAIT_MS);
+    return () => {
+      clearTimeout(timer);
+      setContextStuck(false);
+    };
+  }, [contextLost]);
 
   return (
     <div className="relative h-full w-full">
       <Canvas
-        shadows={!isTouch}
+        shadows={qualityPreset.shadows}
         camera={{ position: [8, 7, 12], fov: 55 }}
-        dpr={isTouch ? [1, 1.2] : [1, 2]}
+        dpr={qualityPreset.dpr}
         gl={{
           powerPreference: isTouch ? "low-power" : "high-performance",
-          antialias: !isTouch,
+          antialias: qualityPreset.antialias,
           preserveDrawingBuffer: false,
           failIfMajorPerformanceCaveat: false,
         }}
         onCreated={handleCanvasCreated}
       >
-        <color attach="background" args={[instinct ? "#dfe6ef" : "#eef5ff"]} />
-        <CameraRig target={[0, 0.6, -6]} />
-        <hemisphereLight intensity={0.6} />
-        <directionalLight
-          castShadow={!isTouch}
-          position={[6, 8, 4]}
-          intensity={1.1}
-          shadow-mapSize-width={isTouch ? 1024 : 2048}
-          shadow-mapSize-height={isTouch ? 1024 : 2048}
+        {editing ? (
+          <EditorScene editor={editor} onChange={handleEditorChange} onEdit={handleEdit} />
+        ) : (
+          <CameraRig mode={cameraMode} level={level} team={teamRef} fallbackTarget={CAMERA_FALLBACK_TARGET} />
+        )}
+        <QualityMonitor
+          monitor={qualityMonitorRef}
+          tier={qualityTier}
+          auto={save.settings.quality === "auto"}
+          onTierChange={setAutoTier}
         />
+        <WeatherSky weather={weatherRef} instinct={editing ? editor.preview : instinct} quality={qualityPreset} />
 
-        {physicsReady && (
+        {physicsReady && level && !levelLocked && !editing && (
           <Suspense fallback={null}>
-            <Physics gravity={[0, -9.81, 0]}>
-              <Terrain />
-              {ZONES.map((zone) => (
-                <Zone key={`${zone.type}-${zone.pos.join("-")}`} zone={zone} instinct={instinct} />
+            <Physics key={`${level.id}-${run.attempt}`} gravity={[0, -9.81, 0]} paused={paused}>
+              <Terrain level={level} />
+              {level.zones.map((zone) => (
+                <Zone key={`${zone.type}-${zone.pos.join("-")}`} level={level} zone={zone} instinct={instinct} />
+              ))}
+              {level.goals.map((goal) => (
+                <Goal key={goal.id} level={level} goal={goal} instinct={instinct} onReach={handleGoalReached} />
               ))}
               <BuckAndSled
+                level={level}
+                run={run}
+                runClock={runClock}
+                onRunEvent={handleRunEvent}
+                recorder={recorderRef}
+                telemetry={telemetryRef}
+                replay={replay}
+                onReplayEnd={handleReplayEnd}
+                bindings={bindings}
+                loadout={activeLoadout}
+                dogTeam={activeTeam}
+                weatherSeed={weatherSeed}
+                weather={weatherRef}
+                tuning={tuning}
+                inputLocked={(loadoutOpen && !replay) || paused}
                 instinct={instinct}
                 setInstinct={setInstinct}
                 ui={uiRef}
-                controls={controlsRef.current}
+                controls={controlsRef}
+                onSnag={handleSnag}
+                isTouch={isTouch}
+                trackSnapshot={trackSnapshotRef}
+                team={teamRef}
+                audio={audioEngine}
+                contextRestores={contextRestores}
               />
             </Physics>
           </Suspense>
@@ -626,6 +2398,15 @@ export default function App() {
           </Html>
         )}
 
+        {levelError && !editing && (
+          <Html center>
+            <div className="max-w-sm rounded-2xl bg-white/80 px-4 py-3 text-sm text-red-700 shadow-lg">
+              <p className="font-semibold">This level could not be loaded.</p>
+              <pre className="mt-1 whitespace-pre-wrap text-xs text-slate-700">{levelError.message}</pre>
+            </div>
+          </Html>
+        )}
+
         {physicsError && (
           <Html center>
             <div className="max-w-xs rounded-2xl bg-white/80 px-4 py-3 text-sm text-red-700 shadow-lg">
@@ -637,29 +2418,120 @@ export default function App() {
           </Html>
         )}
 
-        {!isTouch && <OrbitControls enablePan={false} minDistance={6} maxDistance={24} target={[0, 0.6, -6]} />}
-        <Stars radius={120} depth={20} count={isTouch ? 800 : 2000} factor={4} fade />
-        <Environment preset="forest" />
-        <UIOverlay uiRef={uiRef} instinct={instinct} touch={isTouch} />
-
-        {/* Goal marker (cabin stand-in) */}
-        <mesh position={[0, 1.2, 110]} castShadow>
-          <boxGeometry args={[3, 2, 3]} />
-          <meshStandardMaterial color={instinct ? "#ffffff" : "#9f947e"} />
-        </mesh>
-        <Text position={[0, 2.6, 110]} fontSize={0.5} color="#333">
-          Cabin
-        </Text>
+        {/* Its environment map is rendered on the GPU, so it is rebuilt after a restore */}
+        <Environment key={contextRestores} preset="forest" />
       </Canvas>
-      {isTouch && <TouchControls onChange={handleTouchControls} />}
+      {menus[0] !== "title" && !editing && (
+        <UIOverlay
+          uiRef={uiRef}
+          level={level}
+          instinct={instinct}
+          touch={isTouch}
+          run={run}
+          onRestart={handleRestart}
+          onGiveUp={handleGiveUp}
+          replay={{ active: Boolean(replay), steps: replay?.steps ?? 0, desynced: replayDesynced, error: replayError }}
+          replayActions={replayActions}
+          telemetry={telemetryReport}
+          bindings={bindings}
+          onNewRoute={handleNewRoute}
+          loadout={activeLoadout}
+          loadoutOpen={loadoutOpen && !replay && !menu}
+          onLoadoutChange={handleLoadoutChange}
+          dogTeam={activeTeam}
+          onTeamChange={handleTeamChange}
+          onLoadoutOpenChange={setLoadoutOpen}
+          tuning={tuning}
+          tuningOpen={tuningOpen}
+          onTuningChange={setTuning}
+          onTuningOpenChange={setTuningOpen}
+          cameraMode={cameraMode}
+          onCameraModeChange={handleCameraModeChange}
+          fps={qualityMonitorRef}
+          record={record}
+          arrival={arrival}
+          editingControls={editingControls}
+          onEditingControlsChange={setEditingControls}
+          tips={tips}
+          onTipDone={handleTipDone}
+          onPause={handlePause}
+        />
+      )}
+      {isTouch && !menu && !editing && (
+        <TouchControls onChange={handleTouchControls} layout={touchLayout} onLayoutChange={handleTouchLayoutChange} />
+      )}
+      {menu === "title" && (
+        <TitleScreen
+          levelName={level?.name}
+          onPlay={closeMenu}
+          onLevels={() => openMenu("levels")}
+          onEditor={handleOpenEditor}
+          onSettings={() => openMenu("settings")}
+        />
+      )}
+      {menu === "levels" && (
+        <LevelSelect
+          levels={LEVEL_LIST}
+          save={save}
+          currentLevelId={level?.id}
+          onPick={handlePickLevel}
+          onBack={closeMenu}
+        />
+      )}
+      {menu === "pause" && (
+        <PauseMenu
+          onResume={closeMenu}
+          onRestart={handleRestartFromPause}
+          onSettings={() => openMenu("settings")}
+          onEdit={testing ? handleOpenEditor : null}
+          onQuit={handleQuitToTitle}
+        />
+      )}
+      {menu === "settings" && (
+        <SettingsPanel
+          settings={save.settings}
+          qualityTier={qualityTier}
+          touch={isTouch}
+          saveActions={saveActions}
+          onChange={changeSettings}
+          onRebind={() => setEditingControls(true)}
+          onResetTips={handleResetTips}
+          onBack={closeMenu}
+        />
+      )}
+      {editing && (
+        <EditorPanel
+          editor={editor}
+          onChange={handleEditorChange}
+          onEdit={handleEdit}
+          onPlay={handleTestPlay}
+          onExit={handleExitEditor}
+        />
+      )}
+      {editingControls && (
+        <ControlsPanel
+          bindings={bindings}
+          defaults={DEFAULT_BINDINGS}
+          onChange={handleBindingsChange}
+          onClose={() => setEditingControls(false)}
+        />
+      )}
       {contextLost && (
         <div className="pointer-events-none absolute inset-0 flex items-center justify-center p-6">
           <div className="pointer-events-auto max-w-xs rounded-3xl bg-white/85 p-4 text-center text-sm text-slate-700 shadow-xl backdrop-blur">
             <p className="font-semibold">3D paused to protect your device.</p>
             <p className="mt-2 text-xs leading-5">
-              Reload the page or close other tabs/apps before trying again. Lower-power mode will resume automatically
-              after a refresh.
+              The run is on hold while the graphics recover; it carries on by itself, at lower quality if needed.
             </p>
+            {contextStuck && (
+              <button
+                type="button"
+                onClick={() => window.location.reload()}
+                className="mt-3 rounded-2xl bg-blue-500 px-4 py-2 text-sm font-medium text-white shadow active:bg-blue-600"
+              >
+                Reload
+              </button>
+            )}
           </div>
         </div>
       )}
@@ -0,0 +1,84 @@
+import React, { useEffect, useRef } from "react";
+import { useFrame, useThree } from "@react-three/fiber";
+import { OrbitControls } from "@react-three/drei";
+import * as THREE from "three";
+import { chaseView, cinematicView, clearView, createCameraState, smoothing } from "../lib/camera.js";
+import { getHeightmap, heightAt } from "../lib/terrain.js";
+
+// How quickly (1/s) the camera and its aim close on the mode's goal, and how far (m) the goal
+// may jump (a new attempt, a new route) before the camera cuts to it instead.
+const POSITION_RATE = 4;
+const TARGET_RATE = 8;
+const CUT_DISTANCE = 30;
+const ORBIT_CLEARANCE = 0.6;
+
+/**
+ * Drives the camera in the given mode (see src/lib/camera.js) around the team. `team` is a ref
+ * to `{ buck, sled }` rigid body refs; until it is set the camera looks at `fallbackTarget`.
+ */
+export default function CameraRig({ mode, level, team, fallbackTarget }) {
+  const camera = useThree((state) => state.camera);
+  const controls = useRef();
+  const view = useRef(createCameraState());
+  // The mode's smoothed goal, before `clearView` pulls the camera in
+  const smoothed = useRef(null);
+  const lastFocus = useRef(null);
+
+  useEffect(() => {
+    view.current = createCameraState();
+    smoothed.current = null;
+    lastFocus.current = null;
+  }, [mode, level]);
+
+  useFrame((state, delta) => {
+    const dt = Math.min(delta, 0.1);
+    const buck = team.current?.buck.current;
+    const sled = team.current?.sled.current;
+    if (!buck || !sled || !level) {
+      camera.lookAt(...fallbackTarget);
+      return;
+    }
+    const focus = buck.translation();
+
+    if (mode === "orbit") {
+      // Carry the orbit along with Buck, keeping whatever angle the player dragged it to
+      const target = controls.current?.target;
+      if (!target) return;
+      if (lastFocus.current && lastFocus.current.distanceTo(focus) < CUT_DISTANCE) {
+        const shift = new THREE.Vector3().subVectors(focus, lastFocus.current);
+        target.add(shift);
+        camera.position.add(shift);
+      } else {
+        target.set(focus.x, focus.y, focus.z);
+      }
+      lastFocus.current = new THREE.Vector3(focus.x, focus.y, focus.z);
+      const ground = heightAt(getHeightmap(level), camera.position.x, camera.position.z);
+      camera.position.y = Math.max(camera.position.y, ground + ORBIT_CLEARANCE);
+      return;
+    }
+
+    const goal =
+      mode === "cinematic"
+        ? cinematicView(view.current, level, focus, dt)
+        : chaseView(view.current, focus, sled.translation(), dt);
+    const previous = smoothed.current;
+    if (!previous || previous.position.distanceTo(goal.position) > CUT_DISTANCE) {
+      smoothed.current = {
+        position: new THREE.Vector3(goal.position.x, goal.position.y, goal.position.z),
+        target: new THREE.Vector3(goal.target.x, goal.target.y, goal.target.z),
+      };
+    } else {
+      previous.position.lerp(goal.position, smoothing(POSITION_RATE, dt));
+      previous.target.lerp(goal.target, smoothing(TARGET_RATE, dt));
+    }
+
+    const { position, target } = smoothed.current;
+    const clear = clearView(view.current, level, target, position, dt);
+    camera.position.set(clear.x, clear.y, clear.z);
+    camera.lookAt(target);
+  });
+
+  return mode === "orbit" ? (
+    <OrbitControls ref={controls} enablePan={false} minDistance={4} maxDistance={30} maxPolarAngle={Math.PI * 0.48} />
+  ) : null;
+}
@@ -0,0 +1,128 @@
+import React, { useEffect, useState } from "react";
+import { BINDING_SLOTS, describeSlot, rebind } from "../lib/input.js";
+
+function pressedButtons(gamepads) {
+  const pressed = new Set();
+  for (const gamepad of gamepads) {
+    if (!gamepad?.connected) continue;
+    gamepad.buttons.forEach((button, index) => {
+      if (button.pressed) pressed.add(index);
+    });
+  }
+  return pressed;
+}
+
+const readGamepads = () => (typeof navigator.getGamepads === "function" ? [...navigator.getGamepads()] : []);
+
+/**
+ * Rebinding screen: click a slot, then press the key or gamepad button it should use. Escape
+ * cancels. Changes are applied (and persisted by the owner) immediately.
+ */
+export default function ControlsPanel({ bindings, defaults, onChange, onClose }) {
+  const [listening, setListening] = useState(null);
+
+  // Keyboard capture: runs in the capture phase and stops the event so the key being bound
+  // does not also drive Buck
+  useEffect(() => {
+    if (listening?.device !== "keyboard") return undefined;
+
+    const handleKeyDown = (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+      if (event.code !== "Escape") {
+        onChange(rebind(bindings, "keyboard", listening.slotId, event.code));
+      }
+      setListening(null);
+    };
+
+    window.addEventListener("keydown", handleKeyDown, { capture: true });
+    return () => window.removeEventListener("keydown", handleKeyDown, { capture: true });
+  }, [listening, bindings, onChange]);
+
+  // Gamepad capture: the first button that goes down after listening starts
+  useEffect(() => {
+    if (listening?.device !== "gamepad") return undefined;
+
+    const heldAtStart = pressedButtons(readGamepads());
+    let frame;
+
+    const poll = () => {
+      const pressed = pressedButtons(readGamepads());
+      const fresh = [...pressed].find((index) => !heldAtStart.has(index));
+      for (const index of heldAtStart) {
+        if (!pressed.has(index)) heldAtStart.delete(index);
+      }
+
+      if (fresh !== undefined) {
+        onChange(rebind(bindings, "gamepad", listening.slotId, fresh));
+        setListening(null);
+        return;
+      }
+      frame = requestAnimationFrame(poll);
+    };
+
+    const handleEscape = (event) => {
+      if (event.code === "Escape") setListening(null);
+    };
+
+    frame = requestAnimationFrame(poll);
+    window.addEventListener("keydown", handleEscape);
+    return () => {
+      cancelAnimationFrame(frame);
+      window.removeEventListener("keydown", handleEscape);
+    };
+  }, [listening, bindings, onChange]);
+
+  const slotButton = (device, slotId) => {
+    const active = listening?.device === device && listening.slotId === slotId;
+    return (
+      <button
+        type="button"
+        onClick={() => setListening(active ? null : { device, slotId })}
+        className={`min-w-[88px] rounded-xl border px-2 py-1 text-left ${
+          active ? "border-blue-400 bg-blue-50 text-blue-700" : "border-white/60 bg-white/70"
+        }`}
+      >
+        {active ? "Press…" : describeSlot(bindings, device, slotId)}
+      </button>
+    );
+  };
+
+  return (
+    <div className="pointer-events-auto fixed right-4 bottom-4 w-[320px] rounded-2xl bg-white/85 p-3 text-xs shadow-xl backdrop-blur">
+      <div className="mb-2 flex items-center justify-between">
+        <span className="text-sm font-semibold">Controls</span>
+        <button type="button" onClick={onClose} className="text-gray-600 underline underline-offset-2">
+          Done
+        </button>
+      </div>
+
+      <div className="grid grid-cols-[1fr_auto_auto] items-center gap-x-2 gap-y-1">
+        <span />
+        <span className="text-gray-500">Keyboard</span>
+        <span className="text-gray-500">Gamepad</span>
+        {BINDING_SLOTS.map((slot) => (
+          <React.Fragment key={slot.id}>
+            <span>{slot.label}</span>
+            {slotButton("keyboard", slot.id)}
+            {slotButton("gamepad", slot.id)}
+          </React.Fragment>
+        ))}
+      </div>
+
+      <div className="mt-3 flex items-center justify-between text-gray-600">
+        <span>Left stick moves and steers. Esc cancels.</span>
+        <button
+          type="button"
+          onClick={() => {
+            setListening(null);
+            onChange(defaults);
+          }}
+          className="underline underline-offset-2"
+        >
+          Reset
+        </button>
+      </div>
+    </div>
+  );
+}
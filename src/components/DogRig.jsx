@@ -0,0 +1,148 @@
+import React, { useEffect, useMemo, useRef } from "react";
+import { useFrame } from "@react-three/fiber";
+import * as THREE from "three";
+import { createGaitState, gaitPose, updateGait } from "../lib/gait.js";
+
+// Leg geometry (m): hip sockets relative to the body, and the two segments down to the paw.
+// With the body at rest the paws sit on the bottom of Buck's collider, 0.4 below its centre.
+// Buck faces +z, so his left is -x. Order matches the legs in gaitPose.
+const HIP_SOCKETS = [
+  [-0.1, 0, 0.26],
+  [0.1, 0, 0.26],
+  [-0.1, 0, -0.26],
+  [0.1, 0, -0.26],
+];
+const UPPER_LEG = 0.2;
+const LOWER_LEG = 0.2;
+const TAIL_BASE_ANGLE = 0.5;
+
+function Leg({ socket, hipRef, kneeRef, fur, dark }) {
+  return (
+    <group ref={hipRef} position={socket}>
+      <mesh position={[0, -UPPER_LEG / 2, 0]} material={fur} castShadow>
+        <capsuleGeometry args={[0.05, UPPER_LEG - 0.05, 4, 8]} />
+      </mesh>
+      <group ref={kneeRef} position={[0, -UPPER_LEG, 0]}>
+        <mesh position={[0, -LOWER_LEG / 2, 0]} material={fur} castShadow>
+          <capsuleGeometry args={[0.038, LOWER_LEG - 0.04, 4, 8]} />
+        </mesh>
+        <mesh position={[0, -LOWER_LEG + 0.02, 0.03]} material={dark} castShadow>
+          <sphereGeometry args={[0.045, 8, 6]} />
+        </mesh>
+      </group>
+    </group>
+  );
+}
+
+/**
+ * A procedurally built sled dog (Buck, unless told otherwise). Sits inside his rigid body and
+ * poses itself every frame from the gait blend in src/lib/gait.js: stride from his speed, lean
+ * from his pull force, hanging head and tail when he is spent or worn out, and a shiver while the
+ * sled is snagged.
+ *
+ * body     – ref to the dog's rigid body (for his speed)
+ * sim      – ref to the simulation state
+ * dogIndex – which of `sim.dogs` he is
+ * coat     – fur colour (src/lib/team.js)
+ * input    – ref to the input the last simulation step used
+ */
+export default function DogRig({ body, sim, dogIndex = 0, coat = "#c7a27c", input, instinct, ghost, opacity }) {
+  const gait = useRef(createGaitState());
+  const root = useRef();
+  const head = useRef();
+  const tail = useRef();
+  const hips = [useRef(), useRef(), useRef(), useRef()];
+  const knees = [useRef(), useRef(), useRef(), useRef()];
+
+  const materials = useMemo(() => {
+    const make = (color) =>
+      new THREE.MeshStandardMaterial({ color, roughness: 0.9, transparent: ghost, opacity: ghost ? opacity : 1 });
+    return {
+      fur: make(instinct ? "#dddddd" : coat),
+      light: make(instinct ? "#eeeeee" : "#eadbc4"),
+      dark: make(instinct ? "#bbbbbb" : "#3b2f28"),
+      harness: make(instinct ? "#cccccc" : "#b8312f"),
+    };
+  }, [instinct, ghost, opacity, coat]);
+
+  useEffect(() => () => Object.values(materials).forEach((material) => material.dispose()), [materials]);
+
+  useFrame((state, delta) => {
+    if (!body.current || !root.current) return;
+
+    const velocity = body.current.linvel();
+    const speed = Math.hypot(velocity.x, velocity.z);
+    const step = input.current;
+    const { pullForce, stamina } = sim.current.dogs[dogIndex];
+    // Out of wind or worn out, he looks it
+    const fatigue = Math.max(sim.current.dogs[dogIndex].fatigue, 1 - stamina);
+
+    updateGait(
+      gait.current,
+      { speed, forward: step.forward, pulling: step.pull, braking: step.brake, resting: step.rest, fatigue },
+      Math.min(delta, 0.1),
+    );
+    const pose = gaitPose(gait.current, {
+      pullForce: step.forward > 0 ? pullForce : 0,
+      fatigue,
+      strain: sim.current.snag ? 1 : 0,
+      time: state.clock.elapsedTime,
+    });
+
+    root.current.position.y = -pose.drop;
+    root.current.rotation.set(pose.pitch, 0, pose.roll);
+    head.current.rotation.x = pose.head;
+    tail.current.rotation.x = TAIL_BASE_ANGLE + pose.tail;
+    pose.legs.forEach((leg, index) => {
+      // The pitch tips the body; counter it so the legs stay under him
+      hips[index].current.rotation.x = leg.hip - pose.pitch;
+      knees[index].current.rotation.x = leg.knee;
+    });
+  });
+
+  const { fur, light, dark, harness } = materials;
+
+  return (
+    <group ref={root}>
+      {/* Torso, chest and harness */}
+      <mesh position={[0, 0.1, -0.02]} rotation-x={Math.PI / 2} material={fur} castShadow>
+        <capsuleGeometry args={[0.16, 0.5, 6, 12]} />
+      </mesh>
+      <mesh position={[0, 0.11, 0.22]} material={light} castShadow>
+        <sphereGeometry args={[0.18, 12, 10]} />
+      </mesh>
+      <mesh position={[0, 0.11, 0.12]} material={harness}>
+        <torusGeometry args={[0.18, 0.025, 6, 16]} />
+      </mesh>
+
+      {/* Head */}
+      <group ref={head} position={[0, 0.24, 0.36]}>
+        <mesh position={[0, 0.06, 0.06]} material={fur} castShadow>
+          <sphereGeometry args={[0.12, 12, 10]} />
+        </mesh>
+        <mesh position={[0, 0.02, 0.19]} material={light} castShadow>
+          <boxGeometry args={[0.09, 0.08, 0.16]} />
+        </mesh>
+        <mesh position={[0, 0.04, 0.28]} material={dark}>
+          <sphereGeometry args={[0.025, 8, 6]} />
+        </mesh>
+        {[0.06, -0.06].map((x) => (
+          <mesh key={x} position={[x, 0.18, 0.03]} material={fur} castShadow>
+            <coneGeometry args={[0.04, 0.1, 6]} />
+          </mesh>
+        ))}
+      </group>
+
+      {/* Tail */}
+      <group ref={tail} position={[0, 0.16, -0.34]}>
+        <mesh position={[0, 0, -0.14]} rotation-x={-Math.PI / 2} material={fur} castShadow>
+          <coneGeometry args={[0.045, 0.3, 8]} />
+        </mesh>
+      </group>
+
+      {HIP_SOCKETS.map((socket, index) => (
+        <Leg key={socket.join(",")} socket={socket} hipRef={hips[index]} kneeRef={knees[index]} fur={fur} dark={dark} />
+      ))}
+    </group>
+  );
+}
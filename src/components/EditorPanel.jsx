@@ -0,0 +1,263 @@
+import React, { useEffect } from "react";
+import { SURFACE_TYPES } from "../lib/surfaces.js";
+import { LevelError } from "../lib/level.js";
+import { downloadTextFile } from "../lib/files.js";
+import {
+  blankLevel,
+  canRemove,
+  decodeLevel,
+  encodeLevel,
+  moveEntity,
+  removeEntity,
+  selectedEntity,
+  updateEntity,
+  updateLevelInfo,
+} from "../lib/editor.js";
+
+const SECTION = "mt-3 mb-1 text-gray-500";
+const LINK = "underline underline-offset-2";
+const FIELD = "rounded-lg border border-white/60 bg-white/70 px-1";
+
+const ADDABLE = [
+  ["zone", "Zone"],
+  ["obstacle", "Mound"],
+  ["goal", "Goal"],
+];
+const TOOLS = [
+  ["translate", "Move"],
+  ["scale", "Resize"],
+];
+const SELECTION_TITLES = { zone: "Zone", obstacle: "Mound", goal: "Goal" };
+const SPAWN_TITLES = { buck: "Buck's start", sled: "Sled's start" };
+
+// Fields commit when they lose focus or on Enter, so half-typed numbers never reach the level.
+// Keyed on their value, they reset when the level changes underneath them.
+function Field({ label, value, type = "number", onCommit }) {
+  return (
+    <label className="flex items-center justify-between gap-2">
+      <span>{label}</span>
+      <input
+        key={value}
+        type={type}
+        defaultValue={value}
+        step="any"
+        onBlur={(event) => {
+          const text = event.target.value;
+          if (text !== String(value)) onCommit(type === "number" ? Number(text) : text);
+        }}
+        onKeyDown={(event) => {
+          if (event.key === "Enter") event.currentTarget.blur();
+        }}
+        className={type === "number" ? `${FIELD} w-20 text-right tabular-nums` : `${FIELD} w-40`}
+      />
+    </label>
+  );
+}
+
+function SelectionFields({ level, selection, onEdit }) {
+  const entity = selectedEntity(level, selection);
+  const update = (patch) => onEdit(({ level: current }) => ({ level: updateEntity(current, selection, patch) }));
+  const move = (axis, value) => {
+    const [x, , z] = entity.pos;
+    const to = axis === "x" ? [value, z] : [x, value];
+    onEdit(({ level: current }) => ({ level: moveEntity(current, selection, to) }));
+  };
+  const resize = (axis, value) =>
+    update({ size: entity.size.map((extent, index) => (index === axis ? value : extent)) });
+
+  return (
+    <div className="flex flex-col gap-1">
+      <Field label="X" value={entity.pos[0]} onCommit={(value) => move("x", value)} />
+      <Field label="Z" value={entity.pos[2]} onCommit={(value) => move("z", value)} />
+      {selection.kind === "zone" && (
+        <>
+          <label className="flex items-center justify-between">
+            <span>Type</span>
+            <select
+              value={entity.type}
+              onChange={(event) => update({ type: event.target.value })}
+              className="rounded-lg border border-white/60 bg-white/70 px-1 capitalize"
+            >
+              {SURFACE_TYPES.map((type) => (
+                <option key={type} value={type}>
+                  {type}
+                </option>
+              ))}
+            </select>
+          </label>
+          <Field label="Width" value={entity.size[0]} onCommit={(value) => resize(0, value)} />
+          <Field label="Depth" value={entity.size[2]} onCommit={(value) => resize(2, value)} />
+          <label className="flex items-center justify-between">
+            <span>Instinct colour</span>
+            <input type="color" value={entity.color} onChange={(event) => update({ color: event.target.value })} />
+          </label>
+        </>
+      )}
+      {selection.kind === "obstacle" && (
+        <Field label="Radius" value={entity.radius} onCommit={(value) => update({ radius: value })} />
+      )}
+      {selection.kind === "goal" && (
+        <>
+          <Field label="Label" type="text" value={entity.label} onCommit={(value) => update({ label: value })} />
+          <Field label="Width" value={entity.size[0]} onCommit={(value) => resize(0, value)} />
+          <Field label="Height" value={entity.size[1]} onCommit={(value) => resize(1, value)} />
+          <Field label="Depth" value={entity.size[2]} onCommit={(value) => resize(2, value)} />
+        </>
+      )}
+    </div>
+  );
+}
+
+/**
+ * The level editor's side panel. `editor` is `{ level, selection, mode, placing, preview, error }`
+ * (see src/lib/editor.js for levels and selections); `onChange` patches it and `onEdit` applies a
+ * change that may be refused, `(editor) => patch`. Levels are exported and imported here as the
+ * same JSON files that live in src/levels.
+ */
+export default function EditorPanel({ editor, onChange, onEdit, onPlay, onExit }) {
+  const { level, selection, mode, placing, preview, error } = editor;
+
+  // Delete removes the selection and Esc lets go of it, unless a field has the keyboard
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.target instanceof HTMLElement && event.target.closest("input, select")) return;
+      if (event.code === "Delete" || event.code === "Backspace") {
+        onEdit((current) => ({ level: removeEntity(current.level, current.selection), selection: null }));
+      } else if (event.code === "Escape") {
+        onChange({ selection: null, placing: null });
+      }
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [onChange, onEdit]);
+
+  const handleImport = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = "";
+    if (!file) return;
+    try {
+      onChange({ level: decodeLevel(await file.text()), selection: null, placing: null, error: null });
+    } catch (importError) {
+      console.error("Failed to import level", importError);
+      const message = importError instanceof LevelError ? importError.message : "Level file could not be read.";
+      onChange({ error: message });
+    }
+  };
+
+  const remove = () =>
+    onEdit((current) => ({ level: removeEntity(current.level, current.selection), selection: null }));
+  const title =
+    selection && (selection.kind === "spawn" ? SPAWN_TITLES[selection.index] : SELECTION_TITLES[selection.kind]);
+
+  return (
+    <div className="pointer-events-auto fixed left-4 top-4 max-h-[calc(100vh-2rem)] w-[300px] overflow-y-auto rounded-2xl bg-white/90 p-3 text-xs shadow-xl backdrop-blur">
+      <div className="flex items-center justify-between">
+        <span className="text-sm font-semibold">Level editor</span>
+        <span className="flex gap-3 text-gray-600">
+          <button type="button" onClick={onPlay} className={`${LINK} font-medium text-blue-700`}>
+            Play
+          </button>
+          <button type="button" onClick={onExit} className={LINK}>
+            Exit
+          </button>
+        </span>
+      </div>
+
+      <div className={SECTION}>Level</div>
+      <div className="flex flex-col gap-1">
+        <Field
+          label="Id"
+          type="text"
+          value={level.id}
+          onCommit={(id) => onEdit((current) => ({ level: updateLevelInfo(current.level, { id }) }))}
+        />
+        <Field
+          label="Name"
+          type="text"
+          value={level.name}
+          onCommit={(name) => onEdit((current) => ({ level: updateLevelInfo(current.level, { name }) }))}
+        />
+      </div>
+      <div className="mt-1 flex items-center gap-3 text-gray-600">
+        <button
+          type="button"
+          onClick={() => onChange({ level: blankLevel(), selection: null, placing: null, error: null })}
+          className={LINK}
+        >
+          New
+        </button>
+        <button
+          type="button"
+          onClick={() => downloadTextFile(`${level.id}.json`, `${encodeLevel(level)}\n`)}
+          className={LINK}
+        >
+          Export
+        </button>
+        <label className={`cursor-pointer ${LINK}`}>
+          Import…
+          <input type="file" accept=".json,application/json" className="hidden" onChange={handleImport} />
+        </label>
+      </div>
+
+      <div className={SECTION}>Add</div>
+      <div className="flex gap-1">
+        {ADDABLE.map(([kind, label]) => (
+          <button
+            key={kind}
+            type="button"
+            onClick={() => onChange({ placing: placing === kind ? null : kind })}
+            className={`rounded-full px-3 py-1 font-medium ${
+              placing === kind ? "bg-blue-500 text-white" : "bg-white/70"
+            }`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+      {placing && <div className="mt-1 text-gray-500">Click the ground to place it.</div>}
+
+      <div className={SECTION}>Gizmo</div>
+      <div className="flex items-center justify-between">
+        <div className="flex rounded-full bg-white/70 p-0.5 font-medium">
+          {TOOLS.map(([tool, label]) => (
+            <button
+              key={tool}
+              type="button"
+              onClick={() => onChange({ mode: tool })}
+              className={`rounded-full px-3 py-1 ${mode === tool ? "bg-blue-500 text-white" : ""}`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+        <label className="flex items-center gap-2">
+          <input type="checkbox" checked={preview} onChange={(event) => onChange({ preview: event.target.checked })} />
+          Instinct preview
+        </label>
+      </div>
+
+      <div className={SECTION}>Selection</div>
+      {selectedEntity(level, selection) ? (
+        <>
+          <div className="mb-1 flex items-center justify-between font-medium">
+            <span>{title}</span>
+            {canRemove(level, selection) && (
+              <button
+                type="button"
+                onClick={remove}
+                className={`${LINK} font-normal text-red-700`}
+              >
+                Delete
+              </button>
+            )}
+          </div>
+          <SelectionFields level={level} selection={selection} onEdit={onEdit} />
+        </>
+      ) : (
+        <div className="text-gray-500">Click a zone, mound, goal or start marker.</div>
+      )}
+
+      {error && <pre className="mt-2 whitespace-pre-wrap text-red-600">{error}</pre>}
+    </div>
+  );
+}
@@ -0,0 +1,87 @@
+import React from "react";
+import { DIFFICULTY_LEVELS, parseGeneratedLevelId } from "../lib/generator.js";
+import { formatRunTime } from "../lib/run.js";
+import { isUnlocked } from "../lib/save.js";
+
+// Most recent generated routes listed for another go
+const RECENT_ROUTES = 5;
+
+const ROW = "flex w-full items-center justify-between rounded-xl border border-white/60 bg-white/70 px-3 py-1.5";
+
+/**
+ * Level select: the bundled levels and a fresh generated route of each difficulty (locked ones
+ * say how to open them), plus the routes the player has set records on. `onPick` gets a level
+ * choice: `{ levelId }` or `{ seed, difficulty }`.
+ */
+export default function LevelSelect({ levels, save, currentLevelId, onPick, onBack }) {
+  const routes = Object.entries(save.records)
+    .map(([id, record]) => ({ id, record, route: parseGeneratedLevelId(id) }))
+    .filter(({ route }) => route)
+    .sort((a, b) => (b.record.date ?? "").localeCompare(a.record.date ?? ""))
+    .slice(0, RECENT_ROUTES);
+
+  const best = (id) => {
+    const record = save.records[id];
+    return record ? `Best ${formatRunTime(record.time)}` : "No best yet";
+  };
+
+  return (
+    <div className="pointer-events-auto fixed inset-0 flex items-center justify-center bg-slate-900/20 p-6">
+      <div className="max-h-[85vh] w-[340px] overflow-y-auto rounded-3xl bg-white/85 p-5 text-xs shadow-xl backdrop-blur">
+        <div className="mb-3 flex items-center justify-between">
+          <span className="text-sm font-semibold">Choose level</span>
+          <button type="button" onClick={onBack} className="text-gray-600 underline underline-offset-2">
+            Back
+          </button>
+        </div>
+
+        <div className="text-gray-500">Levels</div>
+        <div className="mt-1 flex flex-col gap-1">
+          {levels.map((level) => (
+            <button key={level.id} type="button" onClick={() => onPick({ levelId: level.id })} className={ROW}>
+              <span className={level.id === currentLevelId ? "font-semibold" : undefined}>{level.name}</span>
+              <span className="tabular-nums text-gray-500">{best(level.id)}</span>
+            </button>
+          ))}
+        </div>
+
+        <div className="mt-3 text-gray-500">New route</div>
+        <div className="mt-1 flex flex-col gap-1">
+          {DIFFICULTY_LEVELS.map((difficulty, index) => {
+            const unlocked = isUnlocked(save, `difficulty:${difficulty}`);
+            return (
+              <button
+                key={difficulty}
+                type="button"
+                disabled={!unlocked}
+                onClick={() => onPick({ seed: null, difficulty })}
+                className={`${ROW} disabled:opacity-50`}
+              >
+                <span className="capitalize">{difficulty}</span>
+                <span className="text-gray-500">
+                  {unlocked ? "Random route" : `Reach the cabin on ${DIFFICULTY_LEVELS[index - 1]} to unlock`}
+                </span>
+              </button>
+            );
+          })}
+        </div>
+
+        {routes.length > 0 && (
+          <>
+            <div className="mt-3 text-gray-500">Your routes</div>
+            <div className="mt-1 flex flex-col gap-1">
+              {routes.map(({ id, route }) => (
+                <button key={id} type="button" onClick={() => onPick(route)} className={ROW}>
+                  <span className={id === currentLevelId ? "font-semibold" : undefined}>
+                    {route.seed} <span className="capitalize text-gray-500">({route.difficulty})</span>
+                  </span>
+                  <span className="tabular-nums text-gray-500">{best(id)}</span>
+                </button>
+              ))}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
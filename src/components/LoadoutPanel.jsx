@@ -0,0 +1,127 @@
+import React from "react";
+import { CARGO_ITEMS, SLED_SLOTS, canAdd, cargoItem, loadoutBulk, loadoutMass } from "../lib/cargo.js";
+import { DOGS, LEAD_DOG, TEAM_MAX, canAddDog, teamDog, teamLayout } from "../lib/team.js";
+
+const percent = (trait) => `${Math.round(trait * 100)}%`;
+
+/**
+ * Pre-run loadout screen: pick what goes on the sled and who pulls it. Items are packed front to
+ * back in the order they are added, which decides where the load's weight sits; dogs are
+ * harnessed behind Buck in the order they are added. Changes apply (and are persisted by the
+ * owner) immediately.
+ */
+export default function LoadoutPanel({ loadout, onChange, team, onTeamChange, onStart }) {
+  const bulk = loadoutBulk(loadout);
+  const layout = teamLayout(team.length);
+
+  return (
+    <div className="fixed inset-0 flex items-center justify-center p-6">
+      <div className="pointer-events-auto max-h-full w-[340px] overflow-y-auto rounded-3xl bg-white/85 p-4 text-xs shadow-xl backdrop-blur">
+        <div className="mb-2 flex items-center justify-between">
+          <span className="text-sm font-semibold">Load the sled</span>
+          <span className="tabular-nums text-gray-600">
+            {loadoutMass(loadout)} kg · {bulk}/{SLED_SLOTS} slots
+          </span>
+        </div>
+
+        <div className="grid grid-cols-[1fr_auto_auto_auto] items-center gap-x-2 gap-y-1">
+          {CARGO_ITEMS.map((item) => (
+            <React.Fragment key={item.id}>
+              <span className="flex items-center gap-2">
+                <span className="inline-block h-3 w-3 rounded-sm" style={{ background: item.color }} />
+                {item.label}
+              </span>
+              <span className="tabular-nums text-gray-600">{item.massKg} kg</span>
+              <span className="tabular-nums text-gray-500">×{item.bulk}</span>
+              <button
+                type="button"
+                disabled={!canAdd(loadout, item.id)}
+                onClick={() => onChange([...loadout, item.id])}
+                className="rounded-xl border border-white/60 bg-white/70 px-2 py-0.5 disabled:opacity-40"
+              >
+                Add
+              </button>
+            </React.Fragment>
+          ))}
+        </div>
+
+        <div className="mt-3 text-gray-500">On the sled, front to back:</div>
+        <div className="mt-1 flex min-h-[28px] flex-wrap gap-1">
+          {loadout.length === 0 && <span className="text-gray-400">Empty</span>}
+          {loadout.map((id, index) => (
+            <button
+              key={`${id}-${index}`}
+              type="button"
+              onClick={() => onChange(loadout.filter((_, other) => other !== index))}
+              className="rounded-xl bg-slate-100 px-2 py-0.5"
+              title="Remove"
+            >
+              {cargoItem(id)?.label ?? id} ×
+            </button>
+          ))}
+        </div>
+
+        <div className="mt-4 mb-2 flex items-center justify-between">
+          <span className="text-sm font-semibold">Harness the team</span>
+          <span className="tabular-nums text-gray-600">
+            {team.length}/{TEAM_MAX} dogs
+          </span>
+        </div>
+
+        <div className="grid grid-cols-[1fr_auto_auto_auto] items-center gap-x-2 gap-y-1">
+          <span />
+          <span className="text-gray-500">Strength</span>
+          <span className="text-gray-500">Endurance</span>
+          <span />
+          {DOGS.filter((dog) => dog.id !== LEAD_DOG).map((dog) => (
+            <React.Fragment key={dog.id}>
+              <span className="flex items-center gap-2">
+                <span className="inline-block h-3 w-3 rounded-full" style={{ background: dog.coat }} />
+                {dog.name}
+              </span>
+              <span className="tabular-nums text-gray-600">{percent(dog.strength)}</span>
+              <span className="tabular-nums text-gray-600">{percent(dog.endurance)}</span>
+              <button
+                type="button"
+                disabled={!canAddDog(team, dog.id)}
+                onClick={() => onTeamChange([...team, dog.id])}
+                className="rounded-xl border border-white/60 bg-white/70 px-2 py-0.5 disabled:opacity-40"
+              >
+                Add
+              </button>
+            </React.Fragment>
+          ))}
+        </div>
+
+        <div className="mt-3 text-gray-500">In harness, lead to wheel:</div>
+        <div className="mt-1 flex min-h-[28px] flex-wrap gap-1">
+          {team.map((id, index) =>
+            id === LEAD_DOG ? (
+              <span key={id} className="rounded-xl bg-slate-100 px-2 py-0.5">
+                {teamDog(id).name} · {layout[index].position}
+              </span>
+            ) : (
+              <button
+                key={id}
+                type="button"
+                onClick={() => onTeamChange(team.filter((other) => other !== id))}
+                className="rounded-xl bg-slate-100 px-2 py-0.5"
+                title="Unhitch"
+              >
+                {teamDog(id)?.name ?? id} · {layout[index].position} ×
+              </button>
+            ),
+          )}
+        </div>
+
+        <button
+          type="button"
+          onClick={onStart}
+          className="mt-4 w-full rounded-2xl bg-blue-500 px-4 py-2 text-sm font-medium text-white shadow active:bg-blue-600"
+        >
+          Head out
+        </button>
+      </div>
+    </div>
+  );
+}
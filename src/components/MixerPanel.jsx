@@ -0,0 +1,40 @@
+import React from "react";
+import { AUDIO_CHANNELS, AUDIO_CHANNEL_LABELS } from "../lib/audio.js";
+
+/**
+ * Volume sliders for the sound mixer (src/lib/audio.js) and a mute switch, for the settings
+ * screen. `audio` is the save's audio settings; changes go straight to `onChange`.
+ */
+export default function MixerPanel({ audio, onChange }) {
+  return (
+    <>
+      <div className="grid grid-cols-[1fr_auto_auto] items-center gap-x-2 gap-y-1">
+        {AUDIO_CHANNELS.map((channel) => (
+          <React.Fragment key={channel}>
+            <span>{AUDIO_CHANNEL_LABELS[channel]}</span>
+            <input
+              type="range"
+              min={0}
+              max={1}
+              step={0.05}
+              value={audio[channel]}
+              disabled={audio.muted}
+              onChange={(event) => onChange({ ...audio, [channel]: Number(event.target.value) })}
+              className="w-28 disabled:opacity-40"
+            />
+            <span className="w-8 text-right tabular-nums">{Math.round(audio[channel] * 100)}</span>
+          </React.Fragment>
+        ))}
+      </div>
+
+      <label className="mt-2 flex items-center gap-2">
+        <input
+          type="checkbox"
+          checked={audio.muted}
+          onChange={(event) => onChange({ ...audio, muted: event.target.checked })}
+        />
+        Mute
+      </label>
+    </>
+  );
+}
@@ -0,0 +1,40 @@
+import React from "react";
+
+const MENU_BUTTON = "w-full rounded-2xl border border-white/60 bg-white/70 px-4 py-2 text-sm font-medium shadow";
+
+/**
+ * Pause overlay. The owner freezes the simulation and input while it is up; Esc resumes. `onEdit`
+ * is only given while test-playing a level from the editor.
+ */
+export default function PauseMenu({ onResume, onRestart, onSettings, onEdit, onQuit }) {
+  return (
+    <div className="pointer-events-auto fixed inset-0 flex items-center justify-center bg-slate-900/30 p-6">
+      <div className="w-[260px] rounded-3xl bg-white/85 p-5 text-center shadow-xl backdrop-blur">
+        <div className="text-lg font-semibold text-slate-800">Paused</div>
+        <button
+          type="button"
+          onClick={onResume}
+          className="mt-4 w-full rounded-2xl bg-blue-500 px-4 py-2 text-sm font-medium text-white shadow active:bg-blue-600"
+        >
+          Resume
+        </button>
+        <div className="mt-2 flex flex-col gap-2">
+          <button type="button" onClick={onRestart} className={MENU_BUTTON}>
+            Restart
+          </button>
+          <button type="button" onClick={onSettings} className={MENU_BUTTON}>
+            Settings
+          </button>
+          {onEdit && (
+            <button type="button" onClick={onEdit} className={MENU_BUTTON}>
+              Back to editor
+            </button>
+          )}
+          <button type="button" onClick={onQuit} className={MENU_BUTTON}>
+            Quit to title
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
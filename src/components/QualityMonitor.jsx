@@ -0,0 +1,22 @@
+import { useEffect } from "react";
+import { useFrame } from "@react-three/fiber";
+import { createQualityMonitor, monitorFrame } from "../lib/quality.js";
+
+/**
+ * Times every rendered frame with the quality monitor in `monitor` (a ref; see
+ * src/lib/quality.js). On auto quality it calls `onTierChange` when the frame rate calls for
+ * another tier; either way the monitor's `fps` stays current for the HUD.
+ */
+export default function QualityMonitor({ monitor, tier, auto, onTierChange }) {
+  // Switching to auto starts from a clean slate
+  useEffect(() => {
+    monitor.current = createQualityMonitor();
+  }, [auto, monitor]);
+
+  useFrame((_, delta) => {
+    const next = monitorFrame(monitor.current, tier, delta);
+    if (auto && next !== tier) onTierChange(next);
+  });
+
+  return null;
+}
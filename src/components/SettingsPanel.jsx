@@ -0,0 +1,107 @@
+import React from "react";
+import { TOUCH_LAYOUTS, controlsLegend } from "../lib/input.js";
+import { QUALITY_LABELS, QUALITY_SETTINGS } from "../lib/quality.js";
+import MixerPanel from "./MixerPanel.jsx";
+
+const SECTION = "mt-3 mb-1 text-gray-500";
+
+/**
+ * Settings screen for the save's controls, graphics and sound settings, and the save file itself.
+ * Changes go to `onChange` as a patch of settings and apply straight away; rebinding opens the
+ * controls panel through `onRebind`. `saveActions` is `{ export, import(file), error }`.
+ */
+export default function SettingsPanel({
+  settings,
+  qualityTier,
+  touch,
+  saveActions,
+  onChange,
+  onRebind,
+  onResetTips,
+  onBack,
+}) {
+  return (
+    <div className="pointer-events-auto fixed inset-0 flex items-center justify-center bg-slate-900/20 p-6">
+      <div className="max-h-[85vh] w-[340px] overflow-y-auto rounded-3xl bg-white/85 p-5 text-xs shadow-xl backdrop-blur">
+        <div className="flex items-center justify-between">
+          <span className="text-sm font-semibold">Settings</span>
+          <button type="button" onClick={onBack} className="text-gray-600 underline underline-offset-2">
+            Back
+          </button>
+        </div>
+
+        <div className={SECTION}>Controls</div>
+        {controlsLegend(settings.bindings).map((line) => (
+          <div key={line}>{line}</div>
+        ))}
+        <div className="mt-1 flex items-center gap-3 text-gray-600">
+          <button type="button" onClick={onRebind} className="underline underline-offset-2">
+            Rebind keys and buttons
+          </button>
+          <button type="button" onClick={onResetTips} className="underline underline-offset-2">
+            Show tips again
+          </button>
+        </div>
+        {touch && (
+          <div className="mt-2 flex items-center justify-between">
+            <span>Touch layout</span>
+            <div className="flex rounded-full bg-white/70 p-0.5 font-medium">
+              {TOUCH_LAYOUTS.map((option) => (
+                <button
+                  key={option}
+                  type="button"
+                  onClick={() => onChange({ touchLayout: option })}
+                  className={`rounded-full px-3 py-1 capitalize ${
+                    settings.touchLayout === option ? "bg-blue-500 text-white" : ""
+                  }`}
+                >
+                  {option}
+                </button>
+              ))}
+            </div>
+          </div>
+        )}
+
+        <div className={SECTION}>Graphics</div>
+        <div className="flex items-center justify-between">
+          <span>Quality</span>
+          <select
+            value={settings.quality}
+            onChange={(event) => onChange({ quality: event.target.value })}
+            className="rounded-lg border border-white/60 bg-white/70 px-1"
+          >
+            {QUALITY_SETTINGS.map((setting) => (
+              <option key={setting} value={setting}>
+                {setting === "auto" ? `Auto (now ${QUALITY_LABELS[qualityTier]})` : QUALITY_LABELS[setting]}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div className={SECTION}>Sound</div>
+        <MixerPanel audio={settings.audio} onChange={(audio) => onChange({ audio })} />
+
+        <div className={SECTION}>Save</div>
+        <div className="flex items-center gap-3 text-gray-600">
+          <button type="button" onClick={saveActions.export} className="underline underline-offset-2">
+            Export save
+          </button>
+          <label className="cursor-pointer underline underline-offset-2">
+            Import save…
+            <input
+              type="file"
+              accept=".json,application/json"
+              className="hidden"
+              onChange={(event) => {
+                const [file] = event.target.files;
+                event.target.value = "";
+                if (file) saveActions.import(file);
+              }}
+            />
+          </label>
+        </div>
+        {saveActions.error && <div className="mt-1 text-red-600">{saveActions.error}</div>}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,100 @@
+import React, { useMemo } from "react";
+import { downloadTextFile } from "../lib/files.js";
+import { summarizeTelemetry, telemetryToCSV } from "../lib/telemetry.js";
+
+const CHART_WIDTH = 280;
+const CHART_HEIGHT = 72;
+
+function StaminaChart({ samples, distance }) {
+  const { line, snags } = useMemo(() => {
+    const toX = (value) => (distance > 0 ? (value / distance) * CHART_WIDTH : 0);
+    const toY = (stamina) => CHART_HEIGHT - stamina * CHART_HEIGHT;
+    const points = samples.map((sample) => `${toX(sample.distance).toFixed(1)},${toY(sample.stamina).toFixed(1)}`);
+    // Mark where each snag began: the first sample after the count went up
+    const markers = samples
+      .filter((sample, index) => index > 0 && sample.snags > samples[index - 1].snags)
+      .map((sample) => ({ x: toX(sample.distance), y: toY(sample.stamina) }));
+    return { line: points.join(" "), snags: markers };
+  }, [samples, distance]);
+
+  return (
+    <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} className="h-[72px] w-full rounded-lg bg-slate-100">
+      <line x1={0} x2={CHART_WIDTH} y1={CHART_HEIGHT / 2} y2={CHART_HEIGHT / 2} stroke="#cbd5e1" strokeDasharray="4 4" />
+      <polyline points={line} fill="none" stroke="#3b82f6" strokeWidth={2} vectorEffect="non-scaling-stroke" />
+      {snags.map(({ x, y }, index) => (
+        <circle key={index} cx={x} cy={y} r={3} fill="#dc2626" />
+      ))}
+    </svg>
+  );
+}
+
+function ZoneTimes({ zoneTimes, duration }) {
+  const zones = Object.entries(zoneTimes).sort(([, a], [, b]) => b - a);
+
+  return (
+    <div className="grid grid-cols-[auto_1fr_auto] items-center gap-x-2 gap-y-1">
+      {zones.map(([zone, seconds]) => (
+        <React.Fragment key={zone}>
+          <span className="text-left">{zone}</span>
+          <div className="h-2 overflow-hidden rounded-full bg-slate-200">
+            <div className="h-full bg-slate-500" style={{ width: `${duration > 0 ? (seconds / duration) * 100 : 0}%` }} />
+          </div>
+          <span className="tabular-nums text-slate-600">{seconds.toFixed(1)} s</span>
+        </React.Fragment>
+      ))}
+    </div>
+  );
+}
+
+/**
+ * Post-run telemetry (src/lib/telemetry.js): stamina over distance with snags marked, time spent
+ * per zone and the headline numbers, plus CSV and JSON exports of every sample for balancing.
+ *
+ * report – the run's telemetry recorder `toJSON()` output
+ */
+export default function TelemetryPanel({ report }) {
+  const summary = useMemo(() => summarizeTelemetry(report), [report]);
+
+  const download = (extension, text, mimeType) => {
+    const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+    downloadTextFile(`buck-telemetry-${report.levelId}-${stamp}.${extension}`, text, mimeType);
+  };
+
+  if (report.samples.length === 0) return null;
+
+  return (
+    <div className="mt-3 text-xs text-slate-700">
+      <div className="flex justify-between tabular-nums">
+        <span>{summary.distance.toFixed(0)} m</span>
+        <span>{summary.averageSpeed.toFixed(1)} m/s avg</span>
+        <span className={summary.snags > 0 ? "text-red-700" : undefined}>
+          {summary.snags} {summary.snags === 1 ? "snag" : "snags"}
+        </span>
+        <span>{Math.round(summary.peakTension)} N peak</span>
+      </div>
+
+      <div className="mt-2 text-left text-slate-500">Stamina over distance</div>
+      <StaminaChart samples={report.samples} distance={summary.distance} />
+
+      <div className="mt-2 mb-1 text-left text-slate-500">Time per zone</div>
+      <ZoneTimes zoneTimes={summary.zoneTimes} duration={summary.duration} />
+
+      <div className="mt-3 flex justify-center gap-3">
+        <button
+          type="button"
+          onClick={() => download("csv", telemetryToCSV(report), "text/csv")}
+          className="rounded-xl border border-white/60 bg-white/70 px-2 py-0.5"
+        >
+          Export CSV
+        </button>
+        <button
+          type="button"
+          onClick={() => download("json", JSON.stringify(report), "application/json")}
+          className="rounded-xl border border-white/60 bg-white/70 px-2 py-0.5"
+        >
+          Export JSON
+        </button>
+      </div>
+    </div>
+  );
+}
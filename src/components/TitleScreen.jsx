@@ -0,0 +1,46 @@
+import React, { useEffect } from "react";
+
+const MENU_BUTTON = "w-full rounded-2xl border border-white/60 bg-white/70 px-4 py-2 text-sm font-medium shadow";
+
+/**
+ * The screen the game opens on, over the scene: play the chosen level, pick another, change
+ * settings or build a level in the editor. Enter plays.
+ */
+export default function TitleScreen({ levelName, onPlay, onLevels, onSettings, onEditor }) {
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.code === "Enter" || event.code === "NumpadEnter") onPlay();
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [onPlay]);
+
+  return (
+    <div className="pointer-events-auto fixed inset-0 flex items-center justify-center bg-slate-900/20 p-6">
+      <div className="w-[300px] rounded-3xl bg-white/85 p-6 text-center shadow-xl backdrop-blur">
+        <div className="text-3xl font-bold tracking-[0.3em] text-slate-800">BUCK</div>
+        <div className="mt-1 text-xs text-slate-600">Haul the sled through the snow to the cabin.</div>
+
+        <button
+          type="button"
+          onClick={onPlay}
+          className="mt-5 w-full rounded-2xl bg-blue-500 px-4 py-2 text-sm font-medium text-white shadow active:bg-blue-600"
+        >
+          Play
+        </button>
+        {levelName && <div className="mt-1 text-xs text-slate-500">{levelName}</div>}
+        <div className="mt-3 flex flex-col gap-2">
+          <button type="button" onClick={onLevels} className={MENU_BUTTON}>
+            Choose level
+          </button>
+          <button type="button" onClick={onSettings} className={MENU_BUTTON}>
+            Settings
+          </button>
+          <button type="button" onClick={onEditor} className={MENU_BUTTON}>
+            Level editor
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,203 @@
+import React, { useState } from "react";
+import { DEFAULT_TUNING } from "../lib/simulation.js";
+import { SURFACE_TYPES } from "../lib/surfaces.js";
+import { downloadTextFile } from "../lib/files.js";
+import {
+  SURFACE_FIELDS,
+  TUNING_GROUPS,
+  TuningError,
+  decodeTuningPreset,
+  encodeTuningPreset,
+  loadTuningPresets,
+  saveTuningPresets,
+  setTuningValue,
+} from "../lib/tuning.js";
+
+const SURFACE_CHOICES = [...SURFACE_TYPES, "default"];
+
+// Enough digits to show the slider's step
+const formatValue = (value, step) => value.toFixed(Math.max(0, -Math.floor(Math.log10(step))));
+
+function Slider({ field, value, fallback, onChange }) {
+  return (
+    <>
+      <span className={value === fallback ? undefined : "font-medium text-blue-700"}>{field.label}</span>
+      <input
+        type="range"
+        min={field.min}
+        max={field.max}
+        step={field.step}
+        value={value}
+        onChange={(event) => onChange(Number(event.target.value))}
+        className="w-28"
+      />
+      <span className="w-14 text-right tabular-nums">{formatValue(value, field.step)}</span>
+    </>
+  );
+}
+
+/**
+ * Dev panel for balancing: sliders for the simulation's tuning (src/lib/tuning.js), applied from
+ * the next physics step, plus named presets. Changed values are highlighted. Presets are kept
+ * in localStorage as they are saved or deleted, and can be exported and imported as JSON files.
+ */
+export default function TuningPanel({ tuning, onChange, onClose }) {
+  const [surface, setSurface] = useState(SURFACE_TYPES[0]);
+  const [presets, setPresets] = useState(loadTuningPresets);
+  const [presetName, setPresetName] = useState("");
+  const [error, setError] = useState(null);
+
+  const updatePresets = (next) => {
+    setPresets(next);
+    saveTuningPresets(next);
+  };
+
+  const handleImport = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = "";
+    if (!file) return;
+    try {
+      const preset = decodeTuningPreset(await file.text());
+      updatePresets({ ...presets, [preset.name]: preset.tuning });
+      onChange(preset.tuning);
+      setPresetName(preset.name);
+      setError(null);
+    } catch (importError) {
+      console.error("Failed to import tuning preset", importError);
+      setError(importError instanceof TuningError ? importError.message : "Preset could not be read.");
+    }
+  };
+
+  const name = presetName.trim();
+
+  return (
+    <div className="pointer-events-auto fixed right-4 top-4 max-h-[60vh] w-[340px] overflow-y-auto rounded-2xl bg-white/90 p-3 text-xs shadow-xl backdrop-blur">
+      <div className="mb-2 flex items-center justify-between">
+        <span className="text-sm font-semibold">Tuning</span>
+        <span className="flex gap-3">
+          <button
+            type="button"
+            onClick={() => onChange(DEFAULT_TUNING)}
+            className="text-gray-600 underline underline-offset-2"
+          >
+            Defaults
+          </button>
+          <button type="button" onClick={onClose} className="text-gray-600 underline underline-offset-2">
+            Close
+          </button>
+        </span>
+      </div>
+
+      {TUNING_GROUPS.map((group) => (
+        <div key={group.id} className="mb-2">
+          <div className="mb-1 text-gray-500">{group.label}</div>
+          <div className="grid grid-cols-[1fr_auto_auto] items-center gap-x-2">
+            {group.fields.map((field) => (
+              <Slider
+                key={field.key}
+                field={field}
+                value={tuning[group.id][field.key]}
+                fallback={DEFAULT_TUNING[group.id][field.key]}
+                onChange={(value) => onChange(setTuningValue(tuning, [group.id, field.key], value))}
+              />
+            ))}
+          </div>
+        </div>
+      ))}
+
+      <div className="mb-2">
+        <div className="mb-1 flex items-center justify-between text-gray-500">
+          <span>Surface</span>
+          <select
+            value={surface}
+            onChange={(event) => setSurface(event.target.value)}
+            className="rounded-lg border border-white/60 bg-white/70 px-1"
+          >
+            {SURFACE_CHOICES.map((type) => (
+              <option key={type} value={type}>
+                {type}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div className="grid grid-cols-[1fr_auto_auto] items-center gap-x-2">
+          {SURFACE_FIELDS.map((field) => (
+            <Slider
+              key={field.key}
+              field={field}
+              value={tuning.surfaces[surface][field.key]}
+              fallback={DEFAULT_TUNING.surfaces[surface][field.key]}
+              onChange={(value) => onChange(setTuningValue(tuning, ["surfaces", surface, field.key], value))}
+            />
+          ))}
+        </div>
+      </div>
+
+      <div className="mt-3 text-gray-500">Presets</div>
+      <div className="mt-1 flex gap-1">
+        <input
+          type="text"
+          value={presetName}
+          placeholder="Preset name"
+          onChange={(event) => setPresetName(event.target.value)}
+          // Keep typing from driving Buck
+          onKeyDown={(event) => event.stopPropagation()}
+          className="min-w-0 flex-1 rounded-lg border border-white/60 bg-white/70 px-2"
+        />
+        <button
+          type="button"
+          disabled={!name}
+          onClick={() => updatePresets({ ...presets, [name]: tuning })}
+          className="rounded-xl border border-white/60 bg-white/70 px-2 py-0.5 disabled:opacity-40"
+        >
+          Save
+        </button>
+        <button
+          type="button"
+          onClick={() =>
+            downloadTextFile(`buck-tuning-${name || "preset"}.json`, encodeTuningPreset(name || "Preset", tuning))
+          }
+          className="rounded-xl border border-white/60 bg-white/70 px-2 py-0.5"
+        >
+          Export
+        </button>
+        <label className="cursor-pointer rounded-xl border border-white/60 bg-white/70 px-2 py-0.5">
+          Import
+          <input type="file" accept="application/json,.json" onChange={handleImport} className="hidden" />
+        </label>
+      </div>
+      {error && <div className="mt-1 text-red-600">{error}</div>}
+
+      <div className="mt-1 flex flex-col gap-1">
+        {Object.keys(presets).length === 0 && <span className="text-gray-400">No saved presets</span>}
+        {Object.entries(presets).map(([presetKey, preset]) => (
+          <div key={presetKey} className="flex items-center justify-between">
+            <span>{presetKey}</span>
+            <span className="flex gap-3">
+              <button
+                type="button"
+                onClick={() => {
+                  onChange(preset);
+                  setPresetName(presetKey);
+                }}
+                className="text-gray-600 underline underline-offset-2"
+              >
+                Load
+              </button>
+              <button
+                type="button"
+                onClick={() => {
+                  const { [presetKey]: _removed, ...rest } = presets;
+                  updatePresets(rest);
+                }}
+                className="text-gray-600 underline underline-offset-2"
+              >
+                Delete
+              </button>
+            </span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
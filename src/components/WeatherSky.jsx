@@ -0,0 +1,140 @@
+import React, { useEffect, useMemo, useRef } from "react";
+import { useFrame, useThree } from "@react-three/fiber";
+import { Stars } from "@react-three/drei";
+import * as THREE from "three";
+import { createWeather, daylight, visibility } from "../lib/weather.js";
+
+// Falling snow fills a box this size (m) around the camera and wraps at its edges.
+const SNOW_BOX = [40, 20, 40];
+const SNOW_FALL_SPEED = 1.3;
+
+const DAY_SKY = new THREE.Color("#eef5ff");
+const INSTINCT_SKY = new THREE.Color("#dfe6ef");
+const NIGHT_SKY = new THREE.Color("#0c1628");
+const FOG_SKY = new THREE.Color("#c8d1db");
+const SUN_COLOR = new THREE.Color("#fff4e0");
+const MOON_COLOR = new THREE.Color("#9fb4d8");
+
+// Instinct Mode sees this much further through fog, snow and dark.
+const INSTINCT_SIGHT = 2.5;
+
+const CALM = createWeather(null);
+
+function Snowfall({ weather, count }) {
+  const points = useRef();
+  const camera = useThree((state) => state.camera);
+  const { positions, drift } = useMemo(() => {
+    const values = new Float32Array(count * 3);
+    for (let index = 0; index < count; index += 1) {
+      values[index * 3] = (Math.random() - 0.5) * SNOW_BOX[0];
+      values[index * 3 + 1] = (Math.random() - 0.5) * SNOW_BOX[1];
+      values[index * 3 + 2] = (Math.random() - 0.5) * SNOW_BOX[2];
+    }
+    return { positions: values, drift: Float32Array.from({ length: count }, () => 0.6 + Math.random() * 0.8) };
+  }, [count]);
+
+  useFrame((state, delta) => {
+    const current = weather.current ?? CALM;
+    const geometry = points.current.geometry;
+    const shown = Math.round(count * current.snowfall);
+    geometry.setDrawRange(0, shown);
+    if (shown === 0) return;
+
+    // Flakes live in world space; any that leave the box around the camera re-enter on the
+    // opposite side, so the snow stays put as the camera moves through it
+    const step = Math.min(delta, 0.1);
+    const { x: cameraX, y: cameraY, z: cameraZ } = camera.position;
+    const wrap = (value, center, size) => center + ((((value - center + size / 2) % size) + size) % size) - size / 2;
+    for (let index = 0; index < shown; index += 1) {
+      const offset = index * 3;
+      const rate = drift[index] * step;
+      positions[offset] = wrap(positions[offset] + current.wind.x * rate, cameraX, SNOW_BOX[0]);
+      positions[offset + 1] = wrap(positions[offset + 1] - SNOW_FALL_SPEED * rate, cameraY, SNOW_BOX[1]);
+      positions[offset + 2] = wrap(positions[offset + 2] + current.wind.z * rate, cameraZ, SNOW_BOX[2]);
+    }
+    geometry.attributes.position.needsUpdate = true;
+  });
+
+  return (
+    <points ref={points} frustumCulled={false}>
+      <bufferGeometry>
+        <bufferAttribute attach="attributes-position" args={[positions, 3]} />
+      </bufferGeometry>
+      <pointsMaterial color="#ffffff" size={0.09} transparent opacity={0.85} depthWrite={false} />
+    </points>
+  );
+}
+
+/**
+ * Sky, light and falling snow for the run's weather: the sun (or moon) moves with the time of
+ * day, fog closes in with the visibility, and snow falls and drifts with the wind. In Instinct
+ * Mode Buck sees through much of it.
+ *
+ * weather – ref to the simulation's weather state (src/lib/weather.js); calm while it is null
+ * quality – the graphics tier's preset (src/lib/quality.js): shadows, star and snowflake counts
+ */
+export default function WeatherSky({ weather, instinct, quality }) {
+  const { scene } = useThree();
+  const hemisphere = useRef();
+  const light = useRef();
+  const stars = useRef();
+  const fog = useMemo(() => new THREE.Fog(DAY_SKY, 10, 200), []);
+  const background = useMemo(() => new THREE.Color(DAY_SKY), []);
+
+  useEffect(() => {
+    scene.fog = fog;
+    scene.background = background;
+    return () => {
+      scene.fog = null;
+      scene.background = null;
+      scene.environmentIntensity = 1;
+    };
+  }, [scene, fog, background]);
+
+  // A new shadow map size only takes once the old map is thrown away
+  useEffect(() => {
+    const { shadow } = light.current;
+    shadow.mapSize.set(quality.shadowMapSize, quality.shadowMapSize);
+    shadow.map?.dispose();
+    shadow.map = null;
+  }, [quality.shadowMapSize]);
+
+  useFrame(() => {
+    const current = weather.current ?? CALM;
+    const day = daylight(current);
+    const murk = Math.max(current.fog, current.snowfall * 0.8);
+
+    background.copy(NIGHT_SKY).lerp(instinct ? INSTINCT_SKY : DAY_SKY, day);
+    background.lerp(FOG_SKY, murk * (0.3 + 0.5 * day));
+    fog.color.copy(background);
+    fog.far = visibility(current) * (instinct ? INSTINCT_SIGHT : 1);
+    fog.near = fog.far * 0.08;
+
+    // The sun circles through the sky over the day; at night a dimmer moon stands opposite it
+    const angle = current.dayTime * Math.PI * 2;
+    const sunHeight = -Math.cos(angle);
+    const sunUp = sunHeight > 0;
+    light.current.position.set(Math.sin(angle) * 8, Math.max(2, Math.abs(sunHeight) * 10), 4);
+    light.current.color.copy(sunUp ? SUN_COLOR : MOON_COLOR);
+    light.current.intensity = (0.15 + 0.95 * day) * (1 - 0.6 * murk);
+    hemisphere.current.intensity = 0.15 + 0.45 * day;
+    scene.environmentIntensity = 0.2 + 0.8 * day;
+    stars.current.visible = day < 0.5 && murk < 0.6;
+  });
+
+  return (
+    <>
+      <hemisphereLight ref={hemisphere} intensity={0.6} />
+      <directionalLight
+        ref={light}
+        castShadow={quality.shadows}
+        position={[6, 8, 4]}
+        intensity={1.1}
+      />
+      <group ref={stars}>
+        <Stars radius={120} depth={20} count={quality.stars} factor={4} fade />
+      </group>
+      <Snowfall weather={weather} count={quality.snowflakes} />
+    </>
+  );
+}
@@ -0,0 +1,8 @@
+// Every JSON file in this folder is a bundled level; see src/lib/level.js for the format.
+const modules = import.meta.glob("./*.json", { eager: true, import: "default" });
+
+export const LEVELS = Object.fromEntries(
+  Object.entries(modules).map(([path, data]) => [data?.id ?? path.replace(/^\.\/|\.json$/g, ""), data]),
+);
+
+export const DEFAULT_LEVEL_ID = "frozen-lake";
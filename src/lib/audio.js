@@ -0,0 +1,204 @@
+import { TAUT_TENSION } from "./simulation.js";
+
+/**
+ * Procedural sound for the team, built from Web Audio nodes and one generated noise buffer, so
+ * there is nothing to fetch.
+ *
+ * runners – looped noise through a band-pass: bright and thin on ice, low and crunchy in deep
+ *           snow (from the surface parameters under the sled), louder with speed
+ * panting – short filtered noise bursts, faster and louder as Buck tires and while he pulls
+ * harness – creaks whose rate climbs with the line's tension
+ * wind    – low-passed noise that swells and brightens with the wind speed
+ * snag    – a one-off thud when the sled catches
+ *
+ * `soundLevels` maps the simulation state to what each sound should be doing; the engine eases
+ * its nodes toward that every frame. Everything feeds a small mixer: the wind goes through the
+ * ambience channel, the rest through effects, and both through master.
+ */
+export const AUDIO_CHANNELS = ["master", "ambience", "effects"];
+export const AUDIO_CHANNEL_LABELS = { master: "Master", ambience: "Ambience", effects: "Effects" };
+
+// Seconds for nodes to settle on a new level; short enough to follow the sled, long enough
+// not to click.
+const EASE_SECONDS = 0.08;
+const NOISE_SECONDS = 2;
+const SILENT = 0.0001;
+
+const clamp01 = (value) => Math.min(1, Math.max(0, value));
+const lerp = (a, b, t) => a + (b - a) * t;
+
+/** What each sound should be doing for the simulation state `sim` (see src/lib/simulation.js). */
+export function soundLevels(sim) {
+  const surface = sim.surface;
+  // Ice lets the runners slide freely; deep snow ploughs
+  const slip = surface ? 1 - clamp01(surface.plough / 0.05) : 0.5;
+  const pace = clamp01(sim.speed / 6);
+  const exerting = sim.pullForce > 0;
+  const windSpeed = Math.hypot(sim.weather.wind.x, sim.weather.wind.z);
+  // He pants for the wind he has lost, not for the long-term fatigue
+  const breathless = 1 - sim.stamina;
+
+  return {
+    runner: {
+      gain: pace ** 0.7 * lerp(0.5, 0.35, slip),
+      frequency: lerp(450, 4200, slip),
+      q: lerp(0.6, 3, slip),
+    },
+    pant: {
+      rate: lerp(0.5, 2.6, breathless) * (exerting ? 1 : 0.7),
+      gain: (0.04 + 0.4 * breathless) * (exerting ? 1 : 0.6),
+    },
+    // Creaks per second
+    creak: 3 * clamp01((sim.tension - TAUT_TENSION * 0.3) / TAUT_TENSION),
+    wind: { gain: 0.03 + 0.5 * clamp01(windSpeed / 14), frequency: 250 + windSpeed * 70 },
+  };
+}
+
+function createNoiseBuffer(context) {
+  const buffer = context.createBuffer(1, context.sampleRate * NOISE_SECONDS, context.sampleRate);
+  const samples = buffer.getChannelData(0);
+  for (let i = 0; i < samples.length; i += 1) {
+    samples[i] = Math.random() * 2 - 1;
+  }
+  return buffer;
+}
+
+/**
+ * Starts the audio graph. Browsers only let audio start from a user gesture, so call this from
+ * one. Returns null where Web Audio is unavailable.
+ */
+export function createAudioEngine(AudioContextClass = globalThis.AudioContext ?? globalThis.webkitAudioContext) {
+  if (!AudioContextClass) return null;
+  const context = new AudioContextClass();
+  const noise = createNoiseBuffer(context);
+
+  const gain = (value, destination) => {
+    const node = context.createGain();
+    node.gain.value = value;
+    node.connect(destination);
+    return node;
+  };
+  const filter = (type, frequency, q, destination) => {
+    const node = context.createBiquadFilter();
+    node.type = type;
+    node.frequency.value = frequency;
+    node.Q.value = q;
+    node.connect(destination);
+    return node;
+  };
+  const loopNoise = (destination) => {
+    const source = context.createBufferSource();
+    source.buffer = noise;
+    source.loop = true;
+    // Each loop starts somewhere else in the buffer so they don't sound alike
+    source.start(0, Math.random() * NOISE_SECONDS);
+    source.connect(destination);
+    return source;
+  };
+  const ease = (param, value) => param.setTargetAtTime(value, context.currentTime, EASE_SECONDS);
+
+  const master = gain(0, context.destination);
+  const channels = { master, ambience: gain(0, master), effects: gain(0, master) };
+
+  const runnerGain = gain(0, channels.effects);
+  const runnerFilter = filter("bandpass", 1000, 1, runnerGain);
+  const windGain = gain(0, channels.ambience);
+  const windFilter = filter("lowpass", 400, 0.7, windGain);
+  const pantGain = gain(0, channels.effects);
+  const pantFilter = filter("bandpass", 1100, 1.8, pantGain);
+  const sources = [loopNoise(runnerFilter), loopNoise(windFilter), loopNoise(pantFilter)];
+
+  let nextBreath = 0;
+  let inhale = true;
+
+  function breathe(now, pant) {
+    // One burst per half breath, inhale a little higher and quieter than exhale
+    const length = 0.5 / pant.rate;
+    pantFilter.frequency.setValueAtTime(inhale ? 1500 : 1000, now);
+    pantGain.gain.cancelScheduledValues(now);
+    pantGain.gain.setValueAtTime(SILENT, now);
+    pantGain.gain.linearRampToValueAtTime(pant.gain * (inhale ? 0.7 : 1), now + Math.min(0.05, length * 0.2));
+    pantGain.gain.exponentialRampToValueAtTime(SILENT, now + length * 0.8);
+    inhale = !inhale;
+    nextBreath = now + length;
+  }
+
+  function creak(now, strength) {
+    const oscillator = context.createOscillator();
+    const envelope = gain(0, channels.effects);
+    const tone = filter("bandpass", 900, 4, envelope);
+    oscillator.type = "sawtooth";
+    const pitch = 160 + Math.random() * 140;
+    oscillator.frequency.setValueAtTime(pitch, now);
+    oscillator.frequency.exponentialRampToValueAtTime(pitch * 0.7, now + 0.15);
+    envelope.gain.setValueAtTime(SILENT, now);
+    envelope.gain.linearRampToValueAtTime(0.05 + 0.1 * strength, now + 0.02);
+    envelope.gain.exponentialRampToValueAtTime(SILENT, now + 0.18);
+    oscillator.connect(tone);
+    oscillator.start(now);
+    oscillator.stop(now + 0.2);
+    oscillator.onended = () => envelope.disconnect();
+  }
+
+  return {
+    context,
+
+    /** Applies mixer settings: `{ master, ambience, effects, muted }`, each level 0..1. */
+    setMix(mix) {
+      ease(master.gain, mix.muted ? 0 : mix.master);
+      ease(channels.ambience.gain, mix.ambience);
+      ease(channels.effects.gain, mix.effects);
+    },
+
+    /** Follows `levels` from `soundLevels`; `dt` is the frame time in seconds. */
+    update(levels, dt) {
+      if (context.state !== "running") return;
+      const now = context.currentTime;
+      ease(runnerGain.gain, levels.runner.gain);
+      ease(runnerFilter.frequency, levels.runner.frequency);
+      ease(runnerFilter.Q, levels.runner.q);
+      ease(windGain.gain, levels.wind.gain);
+      ease(windFilter.frequency, levels.wind.frequency);
+
+      if (now >= nextBreath) breathe(now, levels.pant);
+      if (Math.random() < levels.creak * dt) creak(now, levels.creak / 3);
+    },
+
+    /** The sled catching on something. */
+    thud() {
+      const now = context.currentTime;
+      const oscillator = context.createOscillator();
+      const envelope = gain(0, channels.effects);
+      oscillator.frequency.setValueAtTime(110, now);
+      oscillator.frequency.exponentialRampToValueAtTime(40, now + 0.25);
+      envelope.gain.setValueAtTime(0.7, now);
+      envelope.gain.exponentialRampToValueAtTime(SILENT, now + 0.35);
+      oscillator.connect(envelope);
+      oscillator.start(now);
+      oscillator.stop(now + 0.4);
+      oscillator.onended = () => envelope.disconnect();
+
+      const burst = context.createBufferSource();
+      const burstGain = gain(0.5, channels.effects);
+      burst.buffer = noise;
+      burstGain.gain.setValueAtTime(0.5, now);
+      burstGain.gain.exponentialRampToValueAtTime(SILENT, now + 0.15);
+      burst.connect(filter("lowpass", 300, 0.7, burstGain));
+      burst.start(now, Math.random() * NOISE_SECONDS * 0.5, 0.2);
+      burst.onended = () => burstGain.disconnect();
+    },
+
+    suspend() {
+      return context.state === "running" ? context.suspend() : Promise.resolve();
+    },
+
+    resume() {
+      return context.state === "suspended" ? context.resume() : Promise.resolve();
+    },
+
+    close() {
+      sources.forEach((source) => source.stop());
+      return context.close();
+    },
+  };
+}
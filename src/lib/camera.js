@@ -0,0 +1,150 @@
+import { getHeightmap, heightAt, placeOnTerrain } from "./terrain.js";
+
+/**
+ * Camera placement, kept free of three.js like the rest of src/lib.
+ *
+ * chase     – behind the sled, looking past Buck along the team; swings round smoothly as the
+ *             team turns, so camera-relative steering stays predictable
+ * cinematic – a high, wide shot from behind and to one side of the team, facing the nearest
+ *             goal; it drifts slowly, so "forward" stays roughly "toward the cabin"
+ * orbit     – free orbit around Buck (the app drives it with OrbitControls)
+ *
+ * Every mode passes its camera through `clearView`, which marches the line from what the camera
+ * looks at out to the camera and pulls the camera in before the terrain or a mound would block
+ * it. All positions are plain {x, y, z} objects.
+ */
+export const CAMERA_MODES = ["chase", "cinematic", "orbit"];
+export const CAMERA_MODE_LABELS = { chase: "Chase", cinematic: "Cinematic", orbit: "Orbit" };
+
+// Chase framing (m) and how quickly (1/s) the chase heading follows the team.
+const CHASE = { distance: 7.5, height: 3.2, lookAhead: 2.5, lookHeight: 0.9, turnRate: 2.5 };
+// Cinematic framing (m), and how quickly (1/s) its heading follows the route.
+const CINEMATIC = { back: 16, side: 9, height: 12, lookAhead: 10, turnRate: 0.4 };
+
+// Closest (m) the camera may come to the snow or a mound, and the ray-march step (m).
+const VIEW_CLEARANCE = 0.6;
+const VIEW_STEP = 0.4;
+
+// Each level's mounds as spheres sat on its terrain, placed once per level object
+const moundCache = new WeakMap();
+
+/** Fraction of the way to close on a target this frame, for smoothing at `rate` per second. */
+export function smoothing(rate, dt) {
+  return 1 - Math.exp(-rate * dt);
+}
+
+function turnToward(from, to, t) {
+  const turn = Math.atan2(Math.sin(to - from), Math.cos(to - from));
+  return from + turn * t;
+}
+
+/** Starting camera state for following the team; `update*` functions advance it in place. */
+export function createCameraState() {
+  return { yaw: null, reach: 1 };
+}
+
+/**
+ * Chase camera goal for the team at `buck` and `sled` (world positions). `state.yaw` eases
+ * toward the sled→Buck heading; it snaps on the first frame.
+ */
+export function chaseView(state, buck, sled, dt) {
+  const teamX = buck.x - sled.x;
+  const teamZ = buck.z - sled.z;
+  const teamYaw = Math.hypot(teamX, teamZ) > 0.1 ? Math.atan2(teamX, teamZ) : (state.yaw ?? 0);
+  state.yaw = state.yaw === null ? teamYaw : turnToward(state.yaw, teamYaw, smoothing(CHASE.turnRate, dt));
+
+  const forwardX = Math.sin(state.yaw);
+  const forwardZ = Math.cos(state.yaw);
+  return {
+    position: {
+      x: sled.x - forwardX * CHASE.distance,
+      y: sled.y + CHASE.height,
+      z: sled.z - forwardZ * CHASE.distance,
+    },
+    target: {
+      x: buck.x + forwardX * CHASE.lookAhead,
+      y: buck.y + CHASE.lookHeight,
+      z: buck.z + forwardZ * CHASE.lookAhead,
+    },
+  };
+}
+
+/** Cinematic camera goal: high behind the team, facing the goal nearest to `focus`. */
+export function cinematicView(state, level, focus, dt) {
+  const goal = level.goals.reduce((nearest, candidate) =>
+    Math.hypot(candidate.pos[0] - focus.x, candidate.pos[2] - focus.z) <
+    Math.hypot(nearest.pos[0] - focus.x, nearest.pos[2] - focus.z)
+      ? candidate
+      : nearest,
+  );
+  const routeYaw = Math.atan2(goal.pos[0] - focus.x, goal.pos[2] - focus.z);
+  state.yaw = state.yaw === null ? routeYaw : turnToward(state.yaw, routeYaw, smoothing(CINEMATIC.turnRate, dt));
+
+  const forwardX = Math.sin(state.yaw);
+  const forwardZ = Math.cos(state.yaw);
+  return {
+    position: {
+      x: focus.x - forwardX * CINEMATIC.back + forwardZ * CINEMATIC.side,
+      y: focus.y + CINEMATIC.height,
+      z: focus.z - forwardZ * CINEMATIC.back - forwardX * CINEMATIC.side,
+    },
+    target: { x: focus.x + forwardX * CINEMATIC.lookAhead, y: focus.y, z: focus.z + forwardZ * CINEMATIC.lookAhead },
+  };
+}
+
+function moundSpheres(level) {
+  let mounds = moundCache.get(level);
+  if (!mounds) {
+    mounds = level.obstacles.map((obstacle) => ({
+      pos: placeOnTerrain(level, obstacle.pos),
+      reach: obstacle.radius + VIEW_CLEARANCE,
+    }));
+    moundCache.set(level, mounds);
+  }
+  return mounds;
+}
+
+// How far (0..1) along target→camera the view stays clear of the terrain and mounds.
+function clearFraction(level, target, camera) {
+  const heightmap = getHeightmap(level);
+  const dx = camera.x - target.x;
+  const dy = camera.y - target.y;
+  const dz = camera.z - target.z;
+  const length = Math.hypot(dx, dy, dz);
+  if (length < 1e-6) return 1;
+
+  const mounds = moundSpheres(level);
+  const steps = Math.ceil(length / VIEW_STEP);
+  for (let step = 1; step <= steps; step += 1) {
+    const t = step / steps;
+    const x = target.x + dx * t;
+    const y = target.y + dy * t;
+    const z = target.z + dz * t;
+    const buried = y < heightAt(heightmap, x, z) + VIEW_CLEARANCE;
+    const inMound = mounds.some(({ pos, reach }) => Math.hypot(x - pos[0], y - pos[1], z - pos[2]) < reach);
+    if (buried || inMound) return (step - 1) / steps;
+  }
+  return 1;
+}
+
+/**
+ * Pulls `camera` in toward `target` so nothing solid sits between them. `state.reach` remembers
+ * the pull: it shortens at once and lets out again at `recoverRate` per second, so the camera
+ * doesn't pump in and out over bumpy ground. Returns the corrected camera position.
+ */
+export function clearView(state, level, target, camera, dt, recoverRate = 2) {
+  const clear = clearFraction(level, target, camera);
+  state.reach = clear < state.reach ? clear : Math.min(clear, state.reach + recoverRate * dt);
+  const position = {
+    x: target.x + (camera.x - target.x) * state.reach,
+    y: target.y + (camera.y - target.y) * state.reach,
+    z: target.z + (camera.z - target.z) * state.reach,
+  };
+  // Never below the snow right under the camera, even pulled all the way in
+  position.y = Math.max(position.y, heightAt(getHeightmap(level), position.x, position.z) + VIEW_CLEARANCE);
+  return position;
+}
+
+export function nextCameraMode(mode) {
+  return CAMERA_MODES[(CAMERA_MODES.indexOf(mode) + 1) % CAMERA_MODES.length];
+}
@@ -0,0 +1,154 @@
+/**
+ * Sled cargo.
+ *
+ * A loadout is an ordered list of catalogue item ids, packed onto the sled bed front to back.
+ * Each item has a mass and a bulk (how many of the bed's slots it takes). Packed items carry a
+ * position in the sled's local frame, which gives the load its centre of mass and inertia; hard
+ * knocks shift items along the bed and the hardest ones (or a tip-over) spill them.
+ */
+export const LOADOUT_VERSION = 1;
+export const LOADOUT_STORAGE_KEY = "buck.loadout";
+
+export const CARGO_ITEMS = [
+  { id: "mail", label: "Mail sack", massKg: 13, bulk: 1, height: 0.3, color: "#c9b48a" },
+  { id: "medicine", label: "Medicine chest", massKg: 8, bulk: 1, height: 0.3, color: "#e8e2d6" },
+  { id: "fuel", label: "Fuel can", massKg: 20, bulk: 1, height: 0.45, color: "#b5483a" },
+  { id: "tools", label: "Tool box", massKg: 35, bulk: 1, height: 0.25, color: "#5f6b73" },
+  { id: "food", label: "Food crate", massKg: 25, bulk: 2, height: 0.4, color: "#a57c4f" },
+  { id: "firewood", label: "Firewood", massKg: 30, bulk: 2, height: 0.35, color: "#7b5a3c" },
+  { id: "tent", label: "Tent roll", massKg: 12, bulk: 2, height: 0.3, color: "#6f8a5b" },
+];
+
+const ITEMS_BY_ID = Object.fromEntries(CARGO_ITEMS.map((item) => [item.id, item]));
+
+export const SLED_SLOTS = 8;
+export const DEFAULT_LOADOUT = Object.freeze(["food", "firewood", "tent", "mail"]);
+
+// Sled bed in the sled's local frame: top surface height, half width and the front/back edges.
+const BED_TOP = 0.15;
+const BED_HALF_WIDTH = 0.5;
+const BED_FRONT = 1.1;
+const BED_BACK = -1.1;
+const SLOT_LENGTH = (BED_FRONT - BED_BACK) / SLED_SLOTS;
+
+// How far (m) items slide along the bed per m/s of sudden speed change.
+const SHIFT_PER_SPEED_CHANGE = 0.12;
+
+export function cargoItem(id) {
+  return ITEMS_BY_ID[id] ?? null;
+}
+
+export function loadoutMass(loadout) {
+  return loadout.reduce((total, id) => total + (ITEMS_BY_ID[id]?.massKg ?? 0), 0);
+}
+
+export function loadoutBulk(loadout) {
+  return loadout.reduce((total, id) => total + (ITEMS_BY_ID[id]?.bulk ?? 0), 0);
+}
+
+export function canAdd(loadout, id) {
+  const item = ITEMS_BY_ID[id];
+  return Boolean(item) && loadoutBulk(loadout) + item.bulk <= SLED_SLOTS;
+}
+
+/** Drops unknown ids and anything past the sled's capacity. */
+export function normalizeLoadout(loadout) {
+  const result = [];
+  for (const id of Array.isArray(loadout) ? loadout : []) {
+    if (canAdd(result, id)) result.push(id);
+  }
+  return result;
+}
+
+/** Packs a loadout onto the bed: each item gets a local position, front slots first. */
+export function packLoad(loadout) {
+  let slot = 0;
+  return normalizeLoadout(loadout).map((id) => {
+    const item = ITEMS_BY_ID[id];
+    const length = item.bulk * SLOT_LENGTH;
+    const z = BED_FRONT - (slot + item.bulk / 2) * SLOT_LENGTH;
+    slot += item.bulk;
+    return {
+      id,
+      massKg: item.massKg,
+      size: [BED_HALF_WIDTH * 2, item.height, length],
+      pos: [0, BED_TOP + item.height / 2, z],
+    };
+  });
+}
+
+/**
+ * Mass, centre of mass and principal inertia of packed items, in the sled's frame. Items are
+ * treated as solid boxes; cross terms are ignored since the load is roughly symmetric.
+ */
+export function loadMassProperties(items) {
+  const mass = items.reduce((total, item) => total + item.massKg, 0);
+  if (mass <= 0) {
+    return { mass: 0, centerOfMass: { x: 0, y: 0, z: 0 }, inertia: { x: 0, y: 0, z: 0 } };
+  }
+
+  const center = [0, 1, 2].map((axis) => items.reduce((total, item) => total + item.pos[axis] * item.massKg, 0) / mass);
+  const inertia = { x: 0, y: 0, z: 0 };
+  for (const { massKg, size, pos } of items) {
+    const [w, h, l] = size;
+    const [dx, dy, dz] = pos.map((value, axis) => value - center[axis]);
+    inertia.x += (massKg * (h * h + l * l)) / 12 + massKg * (dy * dy + dz * dz);
+    inertia.y += (massKg * (w * w + l * l)) / 12 + massKg * (dx * dx + dz * dz);
+    inertia.z += (massKg * (w * w + h * h)) / 12 + massKg * (dx * dx + dy * dy);
+  }
+
+  return { mass, centerOfMass: { x: center[0], y: center[1], z: center[2] }, inertia };
+}
+
+/**
+ * Slides every item along the bed after a knock. `speedChange` is the sled's sudden change in
+ * velocity in its own frame; loose cargo keeps going the other way, up to the bed's edges.
+ */
+export function shiftLoad(items, speedChange) {
+  return items.map((item) => {
+    const halfWidth = item.size[0] / 2;
+    const halfLength = item.size[2] / 2;
+    const x = item.pos[0] - speedChange.x * SHIFT_PER_SPEED_CHANGE;
+    const z = item.pos[2] - speedChange.z * SHIFT_PER_SPEED_CHANGE;
+    return {
+      ...item,
+      pos: [
+        Math.min(BED_HALF_WIDTH - halfWidth, Math.max(-BED_HALF_WIDTH + halfWidth, x)),
+        item.pos[1],
+        Math.min(BED_FRONT - halfLength, Math.max(BED_BACK + halfLength, z)),
+      ],
+    };
+  });
+}
+
+/**
+ * Throws one item off the sled: the one furthest along `direction` (sled frame), i.e. the one
+ * the knock sent flying. Returns the remaining items and the spilled one.
+ */
+export function spillItem(items, direction) {
+  if (items.length === 0) return { items, spilled: null };
+
+  let index = 0;
+  let best = -Infinity;
+  items.forEach((item, candidate) => {
+    const reach = item.pos[0] * direction.x + item.pos[2] * direction.z;
+    if (reach > best) {
+      best = reach;
+      index = candidate;
+    }
+  });
+
+  return { items: items.filter((_, candidate) => candidate !== index), spilled: items[index] };
+}
+
+// Loadout saved before the save file (src/lib/save.js) took it over
+export function loadLoadout(storage = globalThis.localStorage) {
+  try {
+    const saved = JSON.parse(storage?.getItem(LOADOUT_STORAGE_KEY) ?? "null");
+    if (saved?.version === LOADOUT_VERSION) return normalizeLoadout(saved.items);
+  } catch (error) {
+    console.warn("Ignoring unreadable saved loadout", error);
+  }
+  return [...DEFAULT_LOADOUT];
+}
+
@@ -0,0 +1,170 @@
+import { GOAL_TYPES, LEVEL_VERSION, LevelError, OBSTACLE_TYPES, ZONE_COLORS, loadLevel } from "./level.js";
+
+/**
+ * Level editing.
+ *
+ * The editor works on loaded levels (see src/lib/level.js). Every edit here returns a new level
+ * that has been through `loadLevel` again, so it throws a LevelError instead of handing back
+ * something the game can't play.
+ *
+ * A selection names one thing in the level: `{ kind: "zone" | "obstacle" | "goal", index }`, or
+ * `{ kind: "spawn", index: "buck" | "sled" }` for a start marker.
+ */
+// What a freshly placed zone, mound or goal looks like
+const NEW_ZONE_SIZE = [20, 1, 20];
+const NEW_MOUND = { type: OBSTACLE_TYPES[0], y: 0.5, radius: 1 };
+const NEW_GOAL = { type: GOAL_TYPES[0], y: 1.2, size: [3, 2, 3] };
+// Start markers' footprint, for the selection box
+const SPAWN_SIZE = { buck: [0.8, 1, 1.4], sled: [1, 0.6, 2] };
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/** The level as a plain document, ready to save as a file or load again. */
+export function levelData(level) {
+  const { seed, ...data } = level;
+  return seed ? { ...data, seed } : data;
+}
+
+function edit(level, change) {
+  return loadLevel(change(structuredClone(levelData(level))));
+}
+
+/** A small, flat level to start a new route from. */
+export function blankLevel() {
+  return loadLevel({
+    version: LEVEL_VERSION,
+    id: "new-route",
+    name: "New route",
+    ground: { size: [120, 160], color: "#dce6f5" },
+    terrain: { cellSize: 2, hills: [] },
+    spawn: { buck: [0, 0.6, -50], sled: [0, 0.5, -52] },
+    zones: [{ type: "packed", pos: [0, 0, 0], size: [40, 1, 120], color: ZONE_COLORS.packed }],
+    obstacles: [],
+    slopes: [],
+    goals: [{ id: "cabin", type: "cabin", label: "Cabin", pos: [0, 1.2, 60], size: [3, 2, 3] }],
+  });
+}
+
+export function encodeLevel(level) {
+  return JSON.stringify(levelData(level), null, 2);
+}
+
+/** Parses a level file's text into a loaded level. Throws a LevelError if it isn't a valid one. */
+export function decodeLevel(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new LevelError("unknown", ["file is not valid JSON"]);
+  }
+  return loadLevel(data);
+}
+
+const listOf = (level, kind) => ({ zone: level.zones, obstacle: level.obstacles, goal: level.goals })[kind];
+
+export function selectedEntity(level, selection) {
+  if (!selection) return null;
+  if (selection.kind === "spawn") return { pos: level.spawn[selection.index] };
+  return listOf(level, selection.kind)?.[selection.index] ?? null;
+}
+
+/** Where the selection sits and how big a box it fills, `{ pos, size }`. */
+export function entityFootprint(level, selection) {
+  const entity = selectedEntity(level, selection);
+  if (!entity) return null;
+  if (selection.kind === "spawn") return { pos: entity.pos, size: SPAWN_SIZE[selection.index] };
+  if (selection.kind === "obstacle") return { pos: entity.pos, size: Array(3).fill(entity.radius * 2) };
+  return { pos: entity.pos, size: entity.size };
+}
+
+function uniqueGoalId(goals) {
+  const ids = new Set(goals.map((goal) => goal.id));
+  let index = goals.length + 1;
+  while (ids.has(`goal-${index}`)) index += 1;
+  return `goal-${index}`;
+}
+
+/** Adds a new zone, mound or goal at ground point [x, z]. Returns `{ level, selection }`. */
+export function addEntity(level, kind, [x, z]) {
+  const at = (y) => [round(x), y, round(z)];
+  let index;
+  const next = edit(level, (data) => {
+    if (kind === "zone") {
+      index = data.zones.length;
+      data.zones.push({ type: "packed", pos: at(0), size: [...NEW_ZONE_SIZE], color: ZONE_COLORS.packed });
+    } else if (kind === "obstacle") {
+      index = data.obstacles.length;
+      data.obstacles.push({ type: NEW_MOUND.type, pos: at(NEW_MOUND.y), radius: NEW_MOUND.radius });
+    } else if (kind === "goal") {
+      index = data.goals.length;
+      const id = uniqueGoalId(data.goals);
+      data.goals.push({ id, type: NEW_GOAL.type, label: "Cabin", pos: at(NEW_GOAL.y), size: [...NEW_GOAL.size] });
+    } else {
+      throw new Error(`Can't add a "${kind}" to a level.`);
+    }
+    return data;
+  });
+  return { level: next, selection: { kind, index } };
+}
+
+/** Start markers can't be deleted, and neither can a level's last goal. */
+export function canRemove(level, selection) {
+  if (!selectedEntity(level, selection) || selection.kind === "spawn") return false;
+  return selection.kind !== "goal" || level.goals.length > 1;
+}
+
+export function removeEntity(level, selection) {
+  if (!canRemove(level, selection)) return level;
+  return edit(level, (data) => {
+    listOf(data, selection.kind).splice(selection.index, 1);
+    return data;
+  });
+}
+
+/** Moves the selection to ground point [x, z], keeping its height above the ground. */
+export function moveEntity(level, selection, [x, z]) {
+  return edit(level, (data) => {
+    const entity = selection.kind === "spawn" ? data.spawn : listOf(data, selection.kind)[selection.index];
+    const key = selection.kind === "spawn" ? selection.index : "pos";
+    entity[key] = [round(x), entity[key][1], round(z)];
+    return data;
+  });
+}
+
+/**
+ * Scales the selection by [sx, sy, sz]. Zones keep their height, mounds stay round and start
+ * markers don't resize.
+ */
+export function resizeEntity(level, selection, [sx, sy, sz]) {
+  if (selection.kind === "spawn") return level;
+  return edit(level, (data) => {
+    const entity = listOf(data, selection.kind)[selection.index];
+    if (selection.kind === "obstacle") {
+      entity.radius = round(entity.radius * Math.max(sx, sy, sz));
+    } else {
+      const [width, height, depth] = entity.size;
+      entity.size = [round(width * sx), selection.kind === "zone" ? height : round(height * sy), round(depth * sz)];
+    }
+    return data;
+  });
+}
+
+/**
+ * Changes fields of the selection, e.g. `{ type: "ice" }` or `{ radius: 2 }`. A zone that
+ * changes type takes the new type's colour unless it had a colour of its own.
+ */
+export function updateEntity(level, selection, patch) {
+  return edit(level, (data) => {
+    const list = listOf(data, selection.kind);
+    const entity = list[selection.index];
+    const recolor =
+      selection.kind === "zone" && patch.type && !patch.color && entity.color === ZONE_COLORS[entity.type];
+    list[selection.index] = { ...entity, ...patch, ...(recolor ? { color: ZONE_COLORS[patch.type] } : {}) };
+    return data;
+  });
+}
+
+/** Changes the level's own fields: `id` and `name`. */
+export function updateLevelInfo(level, patch) {
+  return edit(level, (data) => ({ ...data, ...patch }));
+}
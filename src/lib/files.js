@@ -0,0 +1,15 @@
+// Hands generated data (replays, exports) to the user as a downloaded file.
+export function downloadFile(filename, blob) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+export function downloadTextFile(filename, text, mimeType = "application/json") {
+  downloadFile(filename, new Blob([text], { type: mimeType }));
+}
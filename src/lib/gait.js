@@ -0,0 +1,182 @@
+/**
+ * Buck's gait: which pose he is in and how far through his stride, worked out from the values the
+ * simulation already produces (speed, pull, stamina) and the player's input.
+ *
+ * Poses blend rather than switch: every gait has a weight that eases toward 1 for the current
+ * gait and 0 for the rest, and `gaitPose` mixes the joint angles by those weights. Angles are in
+ * radians about each joint's x axis; positive swings a paw backward and tips the nose down.
+ */
+export const GAITS = ["stand", "walk", "trot", "lunge", "brace", "rest"];
+
+// Buck's ground speed (m/s) where a walk becomes a trot, and below which he is standing.
+const TROT_SPEED = 1.1;
+const STAND_SPEED = 0.15;
+// Straining forward while slower than this reads as digging in.
+const STRAIN_SPEED = 0.3;
+const BLEND_RATE = 6;
+
+// Lean into the harness per newton of pull, and how far tiredness drops the head and tail.
+const LEAN_PER_NEWTON = 0.0016;
+const FATIGUE_HEAD_DROP = 0.35;
+const FATIGUE_TAIL_DROP = 0.5;
+
+// Stride offsets (fraction of a cycle) for front-left, front-right, rear-left, rear-right.
+const WALK_OFFSETS = [0.25, 0.75, 0, 0.5];
+const TROT_OFFSETS = [0, 0.5, 0.5, 0];
+
+/**
+ * Per-gait pose. `hip`/`knee` are [front, rear] rest angles, `swing` the hip swing amplitude and
+ * `lift` how far the knee folds while a paw is in the air.
+ */
+const POSES = {
+  stand: {
+    pitch: 0,
+    drop: 0,
+    head: 0,
+    tail: 0.35,
+    hip: [0, 0],
+    knee: [0.1, 0.15],
+    swing: 0,
+    lift: 0,
+    offsets: TROT_OFFSETS,
+  },
+  walk: {
+    pitch: 0,
+    drop: 0.01,
+    head: 0.05,
+    tail: 0.25,
+    hip: [0, 0],
+    knee: [0.1, 0.15],
+    swing: 0.35,
+    lift: 0.5,
+    offsets: WALK_OFFSETS,
+  },
+  trot: {
+    pitch: 0.05,
+    drop: 0.03,
+    head: 0,
+    tail: 0.45,
+    hip: [0, 0.05],
+    knee: [0.15, 0.2],
+    swing: 0.6,
+    lift: 0.8,
+    offsets: TROT_OFFSETS,
+  },
+  lunge: {
+    pitch: 0.3,
+    drop: 0.09,
+    head: -0.2,
+    tail: -0.1,
+    hip: [-0.45, 0.55],
+    knee: [0.3, 0.1],
+    swing: 0.3,
+    lift: 0.6,
+    offsets: TROT_OFFSETS,
+  },
+  brace: {
+    pitch: -0.22,
+    drop: 0.06,
+    head: 0.15,
+    tail: -0.25,
+    hip: [-0.5, -0.3],
+    knee: [0, 0.5],
+    swing: 0.04,
+    lift: 0,
+    offsets: TROT_OFFSETS,
+  },
+  rest: {
+    pitch: 0.05,
+    drop: 0.3,
+    head: 0.35,
+    tail: -0.5,
+    hip: [-1.35, -1.1],
+    knee: [0.2, 2.2],
+    swing: 0,
+    lift: 0,
+    offsets: TROT_OFFSETS,
+  },
+};
+
+// Strides per second as a function of Buck's speed
+const CADENCE = {
+  stand: () => 0,
+  walk: (speed) => 1 + speed * 0.5,
+  trot: (speed) => 1.7 + speed * 0.4,
+  lunge: (speed) => 1.2 + speed * 0.3,
+  brace: () => 0,
+  rest: () => 0,
+};
+
+/**
+ * Picks the gait for this moment.
+ *
+ * speed    – Buck's horizontal speed (m/s)
+ * forward  – forward input in [-1, 1]
+ * pulling, braking, resting – the matching buttons
+ */
+export function selectGait({ speed, forward = 0, pulling = false, braking = false, resting = false }) {
+  if (resting && speed < 0.5) return "rest";
+  if (braking) return "brace";
+  if (forward > 0 && (pulling || speed < STRAIN_SPEED)) return "lunge";
+  if (speed >= TROT_SPEED) return "trot";
+  if (speed >= STAND_SPEED) return "walk";
+  return "stand";
+}
+
+export function createGaitState() {
+  return {
+    gait: "stand",
+    weights: Object.fromEntries(GAITS.map((gait) => [gait, gait === "stand" ? 1 : 0])),
+    phase: 0,
+  };
+}
+
+/** Eases the blend toward the gait `signals` call for and advances the stride. */
+export function updateGait(state, signals, dt) {
+  state.gait = selectGait(signals);
+
+  const ease = 1 - Math.exp(-BLEND_RATE * dt);
+  for (const gait of GAITS) {
+    const target = gait === state.gait ? 1 : 0;
+    state.weights[gait] += (target - state.weights[gait]) * ease;
+  }
+
+  const tiredness = 1 - 0.3 * (signals.fatigue ?? 0);
+  const cadence = GAITS.reduce((total, gait) => total + state.weights[gait] * CADENCE[gait](signals.speed), 0);
+  state.phase = (state.phase + cadence * tiredness * dt) % 1;
+  return state;
+}
+
+/**
+ * Joint angles for the current blend. Legs are ordered front-left, front-right, rear-left,
+ * rear-right. `pullForce` leans the whole body into the harness; `fatigue` hangs the head and
+ * tail; `strain` (0..1) adds a shiver, for snags.
+ */
+export function gaitPose(state, { pullForce = 0, fatigue = 0, strain = 0, time = 0 } = {}) {
+  const pose = { pitch: 0, drop: 0, head: 0, tail: 0, roll: 0, legs: [0, 1, 2, 3].map(() => ({ hip: 0, knee: 0 })) };
+
+  for (const gait of GAITS) {
+    const weight = state.weights[gait];
+    if (weight < 1e-3) continue;
+    const target = POSES[gait];
+
+    pose.pitch += target.pitch * weight;
+    pose.drop += target.drop * weight;
+    pose.head += target.head * weight;
+    pose.tail += target.tail * weight;
+
+    pose.legs.forEach((leg, index) => {
+      const rear = index >= 2 ? 1 : 0;
+      const cycle = (state.phase + target.offsets[index]) * Math.PI * 2;
+      leg.hip += (target.hip[rear] + target.swing * Math.sin(cycle)) * weight;
+      // The knee folds while the paw swings forward (the second half of the cycle)
+      leg.knee += (target.knee[rear] + target.lift * Math.max(0, -Math.cos(cycle))) * weight;
+    });
+  }
+
+  pose.pitch += pullForce * LEAN_PER_NEWTON;
+  pose.head += fatigue * FATIGUE_HEAD_DROP;
+  pose.tail -= fatigue * FATIGUE_TAIL_DROP;
+  pose.roll = strain * 0.06 * Math.sin(time * 38);
+  return pose;
+}
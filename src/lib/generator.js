@@ -0,0 +1,191 @@
+import { LEVEL_VERSION, LevelError, ZONE_COLORS } from "./level.js";
+import { createRandom } from "./random.js";
+
+/**
+ * Procedural routes.
+ *
+ * `generateLevel({ seed, difficulty })` lays out a winding route from the start to a cabin and
+ * returns plain level data (the same JSON a hand-made level uses), so it goes through
+ * `loadLevel` like any other file. Everything is drawn from one seeded stream: the same seed and
+ * difficulty always give the same route.
+ *
+ * The route is a chain of zone rectangles following a wandering centre line. Off the route the
+ * ground falls back to `offRoute` snow. Mounds, hills and ramps are scattered along the way.
+ */
+export const DIFFICULTIES = {
+  easy: {
+    length: 200,
+    routeWidth: 18,
+    wander: 10,
+    surfaces: { path: 5, packed: 3, ice: 1, deep: 0.5 },
+    offRoute: "packed",
+    mounds: 16,
+    moundRadius: [0.5, 1.1],
+    moundsOnRoute: 0.05,
+    hills: 3,
+    hillHeight: [1.5, 3],
+    climb: 1,
+  },
+  normal: {
+    length: 260,
+    routeWidth: 14,
+    wander: 18,
+    surfaces: { path: 3, packed: 3, ice: 2, deep: 1.5 },
+    offRoute: "deep",
+    mounds: 30,
+    moundRadius: [0.6, 1.5],
+    moundsOnRoute: 0.15,
+    hills: 5,
+    hillHeight: [2, 5],
+    climb: 2,
+  },
+  hard: {
+    length: 320,
+    routeWidth: 10,
+    wander: 26,
+    surfaces: { path: 1, packed: 2, ice: 3, deep: 3 },
+    offRoute: "deep",
+    mounds: 48,
+    moundRadius: [0.7, 1.9],
+    moundsOnRoute: 0.3,
+    hills: 7,
+    hillHeight: [3, 7],
+    climb: 3.5,
+  },
+};
+
+export const DIFFICULTY_LEVELS = Object.keys(DIFFICULTIES);
+export const DEFAULT_DIFFICULTY = "normal";
+
+const GROUND_WIDTH = 180;
+// Clear ground kept around the start and the cabin, in metres along the route.
+const START_CLEARANCE = 15;
+const END_CLEARANCE = 10;
+const SEGMENT_LENGTH = [18, 32];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/** Id a generated level gets, so replays and results can tell routes apart. */
+export function generatedLevelId(seed, difficulty = DEFAULT_DIFFICULTY) {
+  return `route-${seed}-${difficulty}`;
+}
+
+/** The seed and difficulty behind a generated level's id, or null for any other id. */
+export function parseGeneratedLevelId(id) {
+  const match = /^route-(.+)-([a-z]+)$/.exec(id);
+  return match && DIFFICULTIES[match[2]] ? { seed: match[1], difficulty: match[2] } : null;
+}
+
+function createCentreLine(random, tuning) {
+  const margin = GROUND_WIDTH / 2 - tuning.routeWidth - 10;
+  const makeWave = (scale, wavelength) => ({
+    amplitude: tuning.wander * random.range(...scale),
+    wavelength: random.range(...wavelength),
+    phase: random.range(0, Math.PI * 2),
+  });
+  // A long sweep with a shorter wiggle on top
+  const waves = [makeWave([0.6, 1], [90, 160]), makeWave([0.2, 0.5], [35, 70])];
+  return (z) => {
+    const x = waves.reduce(
+      (total, wave) => total + wave.amplitude * Math.sin((z / wave.wavelength) * Math.PI * 2 + wave.phase),
+      0,
+    );
+    return Math.min(margin, Math.max(-margin, x));
+  };
+}
+
+export function generateLevel({ seed, difficulty = DEFAULT_DIFFICULTY }) {
+  const id = generatedLevelId(seed, difficulty);
+  const tuning = DIFFICULTIES[difficulty];
+  if (!tuning) {
+    throw new LevelError(id, [
+      `difficulty must be one of ${DIFFICULTY_LEVELS.join(", ")} (got ${JSON.stringify(difficulty)})`,
+    ]);
+  }
+
+  const random = createRandom(`${seed}:${difficulty}`);
+  const depth = tuning.length + 2 * START_CLEARANCE;
+  const startZ = -tuning.length / 2;
+  const endZ = tuning.length / 2;
+  const centreX = createCentreLine(random, tuning);
+
+  // Route zones, start to finish. The first stretch is packed and the last one a trodden path
+  // so every route starts fair and finishes cleanly.
+  const zones = [];
+  for (let z0 = startZ - START_CLEARANCE / 2; z0 < endZ + END_CLEARANCE / 2; ) {
+    const z1 = Math.min(endZ + END_CLEARANCE, z0 + random.range(...SEGMENT_LENGTH));
+    const first = zones.length === 0;
+    const last = z1 >= endZ;
+    const type = first ? "packed" : last ? "path" : random.weighted(tuning.surfaces);
+    const xs = [centreX(z0), centreX((z0 + z1) / 2), centreX(z1)];
+    const left = Math.min(...xs) - tuning.routeWidth / 2;
+    const right = Math.max(...xs) + tuning.routeWidth / 2;
+    zones.push({
+      type,
+      pos: [round((left + right) / 2), 0, round((z0 + z1) / 2)],
+      size: [round(right - left), 1, round(z1 - z0)],
+      color: ZONE_COLORS[type],
+    });
+    z0 = z1;
+  }
+  zones.push({
+    type: tuning.offRoute,
+    pos: [0, 0, 0],
+    size: [GROUND_WIDTH, 1, depth],
+    color: ZONE_COLORS[tuning.offRoute],
+  });
+
+  const obstacles = [];
+  for (let index = 0; index < tuning.mounds; index += 1) {
+    const z = random.range(startZ + START_CLEARANCE, endZ - END_CLEARANCE);
+    const side = random.chance(0.5) ? 1 : -1;
+    const offset = random.chance(tuning.moundsOnRoute)
+      ? random.range(-tuning.routeWidth / 2, tuning.routeWidth / 2)
+      : side * (tuning.routeWidth / 2 + random.range(1, 25));
+    obstacles.push({
+      type: "mound",
+      pos: [round(centreX(z) + offset), 0.5, round(z)],
+      radius: round(random.range(...tuning.moundRadius)),
+    });
+  }
+
+  const hills = [];
+  for (let index = 0; index < tuning.hills; index += 1) {
+    const z = random.range(startZ, endZ);
+    const side = random.chance(0.5) ? 1 : -1;
+    hills.push({
+      pos: [round(centreX(z) + side * (tuning.routeWidth + random.range(15, 40))), 0, round(z)],
+      radius: round(random.range(15, 30)),
+      height: round(random.range(...tuning.hillHeight)),
+    });
+  }
+
+  // One or two ramps across the route, each in its own stretch so they never overlap
+  const slopes = [];
+  const rampCount = random.int(1, 2);
+  const stretch = tuning.length / rampCount;
+  for (let index = 0; index < rampCount; index += 1) {
+    const rampDepth = random.range(30, Math.min(60, stretch - 10));
+    const z = startZ + stretch * index + random.range(rampDepth / 2 + 5, stretch - rampDepth / 2 - 5);
+    const downhill = index > 0 && random.chance(0.3);
+    const rise = (tuning.climb / rampCount) * random.range(0.6, 1.4) * (downhill ? -1 : 1);
+    slopes.push({ pos: [0, 0, round(z)], size: [GROUND_WIDTH, 1, round(rampDepth)], axis: "z", rise: round(rise) });
+  }
+
+  return {
+    version: LEVEL_VERSION,
+    id,
+    name: `Route ${seed} (${difficulty})`,
+    seed: String(seed),
+    ground: { size: [GROUND_WIDTH, depth], color: "#dce6f5" },
+    terrain: { cellSize: 2, hills },
+    spawn: {
+      buck: [round(centreX(startZ + 2)), 0.6, startZ + 2],
+      sled: [round(centreX(startZ)), 0.5, startZ],
+    },
+    zones,
+    obstacles,
+    slopes,
+    goals: [{ id: "cabin", type: "cabin", label: "Cabin", pos: [round(centreX(endZ)), 1.2, endZ], size: [3, 2, 3] }],
+  };
+}
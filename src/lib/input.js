@@ -0,0 +1,247 @@
+/**
+ * Action mapping: turns raw devices (keyboard, gamepads, touch overrides) into the named
+ * actions the game understands.
+ *
+ * Actions: `forward` and `steer` are axes in [-1, 1]; `pull`, `brake`, `rest` and `instinct`
+ * are buttons. Players bind keys and gamepad buttons to *slots*: each button action has one
+ * slot, each axis has a slot per direction. Gamepad sticks feed the axes directly.
+ */
+export const BINDINGS_VERSION = 1;
+export const BINDINGS_STORAGE_KEY = "buck.bindings";
+
+export const BINDING_SLOTS = [
+  { id: "forward", action: "forward", direction: 1, label: "Forward" },
+  { id: "back", action: "forward", direction: -1, label: "Back" },
+  { id: "left", action: "steer", direction: 1, label: "Left" },
+  { id: "right", action: "steer", direction: -1, label: "Right" },
+  { id: "pull", action: "pull", label: "Pull" },
+  { id: "brake", action: "brake", label: "Brake" },
+  { id: "rest", action: "rest", label: "Rest" },
+  { id: "instinct", action: "instinct", label: "Instinct" },
+];
+
+// Button and axis indices follow the W3C "standard" gamepad layout.
+export const DEFAULT_BINDINGS = Object.freeze({
+  version: BINDINGS_VERSION,
+  keyboard: {
+    forward: ["KeyW"],
+    back: ["KeyS"],
+    left: ["KeyA"],
+    right: ["KeyD"],
+    pull: ["ShiftLeft", "ShiftRight"],
+    brake: ["ControlLeft", "ControlRight"],
+    rest: ["KeyR"],
+    instinct: ["KeyQ"],
+  },
+  gamepad: {
+    forward: [12],
+    back: [13],
+    left: [14],
+    right: [15],
+    pull: [7, 0],
+    brake: [6, 1],
+    rest: [2],
+    instinct: [3],
+  },
+  // Left stick: pushing up reads negative on axis 1, pushing right reads positive on axis 0.
+  axes: {
+    forward: { axis: 1, scale: -1 },
+    steer: { axis: 0, scale: -1 },
+  },
+  deadzone: 0.2,
+});
+
+const GAMEPAD_BUTTON_LABELS = [
+  "A",
+  "B",
+  "X",
+  "Y",
+  "LB",
+  "RB",
+  "LT",
+  "RT",
+  "Back",
+  "Start",
+  "L3",
+  "R3",
+  "D-pad up",
+  "D-pad down",
+  "D-pad left",
+  "D-pad right",
+];
+
+const KEY_LABELS = {
+  ShiftLeft: "Shift",
+  ShiftRight: "Shift",
+  ControlLeft: "Ctrl",
+  ControlRight: "Ctrl",
+  AltLeft: "Alt",
+  AltRight: "Alt",
+  MetaLeft: "Meta",
+  MetaRight: "Meta",
+  Space: "Space",
+  ArrowUp: "↑",
+  ArrowDown: "↓",
+  ArrowLeft: "←",
+  ArrowRight: "→",
+};
+
+export function keyLabel(code) {
+  if (KEY_LABELS[code]) return KEY_LABELS[code];
+  if (/^Key[A-Z]$/.test(code)) return code.slice(3);
+  if (/^Digit\d$/.test(code)) return code.slice(5);
+  return code;
+}
+
+export function gamepadButtonLabel(index) {
+  return GAMEPAD_BUTTON_LABELS[index] ?? `Button ${index}`;
+}
+
+/** Human-readable list for one slot, e.g. "Shift" for both Shift keys. */
+export function describeSlot(bindings, device, slotId) {
+  const inputs = bindings[device]?.[slotId] ?? [];
+  const labels = inputs.map(device === "keyboard" ? keyLabel : gamepadButtonLabel);
+  return [...new Set(labels)].join(" / ") || "—";
+}
+
+/** Lines for the on-screen controls legend, generated from the active keyboard bindings. */
+export function controlsLegend(bindings) {
+  const key = (slotId) => describeSlot(bindings, "keyboard", slotId);
+  return [
+    `${key("forward")}/${key("back")}: move • ${key("left")}/${key("right")}: steer`,
+    `${key("pull")}: Pull • ${key("brake")}: Brake`,
+    `${key("instinct")}: Instinct • ${key("rest")}: Rest`,
+  ];
+}
+
+/**
+ * Binds `input` (a key code or gamepad button index) to `slotId`, replacing what the slot had
+ * and freeing it from any other slot so one input never drives two actions.
+ */
+export function rebind(bindings, device, slotId, input) {
+  const slots = Object.fromEntries(
+    Object.entries(bindings[device]).map(([id, inputs]) => [id, inputs.filter((entry) => entry !== input)]),
+  );
+  slots[slotId] = [input];
+  return { ...bindings, [device]: slots };
+}
+
+const isInputList = (value, type) => Array.isArray(value) && value.every((entry) => typeof entry === type);
+
+/** Reads bindings saved before the save file (src/lib/save.js) took them over. */
+export function loadBindings(storage = globalThis.localStorage) {
+  let saved = null;
+  try {
+    saved = JSON.parse(storage?.getItem(BINDINGS_STORAGE_KEY) ?? "null");
+  } catch (error) {
+    console.warn("Ignoring unreadable saved bindings", error);
+  }
+  return normalizeBindings(saved);
+}
+
+/** Checks stored bindings, falling back to the defaults for anything missing or malformed. */
+export function normalizeBindings(saved) {
+  if (saved?.version !== BINDINGS_VERSION) {
+    return DEFAULT_BINDINGS;
+  }
+
+  const merge = (device, type) =>
+    Object.fromEntries(
+      BINDING_SLOTS.map(({ id }) => [
+        id,
+        isInputList(saved[device]?.[id], type) ? saved[device][id] : DEFAULT_BINDINGS[device][id],
+      ]),
+    );
+
+  return {
+    ...DEFAULT_BINDINGS,
+    keyboard: merge("keyboard", "string"),
+    gamepad: merge("gamepad", "number"),
+    deadzone: Number.isFinite(saved.deadzone) ? saved.deadzone : DEFAULT_BINDINGS.deadzone,
+  };
+}
+
+// On-screen control layouts for touch devices: an analog thumbstick or the digital button grid.
+export const TOUCH_LAYOUTS = ["stick", "buttons"];
+export const TOUCH_LAYOUT_STORAGE_KEY = "buck.touchLayout";
+
+// Touch layout saved before the save file took it over
+export function loadTouchLayout(storage = globalThis.localStorage) {
+  try {
+    return normalizeTouchLayout(storage?.getItem(TOUCH_LAYOUT_STORAGE_KEY));
+  } catch {
+    return TOUCH_LAYOUTS[0];
+  }
+}
+
+export function normalizeTouchLayout(layout) {
+  return TOUCH_LAYOUTS.includes(layout) ? layout : TOUCH_LAYOUTS[0];
+}
+
+/**
+ * Radial deadzone for a stick, rescaled so output still spans the full range past the dead
+ * centre.
+ */
+export function applyStickDeadzone(x, y, deadzone) {
+  const magnitude = Math.hypot(x, y);
+  if (magnitude <= deadzone) return [0, 0];
+  const scaled = Math.min(1, (magnitude - deadzone) / (1 - deadzone)) / magnitude;
+  return [x * scaled, y * scaled];
+}
+
+const clampAxis = (value) => Math.min(1, Math.max(-1, value));
+
+function pressedButton(gamepad, index) {
+  const button = gamepad.buttons[index];
+  return Boolean(button && (button.pressed || button.value > 0.5));
+}
+
+/**
+ * Merges every device into one action sample.
+ *
+ * keys     – set-like object of pressed `KeyboardEvent.code`s (code → true)
+ * gamepads – result of `navigator.getGamepads()` (nulls are skipped)
+ * touch    – on-screen control overrides in action shape; analog values pass straight through
+ */
+export function readActions({ keys = {}, gamepads = [], touch = null, bindings = DEFAULT_BINDINGS }) {
+  const axes = { forward: 0, steer: 0 };
+  const buttons = { pull: false, brake: false, rest: false, instinct: false };
+
+  const activate = (slot) => {
+    if (slot.direction) {
+      axes[slot.action] += slot.direction;
+    } else {
+      buttons[slot.action] = true;
+    }
+  };
+
+  for (const slot of BINDING_SLOTS) {
+    if (bindings.keyboard[slot.id].some((code) => keys[code])) activate(slot);
+  }
+
+  for (const gamepad of gamepads) {
+    if (!gamepad?.connected) continue;
+
+    for (const slot of BINDING_SLOTS) {
+      if (bindings.gamepad[slot.id].some((index) => pressedButton(gamepad, index))) activate(slot);
+    }
+
+    const { forward: forwardAxis, steer: steerAxis } = bindings.axes;
+    const [stickSteer, stickForward] = applyStickDeadzone(
+      gamepad.axes[steerAxis.axis] ?? 0,
+      gamepad.axes[forwardAxis.axis] ?? 0,
+      bindings.deadzone,
+    );
+    axes.forward += stickForward * forwardAxis.scale;
+    axes.steer += stickSteer * steerAxis.scale;
+  }
+
+  return {
+    forward: clampAxis(axes.forward + (touch?.forward ?? 0)),
+    steer: clampAxis(axes.steer + (touch?.steer ?? 0)),
+    pull: buttons.pull || Boolean(touch?.pull),
+    brake: buttons.brake || Boolean(touch?.brake),
+    rest: buttons.rest || Boolean(touch?.rest),
+    instinct: buttons.instinct || Boolean(touch?.instinct),
+  };
+}
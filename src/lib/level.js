@@ -0,0 +1,288 @@
+import { SURFACE_TYPES } from "./surfaces.js";
+import { getHeightmap, heightAt } from "./terrain.js";
+
+/**
+ * Level format
+ *
+ * A level is a plain JSON document describing one route:
+ *
+ * {
+ *   "version": 2,
+ *   "id": "frozen-lake",
+ *   "name": "Frozen Lake",
+ *   "seed"?: "k3vq8z",
+ *   "ground": { "size": [w, d], "color": "#rrggbb" },
+ *   "terrain": { "cellSize": 2, "hills": [{ "pos": [x, 0, z], "radius": r, "height": h }] },
+ *   "spawn": { "buck": [x, y, z], "sled": [x, y, z] },
+ *   "zones": [{ "type": "packed|ice|deep|path", "pos": [x, y, z], "size": [w, h, d], "color"? }],
+ *   "obstacles": [{ "type": "mound", "pos": [x, y, z], "radius": r }],
+ *   "slopes": [{ "pos": [x, y, z], "size": [w, h, d], "axis": "x|z", "rise": m }],
+ *   "goals": [{ "id": "cabin", "type": "cabin", "label"?, "pos": [x, y, z], "size": [w, h, d] }]
+ * }
+ *
+ * The ground is centred on the origin. Its heightmap (see src/lib/terrain.js) is sampled every
+ * `cellSize` metres from the slopes and hills. Every other `y` is a height above that ground.
+ * Zones are axis-aligned rectangles on the ground; when they overlap, the one listed first wins.
+ * A slope ramps the ground up by `rise` metres across its rectangle along `axis` (negative
+ * rises go downhill) and holds that height beyond the far edge. `seed` is only set on routes made by
+ * the generator (src/lib/generator.js) and records what they were generated from.
+ *
+ * Version 1 files still load: their slopes were constant pushes on the sled (`force`, in N),
+ * which are converted to the ramp that pushes a loaded sled back just as hard.
+ */
+export const LEVEL_VERSION = 2;
+
+export const OBSTACLE_TYPES = ["mound"];
+export const GOAL_TYPES = ["cabin"];
+
+// The colour Instinct Mode shows each kind of zone in, for generated and newly drawn zones
+export const ZONE_COLORS = { packed: "#aaccee", ice: "#dff6ff", deep: "#e6f1f9", path: "#bcd6ff" };
+
+const DEFAULT_ZONE_COLOR = "#ffffff";
+const DEFAULT_CELL_SIZE = 2;
+
+// Loaded sled mass (kg) the version 1 slope forces were tuned against.
+const V1_SLED_MASS = 81;
+const GRAVITY = 9.81;
+
+export class LevelError extends Error {
+  constructor(levelId, issues) {
+    super(`Invalid level "${levelId}":\n${issues.map((issue) => `  - ${issue}`).join("\n")}`);
+    this.name = "LevelError";
+    this.levelId = levelId;
+    this.issues = issues;
+  }
+}
+
+const isObject = (value) => typeof value === "object" && value !== null && !Array.isArray(value);
+
+const isVector = (value, length) =>
+  Array.isArray(value) && value.length === length && value.every((entry) => Number.isFinite(entry));
+
+function createChecker(issues) {
+  return {
+    vector(value, path, length = 3) {
+      if (!isVector(value, length)) {
+        issues.push(`${path} must be an array of ${length} finite numbers`);
+      }
+    },
+    size(value, path, length = 3) {
+      if (!isVector(value, length)) {
+        issues.push(`${path} must be an array of ${length} finite numbers`);
+      } else if (value.some((entry) => entry <= 0)) {
+        issues.push(`${path} must only contain positive numbers`);
+      }
+    },
+    finite(value, path) {
+      if (!Number.isFinite(value)) {
+        issues.push(`${path} must be a finite number`);
+      }
+    },
+    positive(value, path) {
+      if (!Number.isFinite(value) || value <= 0) {
+        issues.push(`${path} must be a positive number`);
+      }
+    },
+    string(value, path) {
+      if (typeof value !== "string" || value.length === 0) {
+        issues.push(`${path} must be a non-empty string`);
+      }
+    },
+    optionalString(value, path) {
+      if (value !== undefined && typeof value !== "string") {
+        issues.push(`${path} must be a string when present`);
+      }
+    },
+    oneOf(value, path, allowed) {
+      if (!allowed.includes(value)) {
+        issues.push(`${path} must be one of ${allowed.join(", ")} (got ${JSON.stringify(value)})`);
+      }
+    },
+    list(value, path, checkEntry, { required = true } = {}) {
+      if (value === undefined && !required) return;
+      if (!Array.isArray(value)) {
+        issues.push(`${path} must be an array`);
+        return;
+      }
+      value.forEach((entry, index) => {
+        const entryPath = `${path}[${index}]`;
+        if (!isObject(entry)) {
+          issues.push(`${entryPath} must be an object`);
+          return;
+        }
+        checkEntry(entry, entryPath);
+      });
+    },
+  };
+}
+
+function upgradeFromV1(data) {
+  const slopes = Array.isArray(data.slopes)
+    ? data.slopes.map((slope) => {
+        if (!isVector(slope?.force, 3) || !isVector(slope?.size, 3)) return slope;
+        const axis = Math.abs(slope.force[0]) > Math.abs(slope.force[2]) ? "x" : "z";
+        const push = axis === "x" ? slope.force[0] : slope.force[2];
+        const length = axis === "x" ? slope.size[0] : slope.size[2];
+        // A push against +axis is the same as climbing a grade of push / (m g)
+        const rise = Math.round((-push / (V1_SLED_MASS * GRAVITY)) * length * 100) / 100;
+        return { pos: slope.pos, size: slope.size, axis, rise };
+      })
+    : data.slopes;
+
+  return { ...data, version: 2, terrain: { cellSize: DEFAULT_CELL_SIZE, hills: [] }, slopes };
+}
+
+/**
+ * Validates raw level data and returns a normalised copy. Throws a LevelError listing every
+ * problem found, so designers can fix a file in one pass.
+ */
+export function loadLevel(input) {
+  if (!isObject(input)) {
+    throw new LevelError("unknown", ["level must be a JSON object"]);
+  }
+
+  const data = input.version === 1 ? upgradeFromV1(input) : input;
+
+  const levelId = typeof data.id === "string" && data.id ? data.id : "unknown";
+  const issues = [];
+  const check = createChecker(issues);
+
+  if (data.version !== LEVEL_VERSION) {
+    issues.push(`version must be 1 or ${LEVEL_VERSION} (got ${JSON.stringify(data.version)})`);
+  }
+  check.string(data.id, "id");
+  check.optionalString(data.name, "name");
+  check.optionalString(data.seed, "seed");
+
+  if (!isObject(data.ground)) {
+    issues.push("ground must be an object");
+  } else {
+    check.size(data.ground.size, "ground.size", 2);
+    check.optionalString(data.ground.color, "ground.color");
+  }
+
+  if (!isObject(data.terrain)) {
+    issues.push("terrain must be an object");
+  } else {
+    check.positive(data.terrain.cellSize, "terrain.cellSize");
+    check.list(
+      data.terrain.hills,
+      "terrain.hills",
+      (hill, path) => {
+        check.vector(hill.pos, `${path}.pos`);
+        check.positive(hill.radius, `${path}.radius`);
+        check.finite(hill.height, `${path}.height`);
+      },
+      { required: false },
+    );
+  }
+
+  if (!isObject(data.spawn)) {
+    issues.push("spawn must be an object with buck and sled positions");
+  } else {
+    check.vector(data.spawn.buck, "spawn.buck");
+    check.vector(data.spawn.sled, "spawn.sled");
+  }
+
+  check.list(data.zones, "zones", (zone, path) => {
+    check.oneOf(zone.type, `${path}.type`, SURFACE_TYPES);
+    check.vector(zone.pos, `${path}.pos`);
+    check.size(zone.size, `${path}.size`);
+    check.optionalString(zone.color, `${path}.color`);
+  });
+
+  check.list(
+    data.obstacles,
+    "obstacles",
+    (obstacle, path) => {
+      check.oneOf(obstacle.type, `${path}.type`, OBSTACLE_TYPES);
+      check.vector(obstacle.pos, `${path}.pos`);
+      check.positive(obstacle.radius, `${path}.radius`);
+    },
+    { required: false },
+  );
+
+  check.list(
+    data.slopes,
+    "slopes",
+    (slope, path) => {
+      check.vector(slope.pos, `${path}.pos`);
+      check.size(slope.size, `${path}.size`);
+      check.oneOf(slope.axis, `${path}.axis`, ["x", "z"]);
+      check.finite(slope.rise, `${path}.rise`);
+    },
+    { required: false },
+  );
+
+  check.list(data.goals, "goals", (goal, path) => {
+    check.string(goal.id, `${path}.id`);
+    check.oneOf(goal.type, `${path}.type`, GOAL_TYPES);
+    check.optionalString(goal.label, `${path}.label`);
+    check.vector(goal.pos, `${path}.pos`);
+    check.size(goal.size, `${path}.size`);
+  });
+
+  if (Array.isArray(data.goals) && data.goals.length === 0) {
+    issues.push("goals must contain at least one goal");
+  }
+
+  if (issues.length > 0) {
+    throw new LevelError(levelId, issues);
+  }
+
+  return {
+    version: data.version,
+    id: data.id,
+    name: data.name ?? data.id,
+    seed: data.seed ?? null,
+    ground: { size: [...data.ground.size], color: data.ground.color ?? "#dce6f5" },
+    terrain: {
+      cellSize: data.terrain.cellSize,
+      hills: (data.terrain.hills ?? []).map((hill) => ({ pos: [...hill.pos], radius: hill.radius, height: hill.height })),
+    },
+    spawn: { buck: [...data.spawn.buck], sled: [...data.spawn.sled] },
+    zones: data.zones.map((zone) => ({
+      type: zone.type,
+      pos: [...zone.pos],
+      size: [...zone.size],
+      color: zone.color ?? DEFAULT_ZONE_COLOR,
+    })),
+    obstacles: (data.obstacles ?? []).map((obstacle) => ({
+      type: obstacle.type,
+      pos: [...obstacle.pos],
+      radius: obstacle.radius,
+    })),
+    slopes: (data.slopes ?? []).map((slope) => ({
+      pos: [...slope.pos],
+      size: [...slope.size],
+      axis: slope.axis,
+      rise: slope.rise,
+    })),
+    goals: data.goals.map((goal) => ({
+      id: goal.id,
+      type: goal.type,
+      label: goal.label ?? goal.id,
+      pos: [...goal.pos],
+      size: [...goal.size],
+    })),
+  };
+}
+
+const insideRect = (rect, position) =>
+  Math.abs(position.x - rect.pos[0]) <= rect.size[0] / 2 && Math.abs(position.z - rect.pos[2]) <= rect.size[2] / 2;
+
+export function zoneAt(level, position) {
+  for (const zone of level.zones) {
+    if (insideRect(zone, position)) {
+      return zone;
+    }
+  }
+  return null;
+}
+
+export function isOutOfBounds(level, position) {
+  const [groundWidth, groundDepth] = level.ground.size;
+  if (Math.abs(position.x) > groundWidth / 2 || Math.abs(position.z) > groundDepth / 2) return true;
+  // Fell through the ground
+  return position.y < heightAt(getHeightmap(level), position.x, position.z) - 5;
+}
@@ -0,0 +1,252 @@
+import { zoneAt } from "./level.js";
+import { SURFACE_TABLE, surfaceParams } from "./surfaces.js";
+import { getHeightmap, gradientAt } from "./terrain.js";
+
+/**
+ * Instinct Mode's route finding.
+ *
+ * The ground is divided into square cells, each holding what it costs to haul the sled a metre
+ * across it. The cost grows with the surface's effort, runner friction and ploughing, with how
+ * little sideways grip it gives (ice lets the sled slide off line), and with the steepness of the
+ * ground. Cells next to an obstacle cost more, and cells it covers are impassable. `findPath`
+ * runs A* over this grid. Weather and tuning change the surfaces, so grids are built for given
+ * conditions and runner models (`tuning.surfaces`, shaped like SURFACE_TABLE).
+ *
+ * Cells are stored row-major, `costs[iz * columns + ix]`, with x running across the ground and z
+ * along it, centred on the origin like the heightmap.
+ */
+export const PATH_CELL_SIZE = 2;
+
+// Weights turning surface parameters and gradient (rise per metre) into extra cost per metre.
+const EFFORT_WEIGHT = 6;
+const FRICTION_WEIGHT = 20;
+const PLOUGH_WEIGHT = 10;
+const SLIDE_WEIGHT = 4;
+const SLIDE_GRIP = 0.6;
+const SLOPE_WEIGHT = 12;
+
+// Obstacles block every cell within their radius plus the clearance (m) the sled needs, and make
+// the band `OBSTACLE_MARGIN` beyond that dearer by `OBSTACLE_PENALTY`.
+const OBSTACLE_CLEARANCE = 1.2;
+const OBSTACLE_MARGIN = 3;
+const OBSTACLE_PENALTY = 2;
+
+// Conditions are rounded to this step before building a grid, so drifting snow rebuilds it
+// every so often rather than every frame.
+const CONDITIONS_STEP = 0.1;
+
+const cache = new WeakMap();
+
+/** Cost per metre of hauling across a surface, before slope and obstacles. */
+export function surfaceCost(type, conditions = null, surfaces = SURFACE_TABLE) {
+  const surface = surfaceParams(type, conditions, 0, surfaces);
+  return (
+    1 +
+    surface.effort * EFFORT_WEIGHT +
+    surface.kineticFriction * FRICTION_WEIGHT +
+    surface.plough * PLOUGH_WEIGHT +
+    Math.max(0, SLIDE_GRIP - surface.lateralGrip) * SLIDE_WEIGHT
+  );
+}
+
+export function buildCostGrid(level, conditions = null, surfaces = SURFACE_TABLE, cellSize = PATH_CELL_SIZE) {
+  const [width, depth] = level.ground.size;
+  const columns = Math.max(1, Math.round(width / cellSize));
+  const rows = Math.max(1, Math.round(depth / cellSize));
+  const costs = new Float32Array(columns * rows);
+  const heightmap = getHeightmap(level);
+  const grid = { width, depth, columns, rows, cellSize: width / columns, costs, minCost: Infinity };
+
+  for (let iz = 0; iz < rows; iz += 1) {
+    for (let ix = 0; ix < columns; ix += 1) {
+      const { x, z } = cellCenter(grid, ix, iz);
+      const zone = zoneAt(level, { x, z });
+      const gradient = gradientAt(heightmap, x, z);
+      const slope = Math.hypot(gradient.x, gradient.z);
+      costs[iz * columns + ix] = surfaceCost(zone?.type ?? "default", conditions, surfaces) + slope * SLOPE_WEIGHT;
+    }
+  }
+
+  for (const obstacle of level.obstacles) {
+    const reach = obstacle.radius + OBSTACLE_CLEARANCE + OBSTACLE_MARGIN;
+    const low = cellAt(grid, obstacle.pos[0] - reach, obstacle.pos[2] - reach);
+    const high = cellAt(grid, obstacle.pos[0] + reach, obstacle.pos[2] + reach);
+    for (let iz = low.iz; iz <= high.iz; iz += 1) {
+      for (let ix = low.ix; ix <= high.ix; ix += 1) {
+        const { x, z } = cellCenter(grid, ix, iz);
+        const distance = Math.hypot(x - obstacle.pos[0], z - obstacle.pos[2]) - obstacle.radius;
+        if (distance < OBSTACLE_CLEARANCE) {
+          costs[iz * columns + ix] = Infinity;
+        } else if (distance < OBSTACLE_CLEARANCE + OBSTACLE_MARGIN) {
+          costs[iz * columns + ix] += OBSTACLE_PENALTY;
+        }
+      }
+    }
+  }
+
+  grid.minCost = costs.reduce((lowest, cost) => Math.min(lowest, cost), Infinity);
+  return grid;
+}
+
+/**
+ * The level's cost grid under `conditions` with the `surfaces` runner models; the latest one is
+ * kept per level object.
+ */
+export function getCostGrid(level, conditions = null, surfaces = SURFACE_TABLE) {
+  const rounded = conditions && {
+    freshSnow: Math.round(conditions.freshSnow / CONDITIONS_STEP) * CONDITIONS_STEP,
+    iceCover: Math.round(conditions.iceCover / CONDITIONS_STEP) * CONDITIONS_STEP,
+  };
+  const key = rounded ? `${rounded.freshSnow.toFixed(1)}:${rounded.iceCover.toFixed(1)}` : "calm";
+
+  let entry = cache.get(level);
+  // Tuning edits replace the table rather than change it, so a new table means new costs
+  if (entry?.key !== key || entry.surfaces !== surfaces) {
+    entry = { key, surfaces, grid: buildCostGrid(level, rounded, surfaces) };
+    cache.set(level, entry);
+  }
+  return entry.grid;
+}
+
+export function cellCenter(grid, ix, iz) {
+  return {
+    x: -grid.width / 2 + (ix + 0.5) * grid.cellSize,
+    z: -grid.depth / 2 + (iz + 0.5) * grid.cellSize,
+  };
+}
+
+/** The cell containing (x, z), clamped to the grid. */
+export function cellAt(grid, x, z) {
+  const ix = Math.floor((x + grid.width / 2) / grid.cellSize);
+  const iz = Math.floor((z + grid.depth / 2) / grid.cellSize);
+  return {
+    ix: Math.min(grid.columns - 1, Math.max(0, ix)),
+    iz: Math.min(grid.rows - 1, Math.max(0, iz)),
+  };
+}
+
+// Binary min-heap of [score, cell index] entries.
+function createQueue() {
+  const heap = [];
+  const swap = (a, b) => ([heap[a], heap[b]] = [heap[b], heap[a]]);
+
+  return {
+    get size() {
+      return heap.length;
+    },
+    push(score, index) {
+      heap.push([score, index]);
+      let child = heap.length - 1;
+      while (child > 0) {
+        const parent = (child - 1) >> 1;
+        if (heap[parent][0] <= heap[child][0]) break;
+        swap(parent, child);
+        child = parent;
+      }
+    },
+    pop() {
+      const top = heap[0];
+      const last = heap.pop();
+      if (heap.length > 0) {
+        heap[0] = last;
+        let parent = 0;
+        for (;;) {
+          const left = parent * 2 + 1;
+          const right = left + 1;
+          let smallest = parent;
+          if (left < heap.length && heap[left][0] < heap[smallest][0]) smallest = left;
+          if (right < heap.length && heap[right][0] < heap[smallest][0]) smallest = right;
+          if (smallest === parent) break;
+          swap(parent, smallest);
+          parent = smallest;
+        }
+      }
+      return top[1];
+    },
+  };
+}
+
+const NEIGHBOURS = [
+  [1, 0],
+  [-1, 0],
+  [0, 1],
+  [0, -1],
+  [1, 1],
+  [1, -1],
+  [-1, 1],
+  [-1, -1],
+];
+
+/**
+ * Cheapest route across the grid from `start` to `goal` (world {x, z}). Moves go to any of the
+ * eight neighbouring cells, never cutting the corner of a blocked one; a move costs its length
+ * times the average cost of the two cells. The start cell is always enterable, so Buck standing
+ * next to a mound still gets a route.
+ *
+ * Returns `{ points, cost }` with `points` the cell centres from start to goal, or null when the
+ * goal can't be reached.
+ */
+export function findPath(grid, start, goal) {
+  const { columns, rows, costs, cellSize } = grid;
+  const from = cellAt(grid, start.x, start.z);
+  const to = cellAt(grid, goal.x, goal.z);
+  const startIndex = from.iz * columns + from.ix;
+  const goalIndex = to.iz * columns + to.ix;
+  if (!Number.isFinite(costs[goalIndex])) return null;
+
+  const cellCost = (index) => (index === startIndex ? grid.minCost : costs[index]);
+  const heuristic = (ix, iz) => {
+    const dx = Math.abs(ix - to.ix);
+    const dz = Math.abs(iz - to.iz);
+    return (Math.max(dx, dz) + (Math.SQRT2 - 1) * Math.min(dx, dz)) * cellSize * grid.minCost;
+  };
+
+  const travelled = new Float64Array(columns * rows).fill(Infinity);
+  const cameFrom = new Int32Array(columns * rows).fill(-1);
+  const closed = new Uint8Array(columns * rows);
+  const queue = createQueue();
+
+  travelled[startIndex] = 0;
+  queue.push(heuristic(from.ix, from.iz), startIndex);
+
+  while (queue.size > 0) {
+    const current = queue.pop();
+    if (current === goalIndex) break;
+    if (closed[current]) continue;
+    closed[current] = 1;
+
+    const ix = current % columns;
+    const iz = (current - ix) / columns;
+    for (const [dx, dz] of NEIGHBOURS) {
+      const nx = ix + dx;
+      const nz = iz + dz;
+      if (nx < 0 || nz < 0 || nx >= columns || nz >= rows) continue;
+      const next = nz * columns + nx;
+      if (closed[next] || !Number.isFinite(costs[next])) continue;
+      if (dx !== 0 && dz !== 0) {
+        const cornerA = cellCost(iz * columns + nx);
+        const cornerB = cellCost(nz * columns + ix);
+        if (!Number.isFinite(cornerA) || !Number.isFinite(cornerB)) continue;
+      }
+
+      const length = dx !== 0 && dz !== 0 ? cellSize * Math.SQRT2 : cellSize;
+      const cost = travelled[current] + (length * (cellCost(current) + costs[next])) / 2;
+      if (cost >= travelled[next]) continue;
+
+      travelled[next] = cost;
+      cameFrom[next] = current;
+      // Older, dearer entries for `next` stay queued and are skipped once it is closed
+      queue.push(cost + heuristic(nx, nz), next);
+    }
+  }
+
+  if (!Number.isFinite(travelled[goalIndex])) return null;
+
+  const points = [];
+  for (let index = goalIndex; index !== -1; index = cameFrom[index]) {
+    const ix = index % columns;
+    points.push(cellCenter(grid, ix, (index - ix) / columns));
+  }
+  points.reverse();
+  return { points, cost: travelled[goalIndex] };
+}
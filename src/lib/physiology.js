@@ -0,0 +1,156 @@
+/**
+ * The dogs' condition.
+ *
+ * Stamina is only the top layer. Underneath it, the simulation keeps for every dog in the team
+ * (all 0..1):
+ *
+ *   stamina  – short-term wind: spent by work, back within seconds of easing off
+ *   fatigue  – long-term tiredness: builds with all the stamina spent and only wears off on a rest
+ *              stop. It caps how far stamina refills and makes the same work cost more.
+ *   warmth   – working keeps a dog warm; wind, snowfall and wading through deep snow chill him.
+ *              Below half, he recovers slowly and tires fast.
+ *   hunger   – rises slowly all the time and faster with work, and slows recovery
+ *   injury   – sore paws from hauling hard on ice; they lose grip, so his pull weakens. They heal
+ *              only a little on rest stops.
+ *
+ * Treats feed the team. Buck carries TREAT_POUCH in his pouch and every food crate still on the
+ * sled holds TREATS_PER_CRATE more. On a rest stop each dog eats one once he has rested
+ * TREAT_REST_SECONDS, if he is hungry and there are any left, lead first. The rates are tuning
+ * (`tuning.condition`, see DEFAULT_CONDITION).
+ */
+export const TREAT_POUCH = 2;
+export const TREATS_PER_CRATE = 3;
+const TREAT_REST_SECONDS = 2;
+// Not hungry enough to bother below this; a treat also warms him a little
+const TREAT_HUNGER = 0.2;
+const TREAT_WARMTH = 0.1;
+const FOOD_ITEM = "food";
+
+// Chill per second with no wind, and at full snowfall; curled up on a rest stop he loses heat
+// this much slower
+const BASE_CHILL = 0.003;
+const SNOW_CHILL = 0.006;
+const REST_SHELTER = 0.5;
+// Warmth below which the cold starts to tell
+const COLD_WARMTH = 0.5;
+// How much slower a dog gets his wind back when fully cold or starving
+const COLD_RECOVERY_LOSS = 0.6;
+const HUNGER_RECOVERY_LOSS = 0.5;
+
+/**
+ * fatigueGain     – long-term fatigue per unit of stamina spent
+ * fatigueCap      – how much of stamina's ceiling full fatigue takes away
+ * fatigueRecovery – fatigue shed per second of rest
+ * exertionHeat    – warmth per second at full exertion
+ * windChill       – warmth lost per second per m/s of wind
+ * deepChill       – warmth lost per second in deep snow
+ * coldDrain       – extra stamina drain when fully cold
+ * hungerRate      – hunger per second, idle
+ * workHunger      – extra hunger per second at full exertion
+ * treatValue      – hunger one treat takes away
+ * iceInjury       – paw injury per second of full exertion on ice
+ * injuryGrip      – share of his pull lost with fully injured paws
+ * injuryHealing   – injury healed per second of rest
+ */
+export const DEFAULT_CONDITION = {
+  fatigueGain: 0.012,
+  fatigueCap: 0.6,
+  fatigueRecovery: 0.006,
+  exertionHeat: 0.02,
+  windChill: 0.0015,
+  deepChill: 0.006,
+  coldDrain: 0.8,
+  hungerRate: 0.001,
+  workHunger: 0.003,
+  treatValue: 0.4,
+  iceInjury: 0.01,
+  injuryGrip: 0.5,
+  injuryHealing: 0.002,
+};
+
+const clamp01 = (value) => Math.min(1, Math.max(0, value));
+
+/** A fresh dog's condition. */
+export function createCondition() {
+  return { stamina: 1, fatigue: 0, warmth: 1, hunger: 0, injury: 0, restTime: 0 };
+}
+
+const TEAM_FIELDS = ["stamina", "fatigue", "warmth", "hunger", "injury"];
+
+/** The team's condition at a glance: each field averaged over the dogs. */
+export function teamCondition(dogs) {
+  return Object.fromEntries(
+    TEAM_FIELDS.map((field) => [field, dogs.reduce((total, dog) => total + dog[field], 0) / dogs.length]),
+  );
+}
+
+export function treatsLeft(sim) {
+  const crates = sim.cargo.filter((item) => item.id === FOOD_ITEM).length;
+  return Math.max(0, TREAT_POUCH + crates * TREATS_PER_CRATE - sim.treatsEaten);
+}
+
+/** The highest stamina can refill to, given the long-term fatigue. */
+export function staminaCap(dog, condition) {
+  return 1 - dog.fatigue * condition.fatigueCap;
+}
+
+/** 0 while the dog is warm enough, rising to 1 as his warmth runs out. */
+export function chill(dog) {
+  return clamp01((COLD_WARMTH - dog.warmth) / COLD_WARMTH);
+}
+
+/** How much of his pull the dog's paws still grip with. */
+export function pawGrip(dog, condition) {
+  return 1 - dog.injury * condition.injuryGrip;
+}
+
+/**
+ * Advances one dog's condition one step, in place. `drain` is the stamina the step's work costs
+ * per second (before the cold) and `recovery` the rate he gets it back at if `recovering`;
+ * `exertion` is 0..1, `resting` whether he is on a rest stop, `surface` the zone type under him,
+ * `weather` the run's weather (src/lib/weather.js) and `treats` how many are left to share.
+ * Returns whether he ate one.
+ */
+export function updateCondition(
+  dog,
+  condition,
+  { drain, recovering, recovery, exertion, resting, surface, weather, treats, dt },
+) {
+  const cold = chill(dog);
+  const recoveryRate = recovery * (1 - COLD_RECOVERY_LOSS * cold) * (1 - HUNGER_RECOVERY_LOSS * dog.hunger);
+  const cap = staminaCap(dog, condition);
+  const before = dog.stamina;
+  if (!recovering) {
+    dog.stamina = clamp01(dog.stamina - drain * (1 + condition.coldDrain * cold) * dt);
+  } else if (dog.stamina < cap) {
+    // Fatigue never takes stamina away by itself; it only stops it refilling
+    dog.stamina = Math.min(cap, dog.stamina + recoveryRate * dt);
+  }
+
+  const spent = Math.max(0, before - dog.stamina);
+  dog.fatigue = clamp01(dog.fatigue + spent * condition.fatigueGain - (resting ? condition.fatigueRecovery * dt : 0));
+
+  const windSpeed = Math.hypot(weather.wind.x, weather.wind.z);
+  const chilling =
+    BASE_CHILL +
+    SNOW_CHILL * weather.snowfall +
+    condition.windChill * windSpeed +
+    (surface === "deep" ? condition.deepChill : 0);
+  const heatLoss = chilling * (resting ? REST_SHELTER : 1);
+  dog.warmth = clamp01(dog.warmth + (condition.exertionHeat * exertion - heatLoss) * dt);
+
+  dog.hunger = clamp01(dog.hunger + (condition.hungerRate + condition.workHunger * exertion) * dt);
+
+  const onIce = surface === "ice" ? condition.iceInjury * exertion : 0;
+  dog.injury = clamp01(dog.injury + (onIce - (resting ? condition.injuryHealing : 0)) * dt);
+
+  // Rest stops: once settled, a hungry dog gets a treat if there are any left
+  dog.restTime = resting ? dog.restTime + dt : 0;
+  if (dog.restTime >= TREAT_REST_SECONDS && dog.hunger >= TREAT_HUNGER && treats > 0) {
+    dog.hunger = clamp01(dog.hunger - condition.treatValue);
+    dog.warmth = clamp01(dog.warmth + TREAT_WARMTH);
+    dog.restTime = 0;
+    return true;
+  }
+  return false;
+}
@@ -0,0 +1,86 @@
+/**
+ * Graphics quality tiers, and the frame-time monitor that picks one at runtime.
+ *
+ * The quality setting is "auto" or a fixed tier. On auto the game starts on a tier suited to the
+ * device and `monitorFrame` steps down after a few seconds of slow frames, or back up after a
+ * longer stretch of fast ones. A tier it had to leave isn't retried for a minute, so it doesn't
+ * bounce between two. Losing the WebGL context counts as a sign of memory pressure and steps down
+ * the same way.
+ *
+ * Antialiasing is fixed when the WebGL context is created, so it follows the starting tier.
+ */
+export const QUALITY_TIERS = ["low", "medium", "high"];
+export const QUALITY_SETTINGS = ["auto", ...QUALITY_TIERS];
+export const QUALITY_LABELS = { auto: "Auto", low: "Low", medium: "Medium", high: "High" };
+
+export const QUALITY_PRESETS = {
+  low: { shadows: false, shadowMapSize: 512, dpr: [0.75, 1], antialias: false, stars: 400, snowflakes: 600 },
+  medium: { shadows: false, shadowMapSize: 1024, dpr: [1, 1.2], antialias: false, stars: 800, snowflakes: 1200 },
+  high: { shadows: true, shadowMapSize: 2048, dpr: [1, 2], antialias: true, stars: 2000, snowflakes: 3000 },
+};
+
+// Frame times (s) that count as slow and fast, how long (s) each must last before the tier
+// changes, and how long a tier that proved too slow is skipped.
+const SLOW_FRAME = 1 / 45;
+const FAST_FRAME = 1 / 57;
+const DOWNGRADE_SECONDS = 3;
+const UPGRADE_SECONDS = 10;
+const RETRY_SECONDS = 60;
+// The frame-time average covers roughly this long (s); longer frames are hitches (a tab
+// switch, a shader compiling) and are left out.
+const AVERAGE_SECONDS = 1;
+const HITCH_SECONDS = 0.25;
+
+/** The tier auto quality starts on. */
+export function initialQualityTier(isTouch) {
+  return isTouch ? "medium" : "high";
+}
+
+/** The tier to render with, for the quality `setting` and the tier auto mode is on. */
+export function resolveQuality(setting, autoTier) {
+  return QUALITY_TIERS.includes(setting) ? setting : autoTier;
+}
+
+export function createQualityMonitor() {
+  return { time: 0, average: null, fps: 0, slowTime: 0, fastTime: 0, skipUntil: {} };
+}
+
+// Steps from `tier` to `next`, holding off on `tier` for a while if it was too demanding.
+function changeTier(monitor, tier, next) {
+  if (QUALITY_TIERS.indexOf(next) < QUALITY_TIERS.indexOf(tier)) {
+    monitor.skipUntil[tier] = monitor.time + RETRY_SECONDS;
+  }
+  monitor.slowTime = 0;
+  monitor.fastTime = 0;
+  return next;
+}
+
+/**
+ * Feeds one frame that took `dt` seconds, rendered on `tier`. Updates `monitor.fps` and returns
+ * the tier auto quality should use from now on.
+ */
+export function monitorFrame(monitor, tier, dt) {
+  if (!(dt > 0) || dt > HITCH_SECONDS) return tier;
+  monitor.time += dt;
+  monitor.average =
+    monitor.average === null ? dt : monitor.average + (dt - monitor.average) * Math.min(1, dt / AVERAGE_SECONDS);
+  monitor.fps = 1 / monitor.average;
+  monitor.slowTime = monitor.average > SLOW_FRAME ? monitor.slowTime + dt : 0;
+  monitor.fastTime = monitor.average < FAST_FRAME ? monitor.fastTime + dt : 0;
+
+  const index = QUALITY_TIERS.indexOf(tier);
+  if (monitor.slowTime >= DOWNGRADE_SECONDS && index > 0) {
+    return changeTier(monitor, tier, QUALITY_TIERS[index - 1]);
+  }
+  const higher = QUALITY_TIERS[index + 1];
+  if (higher && monitor.fastTime >= UPGRADE_SECONDS && monitor.time >= (monitor.skipUntil[higher] ?? 0)) {
+    return changeTier(monitor, tier, higher);
+  }
+  return tier;
+}
+
+/** The tier to fall back to after the WebGL context was lost on `tier`. */
+export function tierAfterContextLoss(monitor, tier) {
+  const index = QUALITY_TIERS.indexOf(tier);
+  return index > 0 ? changeTier(monitor, tier, QUALITY_TIERS[index - 1]) : tier;
+}
@@ -0,0 +1,70 @@
+/**
+ * Seeded randomness.
+ *
+ * Anything that should come out the same for everyone who shares a seed draws from a
+ * `createRandom(seed)` stream instead of `Math.random()`. Seeds are short strings so they fit in
+ * a URL; numbers are accepted too and treated as their decimal text.
+ */
+const SEED_ALPHABET = "abcdefghjkmnpqrstuvwxyz23456789";
+const SEED_LENGTH = 6;
+
+// FNV-1a: folds the seed text into the generator's 32-bit state.
+function hashSeed(seed) {
+  let hash = 0x811c9dc5;
+  for (const char of String(seed)) {
+    hash ^= char.codePointAt(0);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * A mulberry32 stream. `next()` returns a float in [0, 1); the helpers are built on it, so the
+ * sequence depends only on the seed and the order of calls.
+ */
+export function createRandom(seed) {
+  let state = hashSeed(seed);
+
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  return {
+    next,
+    range(min, max) {
+      return min + (max - min) * next();
+    },
+    int(min, max) {
+      return min + Math.floor(next() * (max - min + 1));
+    },
+    chance(probability) {
+      return next() < probability;
+    },
+    pick(list) {
+      return list[Math.floor(next() * list.length)];
+    },
+    /** Picks a key of `weights` ({ key: weight }) with probability proportional to its weight. */
+    weighted(weights) {
+      const entries = Object.entries(weights).filter(([, weight]) => weight > 0);
+      let roll = next() * entries.reduce((total, [, weight]) => total + weight, 0);
+      for (const [key, weight] of entries) {
+        roll -= weight;
+        if (roll < 0) return key;
+      }
+      return entries[entries.length - 1]?.[0];
+    },
+  };
+}
+
+/** A fresh, easy-to-read seed. This is the one place that is meant to be unpredictable. */
+export function randomSeed() {
+  let seed = "";
+  for (let index = 0; index < SEED_LENGTH; index += 1) {
+    seed += SEED_ALPHABET[Math.floor(Math.random() * SEED_ALPHABET.length)];
+  }
+  return seed;
+}
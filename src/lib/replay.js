@@ -0,0 +1,263 @@
+import { NEUTRAL_INPUT, SIM_TIMESTEP } from "./simulation.js";
+import { isDefaultTuning, normalizeTuning } from "./tuning.js";
+
+/**
+ * Run recording and playback.
+ *
+ * A replay is the merged input fed to the simulation on every fixed step since the world was
+ * created, plus the level id, seed, cargo loadout, team and weather seed it was recorded with,
+ * and any tuning (see src/lib/tuning.js) that was in effect. Inputs are quantised before they
+ * reach the simulation (live or replayed), so the decoded file reproduces a run bit for bit.
+ *
+ * File layout (JSON):
+ *
+ * {
+ *   "format": "buck-replay",
+ *   "version": 1,
+ *   "levelId": "frozen-lake",
+ *   "seed": null,
+ *   "loadout": ["food", "firewood", "tent", "mail"],
+ *   "team": ["buck", "dave", "sol-leks"],
+ *   "weatherSeed": "k3mx9q",
+ *   "timestep": 0.016666,
+ *   "result": { "status": "arrived", "time": 73.4 },
+ *   "end": [x, y, z],
+ *   "frames": [[repeat, forward, steer, flags, heading], ...],
+ *   "tuning": [[step, tuning], ...]
+ * }
+ *
+ * Frames are run-length encoded: `forward` and `steer` are in hundredths, `flags` packs
+ * pull/brake/rest/instinct as bits 1/2/4/8 and `heading` is the camera yaw in milliradians.
+ * `tuning` lists the tunings switched to during the run and the step each took effect from; null
+ * is the default tuning, and so is an empty list (or none, in older files).
+ */
+export const REPLAY_FORMAT = "buck-replay";
+export const REPLAY_VERSION = 1;
+
+const PULL = 1;
+const BRAKE = 2;
+const REST = 4;
+const INSTINCT = 8;
+
+// Allowed drift (m) between the recorded and replayed end position before we call it a desync.
+const END_TOLERANCE = 1e-3;
+
+export class ReplayError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ReplayError";
+  }
+}
+
+function packInput(input) {
+  const flags =
+    (input.pull ? PULL : 0) | (input.brake ? BRAKE : 0) | (input.rest ? REST : 0) | (input.instinct ? INSTINCT : 0);
+  const heading = input.heading ?? NEUTRAL_INPUT.heading;
+  return [
+    Math.round((input.forward ?? 0) * 100),
+    Math.round((input.steer ?? 0) * 100),
+    flags,
+    Math.round(Math.atan2(heading.x, heading.z) * 1000),
+  ];
+}
+
+function unpackInput([forward, steer, flags, heading]) {
+  const yaw = heading / 1000;
+  return {
+    forward: forward / 100,
+    steer: steer / 100,
+    pull: (flags & PULL) !== 0,
+    brake: (flags & BRAKE) !== 0,
+    rest: (flags & REST) !== 0,
+    instinct: (flags & INSTINCT) !== 0,
+    heading: { x: Math.sin(yaw), z: Math.cos(yaw) },
+  };
+}
+
+/** Rounds an input to what a replay can store; the live game steps with this too. */
+export function quantizeInput(input) {
+  return unpackInput(packInput(input));
+}
+
+const samePacked = (a, b) => a[0] === b[0] && a[1] === b[1] && a[2] === b[2] && a[3] === b[3];
+
+/**
+ * Collects quantised inputs step by step. `push` takes the input handed to the simulation and
+ * the sled position at that step (kept to detect desyncs on playback). `setTuning` notes the
+ * tuning the following steps run with.
+ */
+export function createRecorder({
+  levelId,
+  seed = null,
+  loadout = null,
+  team = null,
+  weatherSeed = null,
+  timestep = SIM_TIMESTEP,
+}) {
+  const frames = [];
+  const tuningChanges = [];
+  let steps = 0;
+  let end = null;
+  let result = null;
+
+  return {
+    get steps() {
+      return steps;
+    },
+    setTuning(tuning) {
+      const value = isDefaultTuning(tuning) ? null : tuning;
+      const last = tuningChanges[tuningChanges.length - 1];
+      if (last?.[0] === steps) {
+        last[1] = value;
+      } else if ((last ? last[1] : null) !== value) {
+        tuningChanges.push([steps, value]);
+      }
+    },
+    push(input, sledPosition) {
+      steps += 1;
+      const packed = packInput(input);
+      const last = frames[frames.length - 1];
+      if (last && samePacked(last.slice(1), packed)) {
+        last[0] += 1;
+      } else {
+        frames.push([1, ...packed]);
+      }
+      if (sledPosition) {
+        end = [sledPosition.x, sledPosition.y, sledPosition.z];
+      }
+    },
+    setResult(status, time) {
+      // The first outcome sticks, like the run state it mirrors
+      result ??= { status, time };
+    },
+    toJSON() {
+      return {
+        format: REPLAY_FORMAT,
+        version: REPLAY_VERSION,
+        levelId,
+        seed,
+        loadout: loadout && [...loadout],
+        team: team && [...team],
+        weatherSeed,
+        timestep,
+        result,
+        end,
+        frames: frames.map((frame) => [...frame]),
+        tuning: tuningChanges.map(([step, tuning]) => [step, tuning]),
+      };
+    },
+  };
+}
+
+export function encodeReplay(recorder) {
+  return JSON.stringify(recorder.toJSON());
+}
+
+const isIdList = (ids) => Array.isArray(ids) && ids.every((id) => typeof id === "string");
+
+const isTuningChange = (change) =>
+  Array.isArray(change) &&
+  change.length === 2 &&
+  Number.isInteger(change[0]) &&
+  change[0] >= 0 &&
+  (change[1] === null || typeof change[1] === "object");
+
+const isFrame = (frame) =>
+  Array.isArray(frame) && frame.length === 5 && frame.every(Number.isInteger) && frame[0] > 0;
+
+/** Parses and validates a replay file's text. Throws a ReplayError on anything unexpected. */
+export function decodeReplay(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new ReplayError("Replay file is not valid JSON.");
+  }
+
+  if (data?.format !== REPLAY_FORMAT) {
+    throw new ReplayError("This file is not a BUCK replay.");
+  }
+  if (data.version !== REPLAY_VERSION) {
+    throw new ReplayError(`Unsupported replay version ${JSON.stringify(data.version)}.`);
+  }
+  if (typeof data.levelId !== "string" || !data.levelId) {
+    throw new ReplayError("Replay is missing its level id.");
+  }
+  if (data.timestep !== SIM_TIMESTEP) {
+    throw new ReplayError(`Replay was recorded at a ${data.timestep}s timestep; this build steps at ${SIM_TIMESTEP}s.`);
+  }
+  if (!Array.isArray(data.frames) || !data.frames.every(isFrame)) {
+    throw new ReplayError("Replay frames are malformed.");
+  }
+  if (data.tuning !== undefined && !(Array.isArray(data.tuning) && data.tuning.every(isTuningChange))) {
+    throw new ReplayError("Replay tuning is malformed.");
+  }
+
+  return {
+    levelId: data.levelId,
+    seed: data.seed ?? null,
+    // Older files predate loadouts and were hauled with the default cargo
+    loadout: isIdList(data.loadout) ? data.loadout : null,
+    // ...and teams, when Buck hauled alone
+    team: isIdList(data.team) ? data.team : null,
+    // ...and before weather, which means calm
+    weatherSeed: typeof data.weatherSeed === "string" ? data.weatherSeed : null,
+    timestep: data.timestep,
+    result: data.result ?? null,
+    end: Array.isArray(data.end) ? data.end : null,
+    frames: data.frames,
+    // ...and before tuning, which means the defaults throughout
+    tuning: (data.tuning ?? []).map(([step, tuning]) => [step, tuning && normalizeTuning(tuning)]),
+    steps: data.frames.reduce((total, frame) => total + frame[0], 0),
+  };
+}
+
+/**
+ * Feeds a decoded replay back one step at a time. `next()` returns null once the recording
+ * is exhausted; `tuning` is the tuning the next step runs with (null for the default), and
+ * `matchesEnd` compares the final sled position with the recorded one.
+ */
+export function createPlayer(replay) {
+  let frameIndex = 0;
+  let repeat = 0;
+  let step = 0;
+
+  return {
+    get step() {
+      return step;
+    },
+    get done() {
+      return frameIndex >= replay.frames.length;
+    },
+    get tuning() {
+      let tuning = null;
+      for (const [from, value] of replay.tuning) {
+        if (from > step) break;
+        tuning = value;
+      }
+      return tuning;
+    },
+    next() {
+      const frame = replay.frames[frameIndex];
+      if (!frame) return null;
+
+      const input = unpackInput(frame.slice(1));
+      repeat += 1;
+      step += 1;
+      if (repeat >= frame[0]) {
+        frameIndex += 1;
+        repeat = 0;
+      }
+      return input;
+    },
+    matchesEnd(sledPosition) {
+      if (!replay.end) return true;
+      const [x, y, z] = replay.end;
+      return Math.max(
+        Math.abs(sledPosition.x - x),
+        Math.abs(sledPosition.y - y),
+        Math.abs(sledPosition.z - z),
+      ) <= END_TOLERANCE;
+    },
+  };
+}
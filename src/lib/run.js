@@ -0,0 +1,47 @@
+/**
+ * Run-state machine: ready → running → arrived / exhausted / abandoned.
+ *
+ * A run starts on the first forward or pull input and ends once the sled reaches a goal,
+ * Buck stays spent for too long, the team is too spent to shift the stopped sled, or the player
+ * gives up (or leaves the map). Restarting bumps `attempt`, which the scene uses to reset Buck,
+ * the sled and stamina.
+ */
+export const RUN_READY = "ready";
+export const RUN_RUNNING = "running";
+export const RUN_ARRIVED = "arrived";
+export const RUN_EXHAUSTED = "exhausted";
+export const RUN_ABANDONED = "abandoned";
+
+const OUTCOMES = [RUN_ARRIVED, RUN_EXHAUSTED, RUN_ABANDONED];
+
+// Seconds Buck may sit at zero stamina before the run counts as exhausted.
+export const EXHAUSTION_GRACE_SECONDS = 3;
+// Seconds the sled may sit stuck (`sim.stuck`: the spent team too weak to break it free) while
+// the run is on before the same happens. Long enough to call a rest stop.
+export const STUCK_GRACE_SECONDS = 8;
+
+export const initialRunState = { status: RUN_READY, attempt: 0, time: 0 };
+
+export function runReducer(state, action) {
+  switch (action.type) {
+    case "start":
+      return state.status === RUN_READY ? { ...state, status: RUN_RUNNING } : state;
+    case "finish":
+      if (state.status !== RUN_RUNNING || !OUTCOMES.includes(action.outcome)) return state;
+      return { ...state, status: action.outcome, time: action.time };
+    case "restart":
+      return { status: RUN_READY, attempt: state.attempt + 1, time: 0 };
+    default:
+      return state;
+  }
+}
+
+export function isRunOver(status) {
+  return OUTCOMES.includes(status);
+}
+
+export function formatRunTime(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  const rest = seconds - minutes * 60;
+  return `${minutes}:${rest.toFixed(1).padStart(4, "0")}`;
+}
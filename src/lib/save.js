@@ -0,0 +1,228 @@
+import { AUDIO_CHANNELS } from "./audio.js";
+import { CAMERA_MODES } from "./camera.js";
+import { DEFAULT_LOADOUT, loadLoadout, normalizeLoadout } from "./cargo.js";
+import { DIFFICULTY_LEVELS } from "./generator.js";
+import { QUALITY_SETTINGS } from "./quality.js";
+import { DEFAULT_TEAM, normalizeTeam } from "./team.js";
+import { DEFAULT_BINDINGS, loadBindings, loadTouchLayout, normalizeBindings, normalizeTouchLayout } from "./input.js";
+
+/**
+ * The player's save: everything that persists between sessions, kept as one versioned entry in
+ * localStorage.
+ *
+ * {
+ *   "version": 1,
+ *   "settings": {
+ *     "bindings": { ... },              // src/lib/input.js
+ *     "touchLayout": "stick",
+ *     "loadout": ["food", "firewood"],  // src/lib/cargo.js
+ *     "team": ["buck", "dave"],         // src/lib/team.js
+ *     "cameraMode": "chase",            // src/lib/camera.js
+ *     "quality": "auto",                // "auto" or a tier (src/lib/quality.js)
+ *     "audio": { "master": 0.8, "ambience": 0.6, "effects": 0.8, "muted": false }  // src/lib/audio.js
+ *   },
+ *   "unlocked": ["difficulty:easy", "difficulty:normal"],
+ *   "tips": ["pull", "brake"],            // tutorial tips done (src/lib/tutorial.js)
+ *   "records": {
+ *     "frozen-lake": { "time": 73.4, "date": "2026-01-31T18:02:11.000Z", "ghost": { replay } }
+ *   }
+ * }
+ *
+ * Records hold each level's best arrival, with its replay (see src/lib/replay.js) as the ghost.
+ * Only the MAX_GHOSTS most recent records keep their ghost, so generated routes can't fill the
+ * storage quota.
+ *
+ * Saves from older versions are brought up to date by MIGRATIONS, one version at a time.
+ * Version 0 is the separate per-setting keys the game stored before there was a save file.
+ * Exported save files are the same object with a format tag.
+ */
+export const SAVE_FORMAT = "buck-save";
+export const SAVE_VERSION = 1;
+export const SAVE_STORAGE_KEY = "buck.save";
+
+const MAX_GHOSTS = 20;
+
+export const DEFAULT_SETTINGS = Object.freeze({
+  bindings: DEFAULT_BINDINGS,
+  touchLayout: normalizeTouchLayout(null),
+  loadout: DEFAULT_LOADOUT,
+  team: DEFAULT_TEAM,
+  cameraMode: CAMERA_MODES[0],
+  quality: "auto",
+  audio: Object.freeze({ master: 0.8, ambience: 0.6, effects: 0.8, muted: false }),
+});
+
+// Routes open from the start; harder ones unlock by reaching the cabin on the one before.
+const DEFAULT_UNLOCKED = ["difficulty:easy", "difficulty:normal"];
+
+export class SaveError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "SaveError";
+  }
+}
+
+export function createSave() {
+  return {
+    version: SAVE_VERSION,
+    settings: { ...DEFAULT_SETTINGS },
+    unlocked: [...DEFAULT_UNLOCKED],
+    tips: [],
+    records: {},
+  };
+}
+
+/** Each entry turns a save of version `n` into version `n + 1`. */
+const MIGRATIONS = {
+  0: (legacy) => ({
+    version: 1,
+    settings: { ...DEFAULT_SETTINGS, bindings: legacy.bindings, touchLayout: legacy.touchLayout, loadout: legacy.loadout },
+    unlocked: [...DEFAULT_UNLOCKED],
+    tips: [],
+    records: {},
+  }),
+};
+
+function migrate(data) {
+  if (!Number.isInteger(data?.version) || data.version < 0) {
+    throw new SaveError("Save data has no valid version.");
+  }
+  if (data.version > SAVE_VERSION) {
+    throw new SaveError(`Save is from a newer version of the game (${data.version}).`);
+  }
+  let current = data;
+  while (current.version < SAVE_VERSION) {
+    current = MIGRATIONS[current.version](current);
+  }
+  return current;
+}
+
+const clamp01 = (value, fallback) => (Number.isFinite(value) ? Math.min(1, Math.max(0, value)) : fallback);
+
+function normalizeRecord(record) {
+  if (!Number.isFinite(record?.time) || record.time <= 0) return null;
+  return {
+    time: record.time,
+    date: typeof record.date === "string" ? record.date : null,
+    ghost: typeof record.ghost === "object" && record.ghost !== null ? record.ghost : null,
+  };
+}
+
+/** Checks an up-to-date save piece by piece, falling back to defaults for anything malformed. */
+function normalizeSave(data) {
+  const settings = data.settings ?? {};
+  const audio = settings.audio ?? {};
+  const records = Object.entries(data.records ?? {})
+    .map(([levelId, record]) => [levelId, normalizeRecord(record)])
+    .filter(([, record]) => record);
+
+  return {
+    version: SAVE_VERSION,
+    settings: {
+      bindings: normalizeBindings(settings.bindings),
+      touchLayout: normalizeTouchLayout(settings.touchLayout),
+      loadout: Array.isArray(settings.loadout) ? normalizeLoadout(settings.loadout) : DEFAULT_SETTINGS.loadout,
+      team: normalizeTeam(settings.team),
+      cameraMode: CAMERA_MODES.includes(settings.cameraMode) ? settings.cameraMode : DEFAULT_SETTINGS.cameraMode,
+      quality: QUALITY_SETTINGS.includes(settings.quality) ? settings.quality : DEFAULT_SETTINGS.quality,
+      audio: {
+        ...Object.fromEntries(
+          AUDIO_CHANNELS.map((channel) => [channel, clamp01(audio[channel], DEFAULT_SETTINGS.audio[channel])]),
+        ),
+        muted: typeof audio.muted === "boolean" ? audio.muted : DEFAULT_SETTINGS.audio.muted,
+      },
+    },
+    unlocked: [
+      ...new Set([...DEFAULT_UNLOCKED, ...(data.unlocked ?? []).filter((id) => typeof id === "string")]),
+    ],
+    tips: [...new Set((data.tips ?? []).filter((id) => typeof id === "string"))],
+    records: Object.fromEntries(records),
+  };
+}
+
+/** The stored save, migrated and checked. Without one, the older per-setting keys seed it. */
+export function loadSave(storage = globalThis.localStorage) {
+  try {
+    const text = storage?.getItem(SAVE_STORAGE_KEY);
+    if (text) return normalizeSave(migrate(JSON.parse(text)));
+    return normalizeSave(
+      migrate({
+        version: 0,
+        bindings: loadBindings(storage),
+        touchLayout: loadTouchLayout(storage),
+        loadout: loadLoadout(storage),
+      }),
+    );
+  } catch (error) {
+    console.warn("Ignoring unreadable save", error);
+    return createSave();
+  }
+}
+
+export function writeSave(save, storage = globalThis.localStorage) {
+  try {
+    storage?.setItem(SAVE_STORAGE_KEY, JSON.stringify(save));
+  } catch (error) {
+    console.warn("Could not write save", error);
+  }
+}
+
+export function encodeSave(save) {
+  return JSON.stringify({ format: SAVE_FORMAT, ...save });
+}
+
+/** Parses an exported save file, migrating it if it is older. Throws a SaveError if it isn't one. */
+export function decodeSave(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new SaveError("Save file is not valid JSON.");
+  }
+  if (data?.format !== SAVE_FORMAT) {
+    throw new SaveError("This file is not a BUCK save.");
+  }
+  const { format: _format, ...save } = data;
+  return normalizeSave(migrate(save));
+}
+
+export function updateSettings(save, patch) {
+  return { ...save, settings: { ...save.settings, ...patch } };
+}
+
+export function markTipDone(save, id) {
+  return save.tips.includes(id) ? save : { ...save, tips: [...save.tips, id] };
+}
+
+export function isUnlocked(save, id) {
+  return save.unlocked.includes(id);
+}
+
+/**
+ * Notes an arrival on `levelId` in `time` seconds, recorded as `ghost` (replay JSON). Reaching
+ * the cabin on a generated route of `difficulty` unlocks the next difficulty up.
+ *
+ * Returns `{ save, best, unlocked }`: the updated save, whether the run is the level's new best
+ * and the ids it newly unlocked.
+ */
+export function recordArrival(save, { levelId, difficulty = null, time, ghost = null, date = new Date().toISOString() }) {
+  const previous = save.records[levelId];
+  const best = !previous || time < previous.time;
+
+  let records = save.records;
+  if (best) {
+    records = { ...records, [levelId]: { time, date, ghost } };
+    // Keep ghosts for the most recent records only
+    const withGhosts = Object.entries(records)
+      .filter(([, record]) => record.ghost)
+      .sort(([, a], [, b]) => (b.date ?? "").localeCompare(a.date ?? ""));
+    for (const [id, record] of withGhosts.slice(MAX_GHOSTS)) {
+      records[id] = { ...record, ghost: null };
+    }
+  }
+
+  const next = DIFFICULTY_LEVELS[DIFFICULTY_LEVELS.indexOf(difficulty) + 1];
+  const unlocked = difficulty && next && !isUnlocked(save, `difficulty:${next}`) ? [`difficulty:${next}`] : [];
+
+  return { save: { ...save, records, unlocked: [...save.unlocked, ...unlocked] }, best, unlocked };
+}
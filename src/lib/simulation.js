@@ -0,0 +1,881 @@
+import { zoneAt } from "./level.js";
+import { SURFACE_TABLE, surfaceParams } from "./surfaces.js";
+import { DEFAULT_LOADOUT, loadMassProperties, packLoad, shiftLoad, spillItem } from "./cargo.js";
+import { getHeightmap, gradientAt, heightAt, placeOnTerrain } from "./terrain.js";
+import { createWeather, updateWeather } from "./weather.js";
+import { createTrackMap, stampTrack, trackWear } from "./tracks.js";
+import {
+  DEFAULT_CONDITION,
+  createCondition,
+  pawGrip,
+  staminaCap,
+  teamCondition,
+  treatsLeft,
+  updateCondition,
+} from "./physiology.js";
+import { DEFAULT_TEAM, PAIR_SPACING, normalizeTeam, teamDog, teamLayout } from "./team.js";
+
+/**
+ * Headless simulation core for the dog team and the sled.
+ *
+ * Everything that decides how the run plays (the dogs' condition, pull force, harness tension,
+ * runner friction, weather, tracks, steering torque, snag detection and climbing effort) lives here as
+ * plain functions over Rapier rigid bodies. Nothing in this module touches React, three.js or WebGL, so
+ * it can be stepped in Node with any Rapier build (the app passes `@dimforge/rapier3d-compat` via
+ * `src/lib/rapier-compat.js`).
+ *
+ * The simulation runs on a fixed timestep: one `stepSimulation` call before every world step.
+ */
+export const SIM_TIMESTEP = 1 / 60;
+
+// The ground and the dogs are frictionless: paw traction comes from the simulation's pull. The sled
+// takes its collider friction from the zone under it each step (the runners' kinetic friction),
+// and its combine rule makes that value win over the ground's zero.
+export const GROUND_FRICTION = 0;
+// Every dog in the team is built like Buck.
+export const BUCK_BODY = { mass: 30, linearDamping: 0.6, angularDamping: 1, halfHeight: 0.4, radius: 0.3, friction: 0 };
+export const SLED_BODY = { mass: 15, linearDamping: 0.05, angularDamping: 0.6, halfExtents: [0.6, 0.15, 1.1] };
+
+// Tug line: a dog's harness point and the sled's front bridle, in body-local space. The line
+// hangs slack up to `length` (m), then stretches like a stiff spring (N/m, N·s/m) that only pulls;
+// a rope joint stops it stretching past `maxStretch`. These are the numbers for the wheel dogs,
+// nearest the sled.
+export const HARNESS_ANCHORS = [
+  [0, 0.1, -0.35],
+  [0, 0.1, 1.15],
+];
+export const ROPE = { length: 1.4, stiffness: 1200, damping: 250, maxStretch: 0.25 };
+
+/**
+ * The gangline. Each dog's tug line is clipped to the gangline, and the gangline runs back to the
+ * sled's bridle, so every dog effectively pulls on his own line to the bridle: as long as his tug
+ * line plus the gangline behind him, and softer for the extra length. The sled feels the sum of
+ * all those pulls. This is the line's rest length (m) for a dog at `reach` and `side` in the
+ * team's layout (see src/lib/team.js).
+ */
+export function tugLineLength({ reach, side }) {
+  return Math.hypot(ROPE.length + reach, (side * PAIR_SPACING) / 2);
+}
+
+/** How far the rope joint lets a dog's line stretch before it goes rigid. */
+export function ropeJointLength(dog) {
+  return dog.lineLength + ROPE.maxStretch;
+}
+
+// Stamina cost per newton of line tension while a dog is working against it, and the tension (N)
+// on the gangline above which it reads as taut: well past a steady haul, typical of a snag or
+// the brake.
+const TENSION_DRAIN = 0.0005;
+export const TAUT_TENSION = 80;
+
+// Hauled mass (empty sled plus cargo, kg) per dog that the pull and stamina numbers are tuned for.
+// Heavier loads make the dogs dig in harder and tire faster; lighter ones, or more dogs, the
+// reverse.
+const REFERENCE_HAUL_KG = 95;
+
+// Sudden changes in sled velocity (m/s within one step) that shift or spill the cargo, and the
+// tilt (cosine of the angle from upright) past which the sled counts as tipped over.
+const CARGO_SHIFT_SPEED_CHANGE = 0.6;
+const CARGO_SPILL_SPEED_CHANGE = 1.1;
+const TIP_OVER_COS = 0.35;
+const SPILL_COOLDOWN_SECONDS = 1;
+
+// Below this speed (m/s) the runners hold with static friction instead of sliding.
+const BREAKAWAY_SPEED = 0.05;
+// Runners more than this far (m) off the snow carry no load.
+const AIRBORNE_CLEARANCE = 0.2;
+// Runners (sled-local x, m) and how far behind the sled's centre they leave their tracks; a dog's
+// paws track this far (m) either side of him. Below TRACK_SPEED (m/s) nothing leaves tracks.
+const RUNNERS = { "runner-left": -0.45, "runner-right": 0.45 };
+const RUNNER_TAIL = -0.9;
+const PAW_TRACK = 0.12;
+const TRACK_SPEED = 0.2;
+const STEER_TORQUE = 24;
+
+// Extra stamina drain per watt a dog spends lifting himself and his share of the loaded sled uphill. Gravity along the
+// heightfield already slows the climb; this makes it tiring too.
+const CLIMB_DRAIN = 0.0012;
+const GRAVITY = 9.81;
+
+// Instinct Mode: reading the trail costs stamina per second while it's up, and Buck can't catch
+// his breath meanwhile. It won't open below INSTINCT_MIN_STAMINA, and once it closes he needs a
+// few seconds before he can focus again.
+const INSTINCT_DRAIN = 0.05;
+const INSTINCT_MIN_STAMINA = 0.15;
+export const INSTINCT_COOLDOWN_SECONDS = 4;
+
+/**
+ * The numbers designers balance, grouped as the tuning panel shows them (see src/lib/tuning.js).
+ * A run reads them from `sim.tuning`, so they can be swapped between steps; treat them as
+ * immutable and replace the whole object to change one.
+ *
+ * pull      – each dog's pull (N) and how much harder he pulls with the pull button held
+ * stamina   – drain per second at full exertion (before the surface's effort), the extra drain
+ *             at full long-term fatigue, the climb, line and Instinct costs above, and recovery
+ *             per second idle and resting
+ * condition – fatigue, warmth, hunger and paw injury rates (src/lib/physiology.js)
+ * steering  – torque (N·m) behind the steer input
+ * damping   – Rapier damping on the dogs (`buck*`) and the sled
+ * surfaces  – runner model per surface type (src/lib/surfaces.js)
+ */
+export const DEFAULT_TUNING = {
+  pull: { base: 95, boost: 1.7 },
+  stamina: {
+    exertionDrain: 0.1,
+    fatigueDrain: 0.6,
+    climbDrain: CLIMB_DRAIN,
+    tensionDrain: TENSION_DRAIN,
+    instinctDrain: INSTINCT_DRAIN,
+    idleRecovery: 0.22,
+    restRecovery: 0.6,
+  },
+  condition: DEFAULT_CONDITION,
+  steering: { torque: STEER_TORQUE },
+  damping: {
+    buckLinear: BUCK_BODY.linearDamping,
+    buckAngular: BUCK_BODY.angularDamping,
+    sledLinear: SLED_BODY.linearDamping,
+    sledAngular: SLED_BODY.angularDamping,
+  },
+  surfaces: SURFACE_TABLE,
+};
+
+// Wind drag (N per (m/s)² of wind relative to the body) on each dog and on the loaded sled.
+const WIND_DRAG = { dog: 0.2, sled: 0.35 };
+
+// Following dogs head along the gangline while the team hauls, and steer back toward their place
+// on it by this much per metre they are off it.
+const FOLLOW_GAIN = 0.8;
+
+// Sled creeping slower than this while the team strains forward counts toward a snag.
+const SNAG_SPEED = 0.3;
+const SNAG_DELAY_SECONDS = 0.6;
+// The team counts as spent below this share of the stamina they could refill to, or once
+// long-term fatigue holds that ceiling down to SPENT_CAP.
+const SPENT_STAMINA = 0.5;
+const SPENT_CAP = 0.6;
+
+/**
+ * Merged per-step input. `heading` is the horizontal direction "forward" means (the camera's
+ * view direction in the app); it does not need to be normalised.
+ */
+export const NEUTRAL_INPUT = Object.freeze({
+  forward: 0,
+  steer: 0,
+  pull: false,
+  brake: false,
+  rest: false,
+  instinct: false,
+  heading: Object.freeze({ x: 0, z: 1 }),
+});
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+const lerp = (from, to, t) => from + (to - from) * t;
+
+function yawOf(rotation) {
+  return Math.atan2(2 * (rotation.w * rotation.y + rotation.x * rotation.z), 1 - 2 * (rotation.y ** 2 + rotation.x ** 2));
+}
+
+function lerpAngle(from, to, t) {
+  const delta = Math.atan2(Math.sin(to - from), Math.cos(to - from));
+  return from + delta * t;
+}
+
+function rotateVector(q, [x, y, z]) {
+  // v + 2w(u × v) + 2u × (u × v), with u the quaternion's vector part
+  const cx = q.y * z - q.z * y;
+  const cy = q.z * x - q.x * z;
+  const cz = q.x * y - q.y * x;
+  return {
+    x: x + 2 * (q.w * cx + q.y * cz - q.z * cy),
+    y: y + 2 * (q.w * cy + q.z * cx - q.x * cz),
+    z: z + 2 * (q.w * cz + q.x * cy - q.y * cx),
+  };
+}
+
+/** World positions of a dog's line's two ends: [his harness point, the sled's bridle]. */
+export function harnessPoints(dog, sled) {
+  return [dog, sled].map((body, index) => {
+    const position = body.translation();
+    const offset = rotateVector(body.rotation(), HARNESS_ANCHORS[index]);
+    return { x: position.x + offset.x, y: position.y + offset.y, z: position.z + offset.z };
+  });
+}
+
+/**
+ * A dog's line spring: once the line is longer than its rest length it pulls the dog and the sled
+ * together at the anchor points (so a taut line also swings the sled in behind him). Returns the
+ * force it put on the sled, `{ x, y, z, tension }` with the tension in newtons, 0 while slack.
+ */
+function applyTugLine(body, sled, dog, dt) {
+  const [dogPoint, sledPoint] = harnessPoints(body, sled);
+  const dx = dogPoint.x - sledPoint.x;
+  const dy = dogPoint.y - sledPoint.y;
+  const dz = dogPoint.z - sledPoint.z;
+  const distance = Math.hypot(dx, dy, dz);
+  const stretch = distance - dog.lineLength;
+  if (stretch <= 0 || distance < 1e-6) return { x: 0, y: 0, z: 0, tension: 0 };
+
+  const nx = dx / distance;
+  const ny = dy / distance;
+  const nz = dz / distance;
+  const dogVelocity = body.linvel();
+  const sledVelocity = sled.linvel();
+  const separating =
+    (dogVelocity.x - sledVelocity.x) * nx +
+    (dogVelocity.y - sledVelocity.y) * ny +
+    (dogVelocity.z - sledVelocity.z) * nz;
+  // A longer line is a softer spring
+  const stiffness = ROPE.stiffness * (ROPE.length / dog.lineLength);
+  const tension = Math.max(0, stiffness * Math.min(stretch, ROPE.maxStretch) + ROPE.damping * separating);
+
+  const impulse = tension * dt;
+  sled.applyImpulseAtPoint({ x: nx * impulse, y: ny * impulse, z: nz * impulse }, sledPoint, true);
+  body.applyImpulseAtPoint({ x: -nx * impulse, y: -ny * impulse, z: -nz * impulse }, dogPoint, true);
+  return { x: nx * tension, y: ny * tension, z: nz * tension, tension };
+}
+
+/** Pushes the dogs and the sled with the wind, by the square of the wind speed relative to each. */
+function applyWind(bodies, wind, dt) {
+  const pushed = [...bodies.dogs.map((body) => [WIND_DRAG.dog, body]), [WIND_DRAG.sled, bodies.sled]];
+  for (const [drag, body] of pushed) {
+    const velocity = body.linvel();
+    const relativeX = wind.x - velocity.x;
+    const relativeZ = wind.z - velocity.z;
+    const push = drag * Math.hypot(relativeX, relativeZ) * dt;
+    body.applyImpulse({ x: relativeX * push, y: 0, z: relativeZ * push }, true);
+  }
+}
+
+/**
+ * The gangline's direction, for the dogs following the lead: from the sled's bridle to the lead's
+ * harness, flattened onto the ground. `{ x, z, alongX, alongZ }` with the bridle at x, z.
+ */
+function ganglineFrame(bodies) {
+  const [leadPoint, bridle] = harnessPoints(bodies.dogs[0], bodies.sled);
+  const dx = leadPoint.x - bridle.x;
+  const dz = leadPoint.z - bridle.z;
+  const length = Math.hypot(dx, dz);
+  // Facing +z, like the bodies at rest, if the lead is right over the bridle
+  return { x: bridle.x, z: bridle.z, alongX: length > 1e-6 ? dx / length : 0, alongZ: length > 1e-6 ? dz / length : 1 };
+}
+
+/**
+ * Where a following dog heads this step: along the gangline while the team hauls forward, and
+ * back toward his own place on it (just taut, level with his row). A unit [x, z], or null when he
+ * is where he wants to be.
+ */
+function followDirection(dog, body, frame, hauling) {
+  const { x, z } = body.translation();
+  const along = ROPE.length + dog.reach;
+  const across = (dog.side * PAIR_SPACING) / 2;
+  // Right of the gangline is (alongZ, -alongX)
+  const placeX = frame.x + frame.alongX * along + frame.alongZ * across;
+  const placeZ = frame.z + frame.alongZ * along - frame.alongX * across;
+  const headX = (hauling ? frame.alongX : 0) + (placeX - x) * FOLLOW_GAIN;
+  const headZ = (hauling ? frame.alongZ : 0) + (placeZ - z) * FOLLOW_GAIN;
+  const length = Math.hypot(headX, headZ);
+  return length > 0.05 ? [headX / length, headZ / length] : null;
+}
+
+/** The sled's local +z (along the runners), flattened onto the ground. Local +x is (z, -x). */
+function runnerAxis(rotation) {
+  const x = 2 * (rotation.x * rotation.z + rotation.w * rotation.y);
+  const z = 1 - 2 * (rotation.x ** 2 + rotation.y ** 2);
+  const length = Math.hypot(x, z) || 1;
+  return [x / length, z / length];
+}
+
+/** World {x, z} of each runner, `along` metres ahead of the sled's centre. */
+function runnerPoints(sled, along = 0) {
+  const { x, z } = sled.translation();
+  const [alongX, alongZ] = runnerAxis(sled.rotation());
+  return Object.entries(RUNNERS).map(([name, across]) => ({
+    name,
+    x: x + across * alongZ + along * alongX,
+    z: z - across * alongX + along * alongZ,
+  }));
+}
+
+/**
+ * The surface at `position`: the zone's, changed by the weather and packed by earlier tracks.
+ * `points` are where to measure the packing (by default `position` itself); it is their average.
+ */
+function surfaceAt(sim, level, position, points = [position]) {
+  const { tracks, weather } = sim;
+  const packing =
+    points.reduce((total, { x, z }) => total + trackWear(tracks, x, z, weather.snowTotal), 0) / points.length;
+  const zone = zoneAt(level, position) || { type: "default" };
+  return { type: zone.type, packing, params: surfaceParams(zone.type, sim.weather, packing, sim.tuning.surfaces) };
+}
+
+/** Leaves runner tracks behind the sled and paw tracks under each dog, when they are moving. */
+function stampTracks(sim, level, bodies) {
+  const { sled } = bodies;
+  const { tracks, weather } = sim;
+  const sledPosition = sled.translation();
+  const sledVelocity = sled.linvel();
+  const ground = heightAt(getHeightmap(level), sledPosition.x, sledPosition.z);
+  const grounded = sledPosition.y - SLED_BODY.halfExtents[1] - ground <= AIRBORNE_CLEARANCE;
+  if (grounded && Math.hypot(sledVelocity.x, sledVelocity.z) > TRACK_SPEED) {
+    const [alongX, alongZ] = runnerAxis(sled.rotation());
+    const yaw = Math.atan2(alongX, alongZ);
+    for (const { name, x, z } of runnerPoints(sled, RUNNER_TAIL)) {
+      stampTrack(tracks, name, "runner", x, z, yaw, weather.snowTotal);
+    }
+  }
+
+  bodies.dogs.forEach((body, index) => {
+    const velocity = body.linvel();
+    if (Math.hypot(velocity.x, velocity.z) <= TRACK_SPEED) return;
+    const { x, z } = body.translation();
+    const yaw = yawOf(body.rotation());
+    const { id } = sim.dogs[index];
+    for (const [paw, across] of [
+      ["paw-left", -PAW_TRACK],
+      ["paw-right", PAW_TRACK],
+    ]) {
+      const name = `${id}-${paw}`;
+      stampTrack(tracks, name, "paw", x + across * Math.cos(yaw), z - across * Math.sin(yaw), yaw, weather.snowTotal);
+    }
+  });
+}
+
+/**
+ * Runner friction on top of the kinetic friction Rapier already applies through the sled's
+ * collider: static hold when nearly stopped, lateral grip, ploughing and the brake. Each part is
+ * a Coulomb impulse of at most mu * N * dt, capped so it can stop the sled but never reverse it.
+ * Returns the resisting force along the runners (N), for the HUD and telemetry.
+ */
+function applyRunnerFriction(level, sled, surface, braking, dt) {
+  const normalForce = runnerLoad(level, sled);
+  if (normalForce === 0) return 0;
+  const mass = sled.mass();
+
+  const [alongX, alongZ] = runnerAxis(sled.rotation());
+  const velocity = sled.linvel();
+  const speed = Math.hypot(velocity.x, velocity.z);
+  const alongSpeed = velocity.x * alongX + velocity.z * alongZ;
+  const acrossSpeed = velocity.x * alongZ - velocity.z * alongX;
+
+  const holding = speed < BREAKAWAY_SPEED;
+  const alongMu =
+    (holding ? surface.staticFriction - surface.kineticFriction : 0) +
+    surface.plough * speed +
+    (braking ? surface.brakeFriction : 0);
+  const acrossMu = Math.max(0, surface.lateralGrip - surface.kineticFriction);
+
+  const alongImpulse = Math.min(alongMu * normalForce * dt, mass * Math.abs(alongSpeed));
+  const acrossImpulse = Math.min(acrossMu * normalForce * dt, mass * Math.abs(acrossSpeed));
+  const alongSign = -Math.sign(alongSpeed);
+  const acrossSign = -Math.sign(acrossSpeed);
+  sled.applyImpulse(
+    {
+      x: alongSign * alongImpulse * alongX + acrossSign * acrossImpulse * alongZ,
+      y: 0,
+      z: alongSign * alongImpulse * alongZ - acrossSign * acrossImpulse * alongX,
+    },
+    true,
+  );
+
+  return alongImpulse / dt + surface.kineticFriction * normalForce;
+}
+
+/**
+ * The normal force (N) on the runners: the loaded sled's weight, less the part gravity spends
+ * pulling it downhill. 0 while the sled is in the air.
+ */
+function runnerLoad(level, sled) {
+  const position = sled.translation();
+  const heightmap = getHeightmap(level);
+  const ground = heightAt(heightmap, position.x, position.z);
+  if (position.y - SLED_BODY.halfExtents[1] - ground > AIRBORNE_CLEARANCE) return 0;
+
+  const gradient = gradientAt(heightmap, position.x, position.z);
+  return (sled.mass() * GRAVITY) / Math.sqrt(1 + gradient.x ** 2 + gradient.z ** 2);
+}
+
+/** Power (W) going into lifting `body` against gravity right now; 0 downhill. */
+function liftingPower(level, body) {
+  const position = body.translation();
+  const velocity = body.linvel();
+  const gradient = gradientAt(getHeightmap(level), position.x, position.z);
+  const verticalSpeed = gradient.x * velocity.x + gradient.z * velocity.z;
+  return body.mass() * GRAVITY * Math.max(0, verticalSpeed);
+}
+
+function applyDamping({ dogs, sled }, damping) {
+  for (const body of dogs) {
+    body.setLinearDamping(damping.buckLinear);
+    body.setAngularDamping(damping.buckAngular);
+  }
+  sled.setLinearDamping(damping.sledLinear);
+  sled.setAngularDamping(damping.sledAngular);
+}
+
+/** Hands the current cargo's mass properties to Rapier; only needed when the load changes. */
+function applyCargo(sled, cargo) {
+  const { mass, centerOfMass, inertia } = loadMassProperties(cargo);
+  sled.setAdditionalMassProperties(mass, centerOfMass, inertia, { x: 0, y: 0, z: 0, w: 1 }, true);
+}
+
+/**
+ * Knocks and tip-overs: a sharp change in the sled's velocity slides the cargo along the bed and
+ * a violent one (or lying on its side) throws an item off. Spilled items land beside the sled.
+ */
+function updateCargo(sim, level, sled, dt) {
+  const velocity = sled.linvel();
+  const previous = sim.sledVelocity ?? velocity;
+  sim.sledVelocity = { x: velocity.x, y: velocity.y, z: velocity.z };
+  sim.spillCooldown = Math.max(0, sim.spillCooldown - dt);
+  if (sim.cargo.length === 0) return;
+
+  const rotation = sled.rotation();
+  const [alongX, alongZ] = runnerAxis(rotation);
+  const toLocal = (x, z) => ({ x: x * alongZ - z * alongX, z: x * alongX + z * alongZ });
+
+  const changeX = velocity.x - previous.x;
+  const changeZ = velocity.z - previous.z;
+  // Horizontal only: settling onto the snow is not a knock
+  const speedChange = Math.hypot(changeX, changeZ);
+  const upright = 1 - 2 * (rotation.x ** 2 + rotation.z ** 2);
+  const tipped = upright < TIP_OVER_COS;
+
+  if (speedChange >= CARGO_SHIFT_SPEED_CHANGE) {
+    sim.cargo = shiftLoad(sim.cargo, toLocal(changeX, changeZ));
+    sim.cargoRevision += 1;
+  }
+
+  if ((speedChange >= CARGO_SPILL_SPEED_CHANGE || tipped) && sim.spillCooldown <= 0) {
+    // Loose cargo flies against the knock; off a tipped sled it falls to the low side
+    const direction = tipped
+      ? toLocal(2 * (rotation.x * rotation.y - rotation.w * rotation.z), 2 * (rotation.y * rotation.z + rotation.w * rotation.x))
+      : toLocal(-changeX, -changeZ);
+    const { items, spilled } = spillItem(sim.cargo, direction);
+    if (!spilled) return;
+
+    const position = sled.translation();
+    const [localX, , localZ] = spilled.pos;
+    const directionLength = Math.hypot(direction.x, direction.z) || 1;
+    const reachX = localX + direction.x / directionLength;
+    const reachZ = localZ + direction.z / directionLength;
+    const x = position.x + reachX * alongZ + reachZ * alongX;
+    const z = position.z - reachX * alongX + reachZ * alongZ;
+    const y = heightAt(getHeightmap(level), x, z) + spilled.size[1] / 2;
+
+    sim.cargo = items;
+    sim.spilled = [...sim.spilled, { id: spilled.id, massKg: spilled.massKg, size: spilled.size, pos: [x, y, z] }];
+    sim.spillCooldown = SPILL_COOLDOWN_SECONDS;
+    sim.cargoRevision += 1;
+  }
+}
+
+export function cargoMass(sim) {
+  return sim.cargo.reduce((total, item) => total + item.massKg, 0);
+}
+
+/** The team's dogs in harness order, each with his place, traits and condition. */
+function createDogs(team) {
+  const ids = normalizeTeam(team);
+  return teamLayout(ids.length).map((place, index) => {
+    const { id, name, strength, endurance } = teamDog(ids[index]);
+    return {
+      id,
+      name,
+      ...place,
+      lineLength: tugLineLength(place),
+      strength,
+      endurance,
+      ...createCondition(),
+      pullForce: 0,
+      tension: 0,
+    };
+  });
+}
+
+/**
+ * `loadout` is the ordered list of cargo item ids packed onto the sled (see src/lib/cargo.js).
+ * `team` is the dogs in harness, lead first (see src/lib/team.js).
+ * `weatherSeed` picks the run's weather (see src/lib/weather.js); null keeps it calm.
+ * `tuning` holds the balancing numbers (DEFAULT_TUNING).
+ */
+export function createSimState({
+  loadout = DEFAULT_LOADOUT,
+  team = DEFAULT_TEAM,
+  weatherSeed = null,
+  tuning = DEFAULT_TUNING,
+} = {}) {
+  const dogs = createDogs(team);
+  return {
+    loadout: [...loadout],
+    team: dogs.map((dog) => dog.id),
+    dogs,
+    weather: createWeather(weatherSeed),
+    tuning,
+    // The tuning whose damping the bodies have; the step re-applies it when `tuning` is replaced
+    appliedTuning: null,
+    cargo: packLoad(loadout),
+    spilled: [],
+    // Bumped whenever the cargo changes; the step re-applies mass properties when it lags
+    cargoRevision: 0,
+    appliedCargoRevision: -1,
+    sledVelocity: null,
+    spillCooldown: 0,
+    time: 0,
+    // The team's stamina, long-term fatigue, warmth, hunger and paw injury, averaged over the
+    // dogs, and the treats they have eaten (src/lib/physiology.js)
+    ...teamCondition(dogs),
+    treatsEaten: 0,
+    spentTime: 0,
+    stallTime: 0,
+    stuck: false,
+    snag: false,
+    speed: 0,
+    pullForce: 0,
+    zone: "default",
+    climb: 0,
+    resistance: 0,
+    tension: 0,
+    instinct: false,
+    instinctCooldown: 0,
+    // Track map (src/lib/tracks.js), built on the first step once the level is known
+    tracks: null,
+    // How worn the snow under the sled's runners is, 0..1
+    packing: 0,
+    // Surface parameters under the runners (see src/lib/surfaces.js), e.g. for their sound
+    surface: null,
+  };
+}
+
+/** Opens or closes Instinct Mode (Buck's, so his stamina) for this step and runs down its cooldown. */
+function updateInstinct(sim, wanted, dt) {
+  const wasActive = sim.instinct;
+  sim.instinct = wanted && sim.dogs[0].stamina > INSTINCT_MIN_STAMINA && (wasActive || sim.instinctCooldown <= 0);
+  if (!sim.instinct && wasActive) {
+    sim.instinctCooldown = INSTINCT_COOLDOWN_SECONDS;
+  } else {
+    sim.instinctCooldown = Math.max(0, sim.instinctCooldown - dt);
+  }
+}
+
+/**
+ * Advances the simulation by one fixed step: updates `sim` in place and applies the resulting
+ * impulses to `bodies.dogs` (in harness order, like `sim.dogs`) and `bodies.sled`. Call it right
+ * before `world.step()`.
+ *
+ * The input directs Buck in the lead. The other dogs work when he does, on the same commands, and
+ * steer themselves: along the gangline and back to their places on it (see `followDirection`).
+ */
+export function stepSimulation(sim, bodies, level, input = NEUTRAL_INPUT, dt = SIM_TIMESTEP) {
+  const { sled } = bodies;
+  const { tuning, dogs } = sim;
+  sim.tracks ??= createTrackMap(level);
+  updateWeather(sim.weather, dt);
+  if (sim.appliedTuning !== tuning) {
+    applyDamping(bodies, tuning.damping);
+    sim.appliedTuning = tuning;
+  }
+  const zone = surfaceAt(sim, level, bodies.dogs[0].translation());
+
+  const forwardInput = clamp(input.forward ?? 0, -1, 1);
+  const steerInput = clamp(input.steer ?? 0, -1, 1);
+  const pulling = Boolean(input.pull);
+  const braking = Boolean(input.brake);
+  const restActive = Boolean(input.rest);
+
+  // Movement is relative to the heading: forward along it, steering across it
+  const heading = input.heading ?? NEUTRAL_INPUT.heading;
+  const headingLength = Math.hypot(heading.x, heading.z) || 1;
+  const forwardX = heading.x / headingLength;
+  const forwardZ = heading.z / headingLength;
+  // up × forward
+  const rightX = forwardZ;
+  const rightZ = -forwardX;
+
+  let moveX = forwardX * forwardInput - rightX * steerInput;
+  let moveZ = forwardZ * forwardInput - rightZ * steerInput;
+  const moveLength = Math.hypot(moveX, moveZ);
+  const moving = moveLength > 1e-6;
+  if (moving) {
+    moveX /= moveLength;
+    moveZ /= moveLength;
+  }
+
+  // Stamina: drains with exertion (worse in heavy snow, with a heavy load and when tired),
+  // recovers when idle; the rest of each dog's condition follows from the same work. The team
+  // shares the load and the work of lifting the sled uphill.
+  const loadRatio = (SLED_BODY.mass + cargoMass(sim)) / (REFERENCE_HAUL_KG * dogs.length);
+  const exertion = (pulling ? 1 : 0.6) * Math.max(0, forwardInput);
+  const sledLift = exertion > 0 ? liftingPower(level, sled) / dogs.length : 0;
+  updateInstinct(sim, Boolean(input.instinct), dt);
+  const idle = (!pulling && forwardInput <= 0 && !braking) || restActive;
+  const recoveryRate = restActive ? tuning.stamina.restRecovery : tuning.stamina.idleRecovery;
+  const frame = moving && dogs.length > 1 ? ganglineFrame(bodies) : null;
+  let climbPower = 0;
+  let pullForceTotal = 0;
+  let hardestPull = 0;
+
+  dogs.forEach((dog, index) => {
+    const body = bodies.dogs[index];
+    const leading = index === 0;
+    const ground = leading ? zone : surfaceAt(sim, level, body.translation());
+    const lift = exertion > 0 ? liftingPower(level, body) + sledLift : 0;
+    // Holding his line taut costs a dog too, whether he is hauling or bracing against it
+    const holdingLine = exertion > 0 || braking ? dog.tension * tuning.stamina.tensionDrain : 0;
+    // Instinct Mode is Buck's alone
+    const instinctDrain = leading && sim.instinct ? tuning.stamina.instinctDrain : 0;
+    const drain =
+      (((tuning.stamina.exertionDrain + ground.params.effort) * exertion * Math.sqrt(loadRatio) +
+        lift * tuning.stamina.climbDrain +
+        holdingLine) *
+        (1 + dog.fatigue * tuning.stamina.fatigueDrain)) /
+        dog.endurance +
+      instinctDrain;
+
+    const ate = updateCondition(dog, tuning.condition, {
+      drain,
+      recovering: idle && !(leading && sim.instinct),
+      recovery: recoveryRate,
+      exertion,
+      resting: restActive,
+      surface: ground.type,
+      weather: sim.weather,
+      treats: treatsLeft(sim),
+      dt,
+    });
+    if (ate) sim.treatsEaten += 1;
+
+    // A dog's pull weakens as he runs out of wind and as his paws lose grip; he leans into a
+    // heavy load (and pays for it above)
+    const effectiveForce = lerp(1, 0.3, 1 - dog.stamina) * pawGrip(dog, tuning.condition);
+    const pullForce =
+      tuning.pull.base *
+      effectiveForce *
+      (pulling ? tuning.pull.boost : 1) *
+      clamp(loadRatio ** 0.25, 0.85, 1.3) *
+      dog.strength;
+    const direction = !moving ? null : leading ? [moveX, moveZ] : followDirection(dog, body, frame, forwardInput > 0);
+    dog.pullForce = direction ? pullForce : 0;
+    climbPower += lift;
+    pullForceTotal += dog.pullForce;
+    hardestPull += pulling ? pullForce : pullForce * tuning.pull.boost;
+
+    if (direction) {
+      const [directionX, directionZ] = direction;
+      body.applyImpulse({ x: directionX * pullForce * dt, y: 0, z: directionZ * pullForce * dt }, true);
+
+      // Face the move direction smoothly
+      const targetYaw = Math.atan2(directionX, directionZ);
+      const yaw = lerpAngle(yawOf(body.rotation()), targetYaw, 0.15);
+      body.setRotation({ x: 0, y: Math.sin(yaw / 2), z: 0, w: Math.cos(yaw / 2) }, true);
+    }
+  });
+
+  Object.assign(sim, teamCondition(dogs));
+  sim.spentTime = sim.stamina <= 0 ? sim.spentTime + dt : 0;
+  sim.pullForce = pullForceTotal;
+
+  // The pulls add up at the bridle: the gangline's tension is the size of their sum
+  const lineForce = { x: 0, y: 0, z: 0 };
+  dogs.forEach((dog, index) => {
+    const force = applyTugLine(bodies.dogs[index], sled, dog, dt);
+    dog.tension = force.tension;
+    lineForce.x += force.x;
+    lineForce.y += force.y;
+    lineForce.z += force.z;
+  });
+  sim.tension = Math.hypot(lineForce.x, lineForce.y, lineForce.z);
+  applyWind(bodies, sim.weather.wind, dt);
+
+  // Sled: the runners' friction depends on the snow under the sled, not under the dogs, and on how
+  // worn it is where the runners actually ride
+  const sledGround = surfaceAt(sim, level, sled.translation(), runnerPoints(sled));
+  const sledSurface = sledGround.params;
+  sled.collider(0)?.setFriction(sledSurface.kineticFriction);
+  const resistance = applyRunnerFriction(level, sled, sledSurface, braking, dt);
+
+  const velocity = sled.linvel();
+  const speed = Math.hypot(velocity.x, velocity.z);
+
+  // Steering torque; the sled's own friction decides how far it actually turns
+  if (steerInput !== 0 && speed > 0.2) {
+    sled.applyTorqueImpulse({ x: 0, y: -steerInput * tuning.steering.torque * dt, z: 0 }, true);
+  }
+
+  // Snag: the team keeps straining forward but the sled barely moves
+  sim.stallTime = exertion > 0 && speed < SNAG_SPEED ? sim.stallTime + dt : 0;
+  sim.snag = sim.stallTime >= SNAG_DELAY_SECONDS;
+  // Stuck: the sled has stopped and the team is spent, too weak to break it free even pulling
+  // their hardest. Unlike a snag it holds whatever the input, so easing off doesn't clear it; a
+  // rest stop, or getting their wind back, does. A fresh team is never stuck, however heavy the
+  // load: the player can still lighten it or dig it out.
+  const cap = staminaCap(sim, tuning.condition);
+  const spent = sim.stamina < cap * SPENT_STAMINA || cap <= SPENT_CAP;
+  const breakaway = sledSurface.staticFriction * runnerLoad(level, sled);
+  sim.stuck = spent && !restActive && speed < SNAG_SPEED && hardestPull < breakaway;
+
+  stampTracks(sim, level, bodies);
+  updateCargo(sim, level, sled, dt);
+  if (sim.appliedCargoRevision !== sim.cargoRevision) {
+    applyCargo(sled, sim.cargo);
+    sim.appliedCargoRevision = sim.cargoRevision;
+  }
+
+  sim.time += dt;
+  sim.speed = speed;
+  sim.zone = zone.type;
+  sim.packing = sledGround.packing;
+  sim.surface = sledSurface;
+  sim.climb = climbPower;
+  sim.resistance = resistance;
+  return sim;
+}
+
+/**
+ * Where each of `dogs` (`sim.dogs`) starts: the wheel row on the level's Buck spawn and the rows
+ * ahead of it further out along the line from the sled's spawn, pairs side by side.
+ */
+export function dogSpawns(level, dogs) {
+  const [buckX, buckY, buckZ] = level.spawn.buck;
+  const [sledX, , sledZ] = level.spawn.sled;
+  const length = Math.hypot(buckX - sledX, buckZ - sledZ);
+  const alongX = length > 1e-6 ? (buckX - sledX) / length : 0;
+  const alongZ = length > 1e-6 ? (buckZ - sledZ) / length : 1;
+  return dogs.map(({ reach, side }) => {
+    const across = (side * PAIR_SPACING) / 2;
+    return placeOnTerrain(level, [
+      buckX + alongX * reach + alongZ * across,
+      buckY,
+      buckZ + alongZ * reach - alongX * across,
+    ]);
+  });
+}
+
+/** Puts the team and the sled back on the level's spawn points, at rest, in fresh condition. */
+export function resetSimulation(sim, bodies, level) {
+  const poses = [
+    ...dogSpawns(level, sim.dogs).map((spawn, index) => [bodies.dogs[index], spawn]),
+    [bodies.sled, placeOnTerrain(level, level.spawn.sled)],
+  ];
+  for (const [body, [x, y, z]] of poses) {
+    body.setTranslation({ x, y, z }, true);
+    body.setRotation({ x: 0, y: 0, z: 0, w: 1 }, true);
+    body.setLinvel({ x: 0, y: 0, z: 0 }, true);
+    body.setAngvel({ x: 0, y: 0, z: 0 }, true);
+  }
+  Object.assign(
+    sim,
+    createSimState({ loadout: sim.loadout, team: sim.team, weatherSeed: sim.weather.seed, tuning: sim.tuning }),
+  );
+  return sim;
+}
+
+/**
+ * Builds the same ground, bodies and harness the app renders into `world`, for stepping
+ * without a scene: one body per dog of `dogs` (`sim.dogs`) and the sled. `rapier` is the
+ * initialised Rapier module the world came from.
+ */
+export function createRig(rapier, world, level, dogs) {
+  const { width, depth, columns, rows, heights } = getHeightmap(level);
+  world.createCollider(
+    rapier.ColliderDesc.heightfield(
+      rows,
+      columns,
+      heights,
+      { x: width, y: 1, z: depth },
+      rapier.HeightFieldFlags.FIX_INTERNAL_EDGES,
+    ).setFriction(GROUND_FRICTION),
+  );
+  for (const obstacle of level.obstacles) {
+    world.createCollider(
+      rapier.ColliderDesc.ball(obstacle.radius)
+        .setTranslation(...placeOnTerrain(level, obstacle.pos))
+        .setFriction(GROUND_FRICTION),
+    );
+  }
+
+  const spawns = dogSpawns(level, dogs);
+  const dogBodies = dogs.map((dog, index) => {
+    const body = world.createRigidBody(
+      rapier.RigidBodyDesc.dynamic()
+        .setTranslation(...spawns[index])
+        .setLinearDamping(BUCK_BODY.linearDamping)
+        .setAngularDamping(BUCK_BODY.angularDamping),
+    );
+    world.createCollider(
+      rapier.ColliderDesc.cylinder(BUCK_BODY.halfHeight, BUCK_BODY.radius)
+        .setMass(BUCK_BODY.mass)
+        .setFriction(BUCK_BODY.friction),
+      body,
+    );
+    return body;
+  });
+
+  const sled = world.createRigidBody(
+    rapier.RigidBodyDesc.dynamic()
+      .setTranslation(...placeOnTerrain(level, level.spawn.sled))
+      .setLinearDamping(SLED_BODY.linearDamping)
+      .setAngularDamping(SLED_BODY.angularDamping),
+  );
+  world.createCollider(
+    rapier.ColliderDesc.cuboid(...SLED_BODY.halfExtents)
+      .setMass(SLED_BODY.mass)
+      .setFrictionCombineRule(rapier.CoefficientCombineRule.Max),
+    sled,
+  );
+
+  // The rope joints only cap the lines' length; their springs are applied by the simulation
+  const [dogAnchor, sledAnchor] = HARNESS_ANCHORS;
+  dogs.forEach((dog, index) => {
+    world.createImpulseJoint(
+      rapier.JointData.rope(
+        ropeJointLength(dog),
+        { x: dogAnchor[0], y: dogAnchor[1], z: dogAnchor[2] },
+        { x: sledAnchor[0], y: sledAnchor[1], z: sledAnchor[2] },
+      ),
+      dogBodies[index],
+      sled,
+      true,
+    );
+  });
+
+  return { dogs: dogBodies, sled };
+}
+
+/**
+ * Convenience wrapper for Node: a fresh world with the level's rig, stepped at SIM_TIMESTEP.
+ * Weather is calm unless a `weatherSeed` is given, Buck hauls alone unless a `team` is, and
+ * `tuning` defaults to DEFAULT_TUNING.
+ *
+ *   const sim = createHeadlessSimulation(RAPIER, level);
+ *   for (let i = 0; i < 600; i += 1) sim.step({ ...NEUTRAL_INPUT, forward: 1 });
+ *   sim.state.stamina; // → stamina after ten seconds of walking
+ *   sim.free();
+ */
+export function createHeadlessSimulation(
+  rapier,
+  level,
+  { gravity = { x: 0, y: -9.81, z: 0 }, loadout, team, weatherSeed = null, tuning } = {},
+) {
+  const world = new rapier.World(gravity);
+  world.timestep = SIM_TIMESTEP;
+  const state = createSimState({ loadout, team, weatherSeed, tuning });
+  const bodies = createRig(rapier, world, level, state.dogs);
+
+  return {
+    world,
+    bodies,
+    state,
+    step(input = NEUTRAL_INPUT) {
+      stepSimulation(state, bodies, level, input, world.timestep);
+      world.step();
+      return state;
+    },
+    reset() {
+      return resetSimulation(state, bodies, level);
+    },
+    free() {
+      world.free();
+    },
+  };
+}
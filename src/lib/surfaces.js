@@ -0,0 +1,57 @@
+// Surface types a zone can declare.
+export const SURFACE_TYPES = ["packed", "ice", "deep", "path"];
+
+/**
+ * Runner model per surface. Friction coefficients scale the sled's normal force (N):
+ *
+ * staticFriction  – what a resting sled must be pulled past before it breaks free
+ * kineticFriction – sliding resistance along the runners; Rapier applies it as collider friction
+ * lateralGrip     – resistance to sliding sideways across the runners (low on ice)
+ * plough          – extra resistance per m/s from pushing snow aside (deep snow)
+ * brakeFriction   – the brake claw digging in
+ * effort          – how hard the footing is on Buck; feeds stamina drain
+ */
+const SURFACES = {
+  deep: { staticFriction: 0.14, kineticFriction: 0.06, lateralGrip: 0.9, plough: 0.05, brakeFriction: 0.6, effort: 0.36 },
+  packed: { staticFriction: 0.06, kineticFriction: 0.03, lateralGrip: 0.6, plough: 0.01, brakeFriction: 0.5, effort: 0.12 },
+  ice: { staticFriction: 0.03, kineticFriction: 0.01, lateralGrip: 0.08, plough: 0, brakeFriction: 0.15, effort: 0.04 },
+  path: { staticFriction: 0.05, kineticFriction: 0.025, lateralGrip: 0.7, plough: 0.005, brakeFriction: 0.5, effort: 0.08 },
+};
+
+// Untouched snow outside every zone
+const DEFAULT_SURFACE = {
+  staticFriction: 0.08,
+  kineticFriction: 0.035,
+  lateralGrip: 0.6,
+  plough: 0.02,
+  brakeFriction: 0.5,
+  effort: 0.16,
+};
+
+// Every surface's runner model, untouched snow as "default"; the tuning panel edits copies of it.
+export const SURFACE_TABLE = { ...SURFACES, default: DEFAULT_SURFACE };
+
+function blend(from, to, t) {
+  if (t <= 0) return from;
+  return Object.fromEntries(Object.entries(from).map(([key, value]) => [key, value + (to[key] - value) * t]));
+}
+
+// How far fully worn tracks go toward a packed trail.
+const TRACK_PACKING = 0.8;
+
+/**
+ * Runner model for a surface. `conditions` (the run's weather, see src/lib/weather.js) adds what
+ * has fallen since the zone was laid out: fresh snow turns packed ground, paths and open snow
+ * toward deep snow, and snow lying on ice makes it behave like packed snow until the wind blows
+ * it clear. `packing` (0..1, see src/lib/tracks.js) is how worn the spot is by earlier passes;
+ * worn snow of any kind hauls like a trail, except ice, which doesn't pack. `table` swaps in
+ * tuned runner models (shaped like SURFACE_TABLE).
+ */
+export function surfaceParams(type, conditions = null, packing = 0, table = SURFACE_TABLE) {
+  let surface = table[type] ?? table.default;
+  if (type === "ice") {
+    return conditions ? blend(surface, table.packed, conditions.iceCover) : surface;
+  }
+  if (conditions && type !== "deep") surface = blend(surface, table.deep, conditions.freshSnow);
+  return blend(surface, table.path, packing * TRACK_PACKING);
+}
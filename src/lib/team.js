@@ -0,0 +1,67 @@
+/**
+ * Sled dog teams.
+ *
+ * A team is an ordered list of dog ids from DOGS, lead first. Buck always leads: he is the dog
+ * the player directs, and the rest follow him (see `stepSimulation`). Behind him the dogs run
+ * single file or in pairs on the gangline, and `teamLayout` gives each one his place:
+ *
+ *   lead  – the front dog, steered by the player
+ *   swing – the dogs between, who swing the team round behind the lead
+ *   wheel – the dogs nearest the sled, who haul it out of the turns
+ *
+ * Every dog has his own condition (src/lib/physiology.js) and two traits: `strength` scales his
+ * pull and `endurance` divides the stamina his work costs.
+ */
+export const DOGS = [
+  { id: "buck", name: "Buck", coat: "#c7a27c", strength: 1, endurance: 1 },
+  { id: "spitz", name: "Spitz", coat: "#efece6", strength: 1.05, endurance: 0.95 },
+  { id: "dave", name: "Dave", coat: "#6b5443", strength: 1.15, endurance: 1.05 },
+  { id: "sol-leks", name: "Sol-leks", coat: "#8a8f94", strength: 1, endurance: 1.15 },
+  { id: "billee", name: "Billee", coat: "#d9c3a0", strength: 0.9, endurance: 1.05 },
+  { id: "joe", name: "Joe", coat: "#4a4440", strength: 1.05, endurance: 0.9 },
+  { id: "pike", name: "Pike", coat: "#a5784f", strength: 0.95, endurance: 1 },
+];
+
+export const LEAD_DOG = "buck";
+export const TEAM_MAX = 6;
+export const DEFAULT_TEAM = Object.freeze([LEAD_DOG]);
+
+// Gangline spacing (m): from one row of dogs to the next, and between the two dogs of a pair
+export const ROW_SPACING = 1.6;
+export const PAIR_SPACING = 0.8;
+
+const DOGS_BY_ID = Object.fromEntries(DOGS.map((dog) => [dog.id, dog]));
+
+export function teamDog(id) {
+  return DOGS_BY_ID[id] ?? null;
+}
+
+export function canAddDog(team, id) {
+  return Boolean(DOGS_BY_ID[id]) && !team.includes(id) && team.length < TEAM_MAX;
+}
+
+/** Puts Buck in the lead and drops unknown ids, repeats and anything past TEAM_MAX. */
+export function normalizeTeam(team) {
+  const result = [LEAD_DOG];
+  for (const id of Array.isArray(team) ? team : []) {
+    if (canAddDog(result, id)) result.push(id);
+  }
+  return result;
+}
+
+/**
+ * Where each dog of a team of `size` runs: `{ position, row, side, reach }`, lead first. After a
+ * single lead, an odd dog out runs single behind him and the rest in pairs. `side` is -1 and 1
+ * for the left and right of a pair (0 single file) and `reach` how far (m) the row runs ahead of
+ * the wheel row.
+ */
+export function teamLayout(size) {
+  const followers = size - 1;
+  const rows = [1, ...Array(followers % 2).fill(1), ...Array(Math.floor(followers / 2)).fill(2)];
+  return rows.flatMap((count, row) => {
+    const position = row === 0 ? "lead" : row === rows.length - 1 ? "wheel" : "swing";
+    const reach = (rows.length - 1 - row) * ROW_SPACING;
+    const sides = count === 1 ? [0] : [-1, 1];
+    return sides.map((side) => ({ position, row, side, reach }));
+  });
+}
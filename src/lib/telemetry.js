@@ -0,0 +1,160 @@
+import { SIM_TIMESTEP } from "./simulation.js";
+
+/**
+ * Run telemetry for balancing.
+ *
+ * A telemetry recorder is pushed every simulation step of a run and keeps one sample every
+ * 1 / TELEMETRY_RATE seconds of simulated time, so the samples are evenly spaced however the
+ * frames fall. Distance and the snag count are tracked every step, so nothing between samples
+ * is lost. A sample holds TELEMETRY_FIELDS:
+ *
+ *   time, distance        – seconds since the run started, metres the sled has travelled
+ *   x, y, z               – sled position
+ *   speed, stamina, fatigue, warmth, hunger, injury, zone, snag, pullForce, tension, resistance
+ *                         – as in the sim state: the team's condition averaged over the dogs
+ *                           (src/lib/physiology.js), their total pull and the gangline tension
+ *   snags                 – snags so far this run
+ *   forward … instinct    – the input the step ran with
+ *
+ * Exports are JSON (`toJSON`, run details plus samples as objects) or CSV (`telemetryToCSV`,
+ * one row per sample with flags as 0/1).
+ */
+export const TELEMETRY_FORMAT = "buck-telemetry";
+export const TELEMETRY_VERSION = 1;
+export const TELEMETRY_RATE = 10;
+
+export const TELEMETRY_FIELDS = [
+  "time",
+  "distance",
+  "x",
+  "y",
+  "z",
+  "speed",
+  "stamina",
+  "fatigue",
+  "warmth",
+  "hunger",
+  "injury",
+  "zone",
+  "snag",
+  "snags",
+  "pullForce",
+  "tension",
+  "resistance",
+  "forward",
+  "steer",
+  "pull",
+  "brake",
+  "rest",
+  "instinct",
+];
+
+const round = (value, places = 3) => Math.round(value * 10 ** places) / 10 ** places;
+
+export function createTelemetry({
+  levelId,
+  seed = null,
+  loadout = null,
+  team = null,
+  weatherSeed = null,
+  rate = TELEMETRY_RATE,
+  timestep = SIM_TIMESTEP,
+}) {
+  const stepsPerSample = Math.max(1, Math.round(1 / (rate * timestep)));
+  const samples = [];
+  let steps = 0;
+  let distance = 0;
+  let snags = 0;
+  let wasSnagged = false;
+  let last = null;
+  let result = null;
+
+  return {
+    get samples() {
+      return samples;
+    },
+    /** Records the state `sim` was left in by a step run with `input`, the sled at `sledPosition`. */
+    push(sim, sledPosition, input) {
+      if (last) distance += Math.hypot(sledPosition.x - last.x, sledPosition.z - last.z);
+      last = { x: sledPosition.x, z: sledPosition.z };
+      if (sim.snag && !wasSnagged) snags += 1;
+      wasSnagged = sim.snag;
+
+      steps += 1;
+      if ((steps - 1) % stepsPerSample !== 0) return;
+      samples.push({
+        time: round(steps * timestep),
+        distance: round(distance),
+        x: round(sledPosition.x),
+        y: round(sledPosition.y),
+        z: round(sledPosition.z),
+        speed: round(sim.speed),
+        stamina: round(sim.stamina, 4),
+        fatigue: round(sim.fatigue, 4),
+        warmth: round(sim.warmth, 4),
+        hunger: round(sim.hunger, 4),
+        injury: round(sim.injury, 4),
+        zone: sim.zone,
+        snag: sim.snag,
+        snags,
+        pullForce: round(sim.pullForce, 1),
+        tension: round(sim.tension, 1),
+        resistance: round(sim.resistance, 1),
+        forward: input.forward ?? 0,
+        steer: input.steer ?? 0,
+        pull: Boolean(input.pull),
+        brake: Boolean(input.brake),
+        rest: Boolean(input.rest),
+        instinct: Boolean(input.instinct),
+      });
+    },
+    setResult(status, time) {
+      // The first outcome sticks, like the run state it mirrors
+      result ??= { status, time };
+    },
+    toJSON() {
+      return {
+        format: TELEMETRY_FORMAT,
+        version: TELEMETRY_VERSION,
+        levelId,
+        seed,
+        loadout: loadout && [...loadout],
+        team: team && [...team],
+        weatherSeed,
+        rate: 1 / (stepsPerSample * timestep),
+        result,
+        samples: samples.map((sample) => ({ ...sample })),
+      };
+    },
+  };
+}
+
+/**
+ * Headline numbers for a recorded run (`toJSON` output): how long and how far it went, average
+ * speed, snags, peak line tension and the seconds spent in each zone.
+ */
+export function summarizeTelemetry({ samples, rate }) {
+  const zoneTimes = {};
+  let peakTension = 0;
+  for (const sample of samples) {
+    zoneTimes[sample.zone] = (zoneTimes[sample.zone] ?? 0) + 1 / rate;
+    peakTension = Math.max(peakTension, sample.tension);
+  }
+  const last = samples[samples.length - 1];
+  const duration = last?.time ?? 0;
+  const distance = last?.distance ?? 0;
+  return {
+    duration,
+    distance,
+    averageSpeed: duration > 0 ? distance / duration : 0,
+    snags: last?.snags ?? 0,
+    peakTension,
+    zoneTimes,
+  };
+}
+
+export function telemetryToCSV({ samples }) {
+  const cell = (value) => (typeof value === "boolean" ? (value ? 1 : 0) : value);
+  const rows = samples.map((sample) => TELEMETRY_FIELDS.map((field) => cell(sample[field])).join(","));
+  return [TELEMETRY_FIELDS.join(","), ...rows].join("\n") + "\n";
+}
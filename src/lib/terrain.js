@@ -0,0 +1,107 @@
+/**
+ * Heightmap terrain.
+ *
+ * A level's ground is a regular grid of heights built from its slopes (linear ramps) and hills
+ * (smooth bumps). The same grid feeds Rapier's heightfield collider and the rendered mesh, and
+ * answers height/gradient queries for the simulation.
+ *
+ * Heights are stored column-major, `heights[ix * (rows + 1) + iz]`, which is the layout
+ * `ColliderDesc.heightfield(rows, columns, heights, scale)` expects: columns run along x,
+ * rows along z, and the field is centred on the origin.
+ */
+const cache = new WeakMap();
+
+function rampHeight(slope, x, z) {
+  const [centerX, , centerZ] = slope.pos;
+  const [width, , depth] = slope.size;
+  const alongZ = slope.axis === "z";
+  const across = alongZ ? x - centerX : z - centerZ;
+  const acrossHalf = (alongZ ? width : depth) / 2;
+  if (Math.abs(across) > acrossHalf) return 0;
+
+  const along = alongZ ? z - centerZ : x - centerX;
+  const length = alongZ ? depth : width;
+  const t = Math.min(1, Math.max(0, (along + length / 2) / length));
+  return slope.rise * t;
+}
+
+function hillHeight(hill, x, z) {
+  const dx = x - hill.pos[0];
+  const dz = z - hill.pos[2];
+  return hill.height * Math.exp(-(dx * dx + dz * dz) / (hill.radius * hill.radius));
+}
+
+/** Raw terrain height at a world position, straight from the level's features. */
+export function sampleTerrain(level, x, z) {
+  let height = 0;
+  for (const slope of level.slopes) height += rampHeight(slope, x, z);
+  for (const hill of level.terrain.hills) height += hillHeight(hill, x, z);
+  return height;
+}
+
+export function buildHeightmap(level) {
+  const [width, depth] = level.ground.size;
+  const columns = Math.max(1, Math.round(width / level.terrain.cellSize));
+  const rows = Math.max(1, Math.round(depth / level.terrain.cellSize));
+  const heights = new Float32Array((columns + 1) * (rows + 1));
+
+  for (let ix = 0; ix <= columns; ix += 1) {
+    const x = -width / 2 + (ix / columns) * width;
+    for (let iz = 0; iz <= rows; iz += 1) {
+      const z = -depth / 2 + (iz / rows) * depth;
+      heights[ix * (rows + 1) + iz] = sampleTerrain(level, x, z);
+    }
+  }
+
+  return { width, depth, columns, rows, heights };
+}
+
+/** The level's heightmap, built once per level object. */
+export function getHeightmap(level) {
+  let heightmap = cache.get(level);
+  if (!heightmap) {
+    heightmap = buildHeightmap(level);
+    cache.set(level, heightmap);
+  }
+  return heightmap;
+}
+
+function gridHeight(heightmap, ix, iz) {
+  const column = Math.min(heightmap.columns, Math.max(0, ix));
+  const row = Math.min(heightmap.rows, Math.max(0, iz));
+  return heightmap.heights[column * (heightmap.rows + 1) + row];
+}
+
+/**
+ * Height of the collider surface at (x, z). Rapier triangulates each cell, so this bilinear
+ * estimate can differ from the contact surface by a few centimetres inside a cell.
+ */
+export function heightAt(heightmap, x, z) {
+  const fx = ((x + heightmap.width / 2) / heightmap.width) * heightmap.columns;
+  const fz = ((z + heightmap.depth / 2) / heightmap.depth) * heightmap.rows;
+  const ix = Math.floor(fx);
+  const iz = Math.floor(fz);
+  const tx = fx - ix;
+  const tz = fz - iz;
+
+  const h00 = gridHeight(heightmap, ix, iz);
+  const h10 = gridHeight(heightmap, ix + 1, iz);
+  const h01 = gridHeight(heightmap, ix, iz + 1);
+  const h11 = gridHeight(heightmap, ix + 1, iz + 1);
+  return (h00 * (1 - tx) + h10 * tx) * (1 - tz) + (h01 * (1 - tx) + h11 * tx) * tz;
+}
+
+/** Rise per metre along x and z at (x, z); positive means uphill in that direction. */
+export function gradientAt(heightmap, x, z) {
+  const stepX = heightmap.width / heightmap.columns / 2;
+  const stepZ = heightmap.depth / heightmap.rows / 2;
+  return {
+    x: (heightAt(heightmap, x + stepX, z) - heightAt(heightmap, x - stepX, z)) / (2 * stepX),
+    z: (heightAt(heightmap, x, z + stepZ) - heightAt(heightmap, x, z - stepZ)) / (2 * stepZ),
+  };
+}
+
+/** Turns a level position whose y is "height above the ground" into a world position. */
+export function placeOnTerrain(level, [x, y, z]) {
+  return [x, heightAt(getHeightmap(level), x, z) + y, z];
+}
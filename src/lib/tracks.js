@@ -0,0 +1,66 @@
+/**
+ * Sled and paw tracks.
+ *
+ * A grid over the level remembers how far each patch of snow has been worn down: every runner
+ * pass packs it a good deal, every paw a little. Worn snow hauls like a packed trail (see the
+ * `packing` argument of `surfaceParams`), so going back over your own tracks gets easier. Fresh
+ * snow fills tracks back in: a cell keeps the weather's running snowfall total from when it was
+ * last stamped, and loses wear in proportion to what has fallen since.
+ *
+ * Each stamp is also written to a short log (`stamps`, a ring of STAMP_LOG_SIZE entries with
+ * `stampCount` as the total so far) for the renderer to draw into its track texture.
+ */
+export const TRACK_CELL_SIZE = 0.5;
+export const STAMP_LOG_SIZE = 512;
+
+// Wear added per pass, and the snowfall (seconds of full snowfall) that fills a fully worn track.
+const WEAR = { runner: 0.25, paw: 0.06 };
+const FILL_SNOW = 60;
+
+export function createTrackMap(level) {
+  const [width, depth] = level.ground.size;
+  const columns = Math.ceil(width / TRACK_CELL_SIZE);
+  const rows = Math.ceil(depth / TRACK_CELL_SIZE);
+  return {
+    width,
+    depth,
+    columns,
+    rows,
+    wear: new Float32Array(columns * rows),
+    snowAt: new Float32Array(columns * rows),
+    // Last cell each stamper marked, so standing still doesn't wear a hole
+    lastCells: {},
+    stamps: new Array(STAMP_LOG_SIZE),
+    stampCount: 0,
+  };
+}
+
+function cellIndex(map, x, z) {
+  const ix = Math.floor((x + map.width / 2) / TRACK_CELL_SIZE);
+  const iz = Math.floor((z + map.depth / 2) / TRACK_CELL_SIZE);
+  if (ix < 0 || iz < 0 || ix >= map.columns || iz >= map.rows) return -1;
+  return iz * map.columns + ix;
+}
+
+/** How worn (0..1) the snow at (x, z) is, given the weather's snowfall total so far. */
+export function trackWear(map, x, z, snowTotal = 0) {
+  const index = cellIndex(map, x, z);
+  if (index < 0) return 0;
+  return Math.max(0, map.wear[index] - (snowTotal - map.snowAt[index]) / FILL_SNOW);
+}
+
+/**
+ * Marks a runner or paw (`kind`) passing over (x, z), heading along `yaw`. `stamper` names the
+ * runner or paw; it only wears a cell when it moves into a new one. Returns whether it stamped.
+ */
+export function stampTrack(map, stamper, kind, x, z, yaw, snowTotal = 0) {
+  const index = cellIndex(map, x, z);
+  if (index < 0 || map.lastCells[stamper] === index) return false;
+  map.lastCells[stamper] = index;
+
+  map.wear[index] = Math.min(1, trackWear(map, x, z, snowTotal) + WEAR[kind]);
+  map.snowAt[index] = snowTotal;
+  map.stamps[map.stampCount % STAMP_LOG_SIZE] = { kind, x, z, yaw };
+  map.stampCount += 1;
+  return true;
+}
@@ -0,0 +1,166 @@
+import { DEFAULT_TUNING } from "./simulation.js";
+
+/**
+ * Live balancing: what the tuning panel shows, and named presets.
+ *
+ * The numbers themselves are DEFAULT_TUNING in src/lib/simulation.js. TUNING_GROUPS lists the
+ * editable ones with slider ranges; the surface tables are edited per surface type with
+ * SURFACE_FIELDS. Presets are whole tunings saved under a name in localStorage, and travel as
+ * small JSON files:
+ *
+ * { "format": "buck-tuning", "version": 1, "name": "heavy snow", "tuning": { ... } }
+ *
+ * Anything missing or non-numeric in a loaded tuning falls back to the default, so presets
+ * survive new fields being added.
+ */
+export const TUNING_FORMAT = "buck-tuning";
+export const TUNING_VERSION = 1;
+
+const PRESETS_STORAGE_KEY = "buck.tuningPresets";
+
+export const TUNING_GROUPS = [
+  {
+    id: "pull",
+    label: "Pull",
+    fields: [
+      { key: "base", label: "Base pull (N)", min: 30, max: 250, step: 1 },
+      { key: "boost", label: "Pull button ×", min: 1, max: 3, step: 0.05 },
+    ],
+  },
+  {
+    id: "stamina",
+    label: "Stamina",
+    fields: [
+      { key: "exertionDrain", label: "Exertion drain /s", min: 0, max: 0.5, step: 0.005 },
+      { key: "fatigueDrain", label: "Fatigue drain ×", min: 0, max: 2, step: 0.05 },
+      { key: "climbDrain", label: "Climb drain /W", min: 0, max: 0.005, step: 0.0001 },
+      { key: "tensionDrain", label: "Line drain /N", min: 0, max: 0.002, step: 0.0001 },
+      { key: "instinctDrain", label: "Instinct drain /s", min: 0, max: 0.2, step: 0.005 },
+      { key: "idleRecovery", label: "Idle recovery /s", min: 0, max: 1, step: 0.01 },
+      { key: "restRecovery", label: "Rest recovery /s", min: 0, max: 2, step: 0.01 },
+    ],
+  },
+  {
+    id: "condition",
+    label: "Condition",
+    fields: [
+      { key: "fatigueGain", label: "Fatigue per stamina", min: 0, max: 0.1, step: 0.001 },
+      { key: "fatigueCap", label: "Fatigue stamina cap", min: 0, max: 1, step: 0.05 },
+      { key: "fatigueRecovery", label: "Fatigue rest /s", min: 0, max: 0.05, step: 0.001 },
+      { key: "exertionHeat", label: "Work heat /s", min: 0, max: 0.1, step: 0.001 },
+      { key: "windChill", label: "Wind chill /(m/s)", min: 0, max: 0.01, step: 0.0005 },
+      { key: "deepChill", label: "Deep snow chill /s", min: 0, max: 0.05, step: 0.001 },
+      { key: "coldDrain", label: "Cold drain ×", min: 0, max: 2, step: 0.05 },
+      { key: "hungerRate", label: "Hunger /s", min: 0, max: 0.02, step: 0.0005 },
+      { key: "workHunger", label: "Work hunger /s", min: 0, max: 0.03, step: 0.0005 },
+      { key: "treatValue", label: "Treat feeds", min: 0, max: 1, step: 0.05 },
+      { key: "iceInjury", label: "Ice paw injury /s", min: 0, max: 0.05, step: 0.001 },
+      { key: "injuryGrip", label: "Injury grip loss", min: 0, max: 1, step: 0.05 },
+      { key: "injuryHealing", label: "Paw healing /s", min: 0, max: 0.02, step: 0.0005 },
+    ],
+  },
+  {
+    id: "steering",
+    label: "Steering",
+    fields: [{ key: "torque", label: "Steer torque (N·m)", min: 0, max: 80, step: 1 }],
+  },
+  {
+    id: "damping",
+    label: "Damping",
+    fields: [
+      { key: "buckLinear", label: "Buck linear", min: 0, max: 3, step: 0.05 },
+      { key: "buckAngular", label: "Buck angular", min: 0, max: 5, step: 0.05 },
+      { key: "sledLinear", label: "Sled linear", min: 0, max: 1, step: 0.01 },
+      { key: "sledAngular", label: "Sled angular", min: 0, max: 3, step: 0.05 },
+    ],
+  },
+];
+
+export const SURFACE_FIELDS = [
+  { key: "staticFriction", label: "Static μ", min: 0, max: 0.4, step: 0.005 },
+  { key: "kineticFriction", label: "Kinetic μ", min: 0, max: 0.2, step: 0.001 },
+  { key: "lateralGrip", label: "Lateral grip", min: 0, max: 1.5, step: 0.01 },
+  { key: "plough", label: "Plough /(m/s)", min: 0, max: 0.2, step: 0.001 },
+  { key: "brakeFriction", label: "Brake μ", min: 0, max: 1.5, step: 0.01 },
+  { key: "effort", label: "Effort", min: 0, max: 1, step: 0.01 },
+];
+
+export class TuningError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "TuningError";
+  }
+}
+
+// Copies `defaults`, taking every finite number `value` has in the same place.
+function mergeNumbers(defaults, value) {
+  return Object.fromEntries(
+    Object.entries(defaults).map(([key, fallback]) => {
+      const candidate = value?.[key];
+      if (typeof fallback === "number") return [key, Number.isFinite(candidate) ? candidate : fallback];
+      return [key, mergeNumbers(fallback, candidate)];
+    }),
+  );
+}
+
+/** A complete tuning from whatever `value` holds, defaults filling the gaps. */
+export function normalizeTuning(value) {
+  return mergeNumbers(DEFAULT_TUNING, value);
+}
+
+/** A copy of `tuning` with the number at `path` (e.g. ["surfaces", "ice", "effort"]) replaced. */
+export function setTuningValue(tuning, [key, ...rest], value) {
+  if (rest.length === 0) return { ...tuning, [key]: value };
+  return { ...tuning, [key]: setTuningValue(tuning[key], rest, value) };
+}
+
+export function isDefaultTuning(tuning) {
+  return tuning === DEFAULT_TUNING || JSON.stringify(tuning) === JSON.stringify(DEFAULT_TUNING);
+}
+
+export function encodeTuningPreset(name, tuning) {
+  return JSON.stringify({ format: TUNING_FORMAT, version: TUNING_VERSION, name, tuning }, null, 2);
+}
+
+/** Parses a preset file's text into `{ name, tuning }`. Throws a TuningError if it isn't one. */
+export function decodeTuningPreset(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new TuningError("Preset file is not valid JSON.");
+  }
+  if (data?.format !== TUNING_FORMAT) {
+    throw new TuningError("This file is not a BUCK tuning preset.");
+  }
+  if (data.version !== TUNING_VERSION) {
+    throw new TuningError(`Unsupported preset version ${JSON.stringify(data.version)}.`);
+  }
+  if (typeof data.tuning !== "object" || data.tuning === null) {
+    throw new TuningError("Preset has no tuning.");
+  }
+  return {
+    name: typeof data.name === "string" && data.name ? data.name : "Imported",
+    tuning: normalizeTuning(data.tuning),
+  };
+}
+
+export function loadTuningPresets(storage = globalThis.localStorage) {
+  try {
+    const saved = JSON.parse(storage?.getItem(PRESETS_STORAGE_KEY) ?? "null");
+    if (saved?.version === TUNING_VERSION && typeof saved.presets === "object" && saved.presets !== null) {
+      return Object.fromEntries(Object.entries(saved.presets).map(([name, tuning]) => [name, normalizeTuning(tuning)]));
+    }
+  } catch (error) {
+    console.warn("Ignoring unreadable tuning presets", error);
+  }
+  return {};
+}
+
+export function saveTuningPresets(presets, storage = globalThis.localStorage) {
+  try {
+    storage?.setItem(PRESETS_STORAGE_KEY, JSON.stringify({ version: TUNING_VERSION, presets }));
+  } catch (error) {
+    console.warn("Could not save tuning presets", error);
+  }
+}
@@ -0,0 +1,51 @@
+import { BINDING_SLOTS, describeSlot } from "./input.js";
+
+/**
+ * Tutorial tips: one prompt at a time, each explaining an action when it first becomes useful.
+ *
+ * A tip shows once its `when` test passes on the HUD's readout of the run, and is done as soon
+ * as the player uses its action (or dismisses it). Done tips are kept in the save, so they are
+ * only shown until they have been learned. `text` takes the inputs bound to the action.
+ */
+export const TUTORIAL_TIPS = [
+  {
+    id: "pull",
+    action: "pull",
+    when: (run) => run.running,
+    text: (keys) => `Hold ${keys} to Pull: Buck digs in and hauls harder, but tires faster.`,
+  },
+  {
+    id: "brake",
+    action: "brake",
+    when: (run) => run.running && run.speed > 3,
+    text: (keys) => `Hold ${keys} to Brake: the runners drag, which keeps the sled in check downhill and on ice.`,
+  },
+  {
+    id: "rest",
+    action: "rest",
+    when: (run) => run.running && run.stamina < 0.6,
+    text: (keys) => `Buck is tiring. Stop and hold ${keys} to Rest: he gets his wind back, and eats a treat if hungry.`,
+  },
+  {
+    id: "instinct",
+    action: "instinct",
+    when: (run) => run.running && run.time > 30,
+    text: (keys) => `Lost the way? Hold ${keys} for Instinct Mode: Buck follows the trail, at a cost in stamina.`,
+  },
+];
+
+/** The first tip not yet in `done` whose moment has come, or null. */
+export function currentTip(done, run) {
+  return TUTORIAL_TIPS.find((tip) => !done.includes(tip.id) && tip.when(run)) ?? null;
+}
+
+/** The tip's prompt, naming the keys and gamepad buttons bound to it or, on touch, its button. */
+export function tipText(tip, bindings, touch) {
+  if (touch) {
+    const slot = BINDING_SLOTS.find((candidate) => candidate.id === tip.action);
+    return tip.text(`the ${slot.label} button`);
+  }
+  const keyboard = describeSlot(bindings, "keyboard", tip.action);
+  const gamepad = describeSlot(bindings, "gamepad", tip.action);
+  return tip.text(`${keyboard} (${gamepad} on a gamepad)`);
+}
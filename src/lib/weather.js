@@ -0,0 +1,151 @@
+import { createRandom } from "./random.js";
+
+/**
+ * Weather for a run.
+ *
+ * A run's weather is a seeded sequence of fronts (clear spells, flurries, fog banks, gales and
+ * storms), one every WEATHER_FRONT_SECONDS, eased into one another. The day turns once every
+ * DAY_LENGTH_SECONDS from a seeded start time. On top of that the ground keeps a memory: snowfall
+ * builds up fresh snow over the trail that slowly settles, and covers ice that the wind then blows
+ * clear again. Both feed `surfaceParams` (see src/lib/surfaces.js), so the same zone can be
+ * packed at the start of a run and deep by the end of it.
+ *
+ * Everything follows from the seed and the elapsed time, stepped with the simulation, so replays
+ * record the seed and reproduce the weather exactly. A null seed is calm: a clear, still noon.
+ *
+ * State fields:
+ *   time       – seconds since the run started
+ *   dayTime    – 0..1 through the day; 0 is midnight, 0.5 noon
+ *   snowfall   – 0..1, how hard it is snowing
+ *   wind       – { x, z } in m/s
+ *   fog        – 0..1
+ *   freshSnow  – 0..1, fresh snow lying on the trail
+ *   iceCover   – 0..1, snow lying on ice
+ *   snowTotal  – snowfall so far, in seconds of full snowfall (fills tracks in)
+ */
+export const WEATHER_FRONT_SECONDS = 45;
+export const DAY_LENGTH_SECONDS = 600;
+
+// Fresh snow builds at SNOW_RATE per second under full snowfall and settles at SETTLE_RATE; ice
+// is covered twice as fast (nothing to pack it) and cleared at ICE_CLEAR_RATE per m/s of wind.
+const SNOW_RATE = 1 / 120;
+const SETTLE_RATE = 1 / 300;
+const ICE_CLEAR_RATE = 0.0012;
+
+// Clear-day visibility (m), and how far fog, snowfall and darkness cut it.
+const CLEAR_VISIBILITY = 220;
+const FOG_VISIBILITY_LOSS = 0.85;
+const SNOW_VISIBILITY_LOSS = 0.6;
+const NIGHT_VISIBILITY_LOSS = 0.6;
+
+// Front kinds: how often each comes up and the ranges it draws from.
+const FRONTS = {
+  clear: { weight: 4, snowfall: [0, 0], wind: [0, 3], fog: [0, 0.15] },
+  flurries: { weight: 3, snowfall: [0.3, 0.6], wind: [1, 4], fog: [0.1, 0.3] },
+  fog: { weight: 2, snowfall: [0, 0.1], wind: [0, 1], fog: [0.7, 1] },
+  gale: { weight: 2, snowfall: [0, 0.1], wind: [8, 14], fog: [0, 0.2] },
+  storm: { weight: 1, snowfall: [0.8, 1], wind: [6, 12], fog: [0.5, 0.8] },
+};
+
+const FRONT_WEIGHTS = Object.fromEntries(Object.entries(FRONTS).map(([kind, front]) => [kind, front.weight]));
+
+const CALM_FRONT = { kind: "clear", snowfall: 0, windSpeed: 0, windAngle: 0, fog: 0 };
+
+const smoothstep = (t) => t * t * (3 - 2 * t);
+const clamp01 = (value) => Math.min(1, Math.max(0, value));
+
+function frontAt(seed, index) {
+  if (seed === null) return CALM_FRONT;
+  const random = createRandom(`${seed}:front:${index}`);
+  const kind = random.weighted(FRONT_WEIGHTS);
+  const front = FRONTS[kind];
+  return {
+    kind,
+    snowfall: random.range(...front.snowfall),
+    windSpeed: random.range(...front.wind),
+    windAngle: random.range(0, Math.PI * 2),
+    fog: random.range(...front.fog),
+  };
+}
+
+// Blends the fronts either side of `time` into the current sky.
+function applyFronts(weather) {
+  const position = weather.time / WEATHER_FRONT_SECONDS;
+  const index = Math.floor(position);
+  const from = frontAt(weather.seed, index);
+  const to = frontAt(weather.seed, index + 1);
+  const t = smoothstep(position - index);
+
+  // Wind turns the short way round
+  const turn = Math.atan2(Math.sin(to.windAngle - from.windAngle), Math.cos(to.windAngle - from.windAngle));
+  const angle = from.windAngle + turn * t;
+  const speed = from.windSpeed + (to.windSpeed - from.windSpeed) * t;
+
+  weather.kind = t < 0.5 ? from.kind : to.kind;
+  weather.snowfall = from.snowfall + (to.snowfall - from.snowfall) * t;
+  weather.fog = from.fog + (to.fog - from.fog) * t;
+  weather.wind = { x: Math.sin(angle) * speed, z: Math.cos(angle) * speed };
+  weather.dayTime = (weather.startDayTime + weather.time / DAY_LENGTH_SECONDS) % 1;
+}
+
+export function createWeather(seed = null) {
+  const random = seed === null ? null : createRandom(`${seed}:day`);
+  const weather = {
+    seed,
+    time: 0,
+    // Runs start between early morning and dusk
+    startDayTime: random ? random.range(0.28, 0.78) : 0.5,
+    kind: "clear",
+    dayTime: 0.5,
+    snowfall: 0,
+    wind: { x: 0, z: 0 },
+    fog: 0,
+    freshSnow: 0,
+    iceCover: 0,
+    snowTotal: 0,
+  };
+  applyFronts(weather);
+  // The ground starts as the first front left it
+  weather.freshSnow = weather.snowfall * 0.5;
+  weather.iceCover = weather.snowfall;
+  return weather;
+}
+
+/** Advances the weather by `dt` seconds, in place. */
+export function updateWeather(weather, dt) {
+  weather.time += dt;
+  applyFronts(weather);
+
+  const windSpeed = Math.hypot(weather.wind.x, weather.wind.z);
+  const settling = weather.snowfall * SNOW_RATE - weather.freshSnow * SETTLE_RATE;
+  const covering = weather.snowfall * SNOW_RATE * 2 - windSpeed * ICE_CLEAR_RATE;
+  weather.freshSnow = clamp01(weather.freshSnow + settling * dt);
+  weather.iceCover = clamp01(weather.iceCover + covering * dt);
+  weather.snowTotal += weather.snowfall * dt;
+  return weather;
+}
+
+/** 0 at night, 1 in full daylight, easing through dawn and dusk. */
+export function daylight(weather) {
+  const sunHeight = -Math.cos(weather.dayTime * Math.PI * 2);
+  return smoothstep(clamp01((sunHeight + 0.15) / 0.4));
+}
+
+/** How far (m) one can see through the fog, snow and dark. */
+export function visibility(weather) {
+  return (
+    CLEAR_VISIBILITY *
+    (1 - FOG_VISIBILITY_LOSS * weather.fog) *
+    (1 - SNOW_VISIBILITY_LOSS * weather.snowfall) *
+    (1 - NIGHT_VISIBILITY_LOSS * (1 - daylight(weather)))
+  );
+}
+
+/** Short description for the HUD, e.g. "Storm · 9 m/s wind · 14:20". */
+export function describeWeather(weather) {
+  const labels = { clear: "Clear", flurries: "Flurries", fog: "Fog", gale: "Gale", storm: "Storm" };
+  const minutes = Math.floor(weather.dayTime * 24 * 60);
+  const clock = `${String(Math.floor(minutes / 60)).padStart(2, "0")}:${String(minutes % 60).padStart(2, "0")}`;
+  const windSpeed = Math.round(Math.hypot(weather.wind.x, weather.wind.z));
+  return `${labels[weather.kind]} · ${windSpeed} m/s wind · ${clock}`;
+}
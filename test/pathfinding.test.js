@@ -0,0 +1,20 @@
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { test } from "node:test";
+import { loadLevel } from "../src/lib/level.js";
+import { getCostGrid, surfaceCost } from "../src/lib/pathfinding.js";
+import { DEFAULT_TUNING } from "../src/lib/simulation.js";
+import { setTuningValue } from "../src/lib/tuning.js";
+
+const level = loadLevel(JSON.parse(readFileSync(new URL("../src/levels/frozen-lake.json", import.meta.url), "utf8")));
+
+test("tuned surfaces change the route costs", () => {
+  const tuned = setTuningValue(DEFAULT_TUNING, ["surfaces", "deep", "effort"], 1);
+  assert.ok(surfaceCost("deep", null, tuned.surfaces) > surfaceCost("deep"));
+
+  const before = getCostGrid(level, null, DEFAULT_TUNING.surfaces);
+  assert.equal(getCostGrid(level, null, DEFAULT_TUNING.surfaces), before);
+  const after = getCostGrid(level, null, tuned.surfaces);
+  assert.notEqual(after, before);
+  assert.ok(after.costs.some((cost, index) => cost > before.costs[index]));
+});
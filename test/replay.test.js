@@ -0,0 +1,63 @@
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { before, test } from "node:test";
+import RAPIER from "@dimforge/rapier3d-compat";
+import { loadLevel } from "../src/lib/level.js";
+import { NEUTRAL_INPUT, createHeadlessSimulation } from "../src/lib/simulation.js";
+import {
+  ReplayError,
+  createPlayer,
+  createRecorder,
+  decodeReplay,
+  encodeReplay,
+  quantizeInput,
+} from "../src/lib/replay.js";
+
+const level = loadLevel(JSON.parse(readFileSync(new URL("../src/levels/frozen-lake.json", import.meta.url), "utf8")));
+const loadout = ["food", "tent"];
+const team = ["buck", "dave", "sol-leks"];
+
+// Walk out, weave a little with a few pulls, then stop for a rest
+function inputAt(step) {
+  if (step >= 480) return { ...NEUTRAL_INPUT, rest: true };
+  return {
+    ...NEUTRAL_INPUT,
+    forward: 1,
+    steer: Math.sin(step / 40) * 0.7,
+    pull: step % 90 < 20,
+  };
+}
+
+before(() => RAPIER.init());
+
+test("a recorded run plays back to the same end", () => {
+  const recorder = createRecorder({ levelId: level.id, loadout, team, weatherSeed: "k3mx9q" });
+  const live = createHeadlessSimulation(RAPIER, level, { loadout, team, weatherSeed: "k3mx9q" });
+  for (let step = 0; step < 600; step += 1) {
+    const input = quantizeInput(inputAt(step));
+    live.step(input);
+    recorder.push(input, live.bodies.sled.translation());
+  }
+  live.free();
+
+  const replay = decodeReplay(encodeReplay(recorder));
+  assert.deepEqual(replay.loadout, loadout);
+  assert.deepEqual(replay.team, team);
+  assert.equal(replay.steps, 600);
+
+  const player = createPlayer(replay);
+  const playback = createHeadlessSimulation(RAPIER, level, {
+    loadout: replay.loadout,
+    team: replay.team,
+    weatherSeed: replay.weatherSeed,
+  });
+  for (let input = player.next(); input; input = player.next()) playback.step(input);
+  assert.ok(player.done);
+  assert.ok(player.matchesEnd(playback.bodies.sled.translation()));
+  playback.free();
+});
+
+test("files that are not replays are refused", () => {
+  assert.throws(() => decodeReplay("not json"), ReplayError);
+  assert.throws(() => decodeReplay(JSON.stringify({ format: "something-else" })), ReplayError);
+});
@@ -0,0 +1,154 @@
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { before, describe, test } from "node:test";
+import RAPIER from "@dimforge/rapier3d-compat";
+import { DEFAULT_LOADOUT } from "../src/lib/cargo.js";
+import { loadLevel } from "../src/lib/level.js";
+import { findPath, getCostGrid } from "../src/lib/pathfinding.js";
+import { staminaCap } from "../src/lib/physiology.js";
+import { EXHAUSTION_GRACE_SECONDS, STUCK_GRACE_SECONDS } from "../src/lib/run.js";
+import { NEUTRAL_INPUT, createHeadlessSimulation } from "../src/lib/simulation.js";
+
+const WALK = { ...NEUTRAL_INPUT, forward: 1 };
+const TEN_SECONDS = 600;
+// Short enough that neither surface wears Buck out
+const TWO_SECONDS = 120;
+// Frozen Lake with the default loadout took about four and a half minutes before the condition model
+const SIX_MINUTES = 6 * 60 * 60;
+// Same margin as the cabin's trigger in the app
+const GOAL_MARGIN = 2;
+
+const frozenLake = JSON.parse(readFileSync(new URL("../src/levels/frozen-lake.json", import.meta.url), "utf8"));
+
+/** A flat route covered in one kind of snow, with nothing in the way. */
+function flatLevel(surface) {
+  return loadLevel({
+    version: 2,
+    id: `flat-${surface}`,
+    name: `Flat ${surface}`,
+    ground: { size: [80, 80], color: "#ffffff" },
+    terrain: { cellSize: 2, hills: [] },
+    spawn: { buck: [0, 0.6, -30], sled: [0, 0.5, -32] },
+    zones: [{ type: surface, pos: [0, 0, 0], size: [80, 1, 80] }],
+    obstacles: [],
+    slopes: [],
+    goals: [{ id: "cabin", type: "cabin", pos: [0, 1.2, 38], size: [3, 2, 3] }],
+  });
+}
+
+function run(level, steps, input = WALK, options) {
+  const sim = createHeadlessSimulation(RAPIER, level, options);
+  try {
+    for (let step = 0; step < steps; step += 1) sim.step(input);
+    return { ...sim.state, sled: sim.bodies.sled.translation() };
+  } finally {
+    sim.free();
+  }
+}
+
+/** Steps `inputAt(step)` and reports when the sled was stuck and its longest stuck stretch (s). */
+function stuckRun(level, steps, inputAt, options) {
+  const sim = createHeadlessSimulation(RAPIER, level, options);
+  const stuckAt = [];
+  let stretch = 0;
+  let longestStuck = 0;
+  let spentTime = 0;
+  try {
+    for (let step = 0; step < steps; step += 1) {
+      sim.step(inputAt(step));
+      stuckAt.push(sim.state.stuck);
+      stretch = sim.state.stuck ? stretch + sim.world.timestep : 0;
+      longestStuck = Math.max(longestStuck, stretch);
+      spentTime = Math.max(spentTime, sim.state.spentTime);
+    }
+    return { stuckAt, longestStuck, spentTime };
+  } finally {
+    sim.free();
+  }
+}
+
+/**
+ * Drives the team along Instinct's path to the first goal, stopping to rest whenever stamina
+ * runs low, and returns the seconds it took to get the sled there (or null).
+ */
+function driveToGoal(level, steps, options) {
+  const sim = createHeadlessSimulation(RAPIER, level, options);
+  const goal = level.goals[0];
+  const arrived = (position) =>
+    Math.abs(position.x - goal.pos[0]) <= goal.size[0] / 2 + GOAL_MARGIN &&
+    Math.abs(position.z - goal.pos[2]) <= goal.size[2] / 2 + GOAL_MARGIN;
+  let path = null;
+  let resting = false;
+  try {
+    for (let step = 0; step < steps; step += 1) {
+      if (arrived(sim.bodies.sled.translation())) return step * sim.world.timestep;
+      const lead = sim.bodies.dogs[0].translation();
+      if (step % 30 === 0) {
+        const grid = getCostGrid(level, sim.state.weather, sim.state.tuning.surfaces);
+        path = findPath(grid, lead, { x: goal.pos[0], z: goal.pos[2] });
+      }
+      const cap = staminaCap(sim.state, sim.state.tuning.condition);
+      if (sim.state.stamina < 0.15) resting = true;
+      else if (sim.state.stamina >= cap * 0.95) resting = false;
+      // Aim a few metres down the path, so the team cuts its corners like a player would
+      const target = path.points.find((point) => Math.hypot(point.x - lead.x, point.z - lead.z) > 4) ?? path.points.at(-1);
+      sim.step(
+        resting
+          ? { ...NEUTRAL_INPUT, rest: true }
+          : { ...NEUTRAL_INPUT, forward: 1, heading: { x: target.x - lead.x, z: target.z - lead.z } },
+      );
+    }
+    return null;
+  } finally {
+    sim.free();
+  }
+}
+
+before(() => RAPIER.init());
+
+describe("headless simulation", () => {
+  test("walking the frozen lake spends stamina and moves the sled", () => {
+    const level = loadLevel(frozenLake);
+    const state = run(level, TEN_SECONDS);
+    assert.ok(state.stamina < 1);
+    assert.ok(state.sled.z - level.spawn.sled[2] > 1);
+  });
+
+  test("deep snow drains stamina faster than ice", () => {
+    const deep = run(flatLevel("deep"), TWO_SECONDS);
+    const ice = run(flatLevel("ice"), TWO_SECONDS);
+    assert.ok(deep.stamina > 0);
+    assert.ok(deep.stamina < ice.stamina, `deep ${deep.stamina} should be below ice ${ice.stamina}`);
+  });
+
+  test("a spent team that can't shift the sled in deep snow gets stuck, even easing off", () => {
+    // Haul for two and a half seconds out of every four, as a player trying to rock it free would
+    const rocking = (step) => (step % 240 < 150 ? WALK : NEUTRAL_INPUT);
+    const deep = stuckRun(flatLevel("deep"), TEN_SECONDS * 2, rocking);
+    assert.ok(deep.spentTime < EXHAUSTION_GRACE_SECONDS);
+    assert.ok(deep.longestStuck >= STUCK_GRACE_SECONDS);
+    assert.equal(stuckRun(flatLevel("ice"), TEN_SECONDS * 2, rocking).longestStuck, 0);
+  });
+
+  test("a fresh team waiting with a heavy load in deep snow is never stuck", () => {
+    const heavy = { loadout: ["tools", "tools", "tools", "tools", "tools", "tools"] };
+    assert.equal(stuckRun(flatLevel("deep"), TEN_SECONDS * 2, () => NEUTRAL_INPUT, heavy).longestStuck, 0);
+  });
+
+  test("a rest stop clears a stuck sled", () => {
+    const haulThenRest = (step) => (step < TEN_SECONDS ? WALK : { ...NEUTRAL_INPUT, rest: true });
+    const { stuckAt } = stuckRun(flatLevel("deep"), TEN_SECONDS * 2, haulThenRest);
+    assert.ok(stuckAt.slice(0, TEN_SECONDS).some(Boolean));
+    assert.ok(!stuckAt.slice(TEN_SECONDS).some(Boolean));
+  });
+
+  test("the default loadout can haul Frozen Lake to the cabin in under six minutes", () => {
+    const seconds = driveToGoal(loadLevel(frozenLake), SIX_MINUTES, { loadout: [...DEFAULT_LOADOUT] });
+    assert.ok(seconds !== null, "the team never reached the cabin");
+  });
+
+  test("the same input gives the same run", () => {
+    const level = loadLevel(frozenLake);
+    assert.deepEqual(run(level, TEN_SECONDS), run(level, TEN_SECONDS));
+  });
+});